@@ -0,0 +1,158 @@
+// fixture-server.js - Local stand-in for Nominatim, Overpass and NASA POWER
+// Replays recorded fixtures (or records them by proxying the real APIs)
+//
+// Run with: node fixture-server.js [--record] [--port 4010] [--fixtures ./fixtures]
+// Then build/start the app against it:
+//   REACT_APP_NOMINATIM_URL=http://localhost:4010/nominatim \
+//   REACT_APP_OVERPASS_URLS=http://localhost:4010/overpass \
+//   REACT_APP_POWER_URL=http://localhost:4010/power npm start
+//
+// Fixture keys and file names match src/providers.js, so files recorded here,
+// by createFileFixtureStore in Node, or downloaded from the app all replay.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+};
+
+const RECORD = args.includes('--record');
+const PORT = Number(argValue('--port', 4010));
+const FIXTURES_DIR = path.resolve(argValue('--fixtures', './fixtures'));
+
+const UPSTREAMS = {
+  nominatim: 'https://nominatim.openstreetmap.org',
+  overpass: 'https://overpass-api.de/api/interpreter',
+  power: 'https://power.larc.nasa.gov/api'
+};
+
+// Same FNV-1a hash and key format as src/providers.js
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function fixtureKey(provider, method, requestPath, searchParams, body) {
+  const query = [...new Set(searchParams.keys())]
+    .sort()
+    .map(name => `${name}=${searchParams.get(name)}`)
+    .join('&');
+  const bodyPart = body ? ` ${hashString(body)}` : '';
+  return `${provider} ${method} ${requestPath}?${query}${bodyPart}`;
+}
+
+// Load single-entry files and fixtures.json bundles alike
+function loadFixtures() {
+  const fixtures = new Map();
+  if (!fs.existsSync(FIXTURES_DIR)) return fixtures;
+
+  fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const content = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+      const entries = content.key ? [content] : Object.values(content);
+      entries.forEach(entry => fixtures.set(entry.key, entry));
+    });
+
+  return fixtures;
+}
+
+const fixtures = loadFixtures();
+
+function send(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': '*'
+  });
+  res.end(typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+async function record(provider, method, requestPath, url, body, key) {
+  const upstream = `${UPSTREAMS[provider]}${requestPath}${url.search}`;
+  const response = await fetch(upstream, {
+    method,
+    body: body || undefined,
+    headers: body ? { 'Content-Type': 'text/plain' } : undefined
+  });
+  const data = await response.json();
+
+  const entry = {
+    key,
+    provider,
+    request: {
+      method,
+      path: requestPath,
+      params: Object.fromEntries(url.searchParams),
+      data: body || null
+    },
+    response: { status: response.status, data },
+    recordedAt: new Date().toISOString()
+  };
+
+  if (response.ok) {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(
+      path.join(FIXTURES_DIR, `${provider}-${hashString(key)}.json`),
+      JSON.stringify(entry, null, 2)
+    );
+    fixtures.set(key, entry);
+  }
+
+  return entry;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204, '');
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', async () => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const [, provider, ...rest] = url.pathname.split('/');
+    const requestPath = rest.length ? `/${rest.join('/')}` : '';
+
+    if (!UPSTREAMS[provider]) {
+      send(res, 404, { error: `Unknown provider "${provider}"` });
+      return;
+    }
+
+    const key = fixtureKey(provider, req.method, requestPath, url.searchParams, body);
+    let entry = fixtures.get(key);
+
+    try {
+      if (!entry && RECORD) {
+        entry = await record(provider, req.method, requestPath, url, body, key);
+        console.log(`● recorded ${key}`);
+      }
+    } catch (error) {
+      console.error(`❌ upstream failed for ${key}: ${error.message}`);
+      send(res, 502, { error: error.message });
+      return;
+    }
+
+    if (!entry) {
+      console.warn(`⚠ no fixture for ${key}`);
+      send(res, 404, { error: `No recorded fixture for ${key}` });
+      return;
+    }
+
+    send(res, entry.response.status, entry.response.data);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Fixture server (${RECORD ? 'record' : 'replay'} mode) on http://localhost:${PORT}`);
+  console.log(`Fixtures: ${FIXTURES_DIR} (${fixtures.size} loaded)`);
+});
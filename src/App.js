@@ -1,21 +1,368 @@
 // App.js - Main Application Component
 // Integrates City Selector, Data Fetcher, Map, and Metrics Panel
 
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import CitySelector from './components/CitySelector';
 import Map from './components/Map';
 import MetricsPanel from './components/MetricsPanel';
-import { fetchAllCityData } from './dataFetchers';
+import RuleEditor from './components/RuleEditor';
+import LocalDatasets from './components/LocalDatasets';
+import FarmSites from './components/FarmSites';
+import ComparisonView from './components/ComparisonView';
+import {
+  fetchAllCityData,
+  fetchBuildingPopulationProxy,
+  fetchNASALST,
+  fetchNASANDVI,
+  fetchNASAPopulation,
+  fetchWalkingNetwork,
+  geocodeCity,
+  lookupCity
+} from './dataFetchers';
+import { DEFAULT_RULE_SET, reclassifyOutlets, validateRuleSet } from './classification';
+import { getDataMode, getFixtureStore } from './providers';
+import { gridResolutionMeters } from './rasters';
+import { analyzeFoodDeserts, DEFAULT_GRID_OPTIONS } from './analysis/foodDesertGrid';
+import { computeIsochronesOffThread } from './analysis/isochronesClient';
+import { computePopulationAccess } from './analysis/populationAccess';
+import { DEFAULT_KDE_OPTIONS, kdePoints } from './analysis/kernelDensity';
+import { computeFoodKdeOffThread } from './analysis/kernelDensityClient';
+import { DEFAULT_SUITABILITY_WEIGHTS, rankFarmSites } from './analysis/farmSuitability';
+import { recommendCrops } from './analysis/cropRecommendations';
+import { summarizeCity } from './analysis/cityMetrics';
+import { foodEnvironmentGrid } from './analysis/foodEnvironment';
+import { analyzeSubAreas, defaultSubAreaLevel } from './analysis/subAreas';
+import {
+  buildExportLayers,
+  buildExportMetadata,
+  downloadFile,
+  EXPORT_FORMATS,
+  exportFileStem,
+  toCSV,
+  toGeoJSON,
+  toKML
+} from './exporters';
+import { buildCityReport, openPrintableReport } from './report';
+import { decodeUrlState, DEFAULT_MAP_LAYERS, encodeUrlState } from './urlState';
 import './App.css';
 
+const RULES_STORAGE_KEY = 'hfas.classificationRules';
+
+// Restore the user's edited rule set, falling back to the shipped defaults
+function loadRuleSet() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(RULES_STORAGE_KEY));
+    if (stored && validateRuleSet(stored)) return stored;
+  } catch (err) {
+    console.warn('Ignoring invalid stored classification rules:', err.message);
+  }
+  return DEFAULT_RULE_SET;
+}
+
+// Default MODIS range: the last full calendar year
+function defaultModisRange() {
+  const year = new Date().getFullYear() - 1;
+  return { start: `${year}-01-01`, end: `${year}-12-31` };
+}
+
+// City object for a decoded link: look up OSM objects, geocode bare names
+function resolveLinkedCity(linked) {
+  if (linked.osmId) return lookupCity(linked.osmType, linked.osmId);
+  if (linked.boundingBox) return Promise.resolve(linked);
+  return geocodeCity(linked.name);
+}
+
+// Stable identity for a city in the comparison set
+const cityKey = city => (city.osmId ? `${city.osmType}-${city.osmId}` : `${city.lat},${city.lng}`);
+
+// OSM shop/amenity value used by the type filter
+const outletRawType = outlet => outlet.rawType || 'unknown';
+
+// A gridded layer is only worth drawing once it holds data
+const loadedGrid = layer => (layer?.data?.length > 0 ? layer : null);
+
+// Status line for a loaded MODIS composite
+const describeComposite = grid => grid &&
+  `${grid.scenes.length} scene${grid.scenes.length === 1 ? '' : 's'}, ` +
+  `${grid.width}×${grid.height} cells at ~${gridResolutionMeters(grid)}m`;
+
 function App() {
+  // State from a shared link, read once on load
+  const [link] = useState(() => decodeUrlState(window.location.search));
   const [selectedCity, setSelectedCity] = useState(null);
   const [cityData, setCityData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [offlineMode, setOfflineMode] = useState(false);
+  const [populationFile, setPopulationFile] = useState(null);
+  const [estimatingPopulation, setEstimatingPopulation] = useState(false);
+  const [ndviFiles, setNDVIFiles] = useState(null);
+  const [lstFiles, setLSTFiles] = useState(null);
+  const [modisRange, setModisRange] = useState(defaultModisRange);
+  const [ruleSet, setRuleSet] = useState(loadRuleSet);
+  const [showFarmSites, setShowFarmSites] = useState(false);
+  const [comparison, setComparison] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
+  const [addingComparison, setAddingComparison] = useState(false);
+  const [suitabilityWeights, setSuitabilityWeights] = useState(
+    () => ({ ...DEFAULT_SUITABILITY_WEIGHTS, ...link.weights })
+  );
+  const [gridOptions, setGridOptions] = useState(() => ({
+    shape: DEFAULT_GRID_OPTIONS.shape,
+    cellSize: DEFAULT_GRID_OPTIONS.cellSize,
+    thresholdMeters: DEFAULT_GRID_OPTIONS.thresholdMeters,
+    ...link.gridOptions
+  }));
+  const [mapLayers, setMapLayers] = useState(() => link.layers || DEFAULT_MAP_LAYERS);
+  const [hiddenClasses, setHiddenClasses] = useState(() => link.hiddenClasses || []);
+  const [hiddenRawTypes, setHiddenRawTypes] = useState(() => link.hiddenRawTypes || []);
+  const [kdeBandwidth, setKdeBandwidth] = useState(() => link.kdeBandwidth || DEFAULT_KDE_OPTIONS.bandwidthMeters);
+  const [foodKde, setFoodKde] = useState(null);
+  const [walkingNetwork, setWalkingNetwork] = useState(null);
+  const [walkingIsochrones, setWalkingIsochrones] = useState(null);
+  const [gridMetric, setGridMetric] = useState(() => link.gridMetric || 'distance');
+  const [subAreaLevel, setSubAreaLevel] = useState(() => link.subAreaLevel);
+  const [subAreaMetric, setSubAreaMetric] = useState(() => link.subAreaMetric || 'mrfei');
+  const [mapView, setMapView] = useState(link.view);
+  const [linkReady, setLinkReady] = useState(!link.city);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  useEffect(() => {
+    if (ruleSet === DEFAULT_RULE_SET) {
+      window.localStorage.removeItem(RULES_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(ruleSet));
+    }
+  }, [ruleSet]);
+
+  // Raster grids, when GeoTIFFs have been loaded for this city
+  const populationGrid = loadedGrid(cityData?.data?.population);
+  const ndviGrid = loadedGrid(cityData?.data?.ndvi);
+  const lstGrid = loadedGrid(cityData?.data?.lst);
+
+  // Outlets re-classified with the current rules - no refetch needed
+  const foodOutlets = useMemo(() => {
+    if (!cityData?.data?.foodOutlets) return undefined;
+    return reclassifyOutlets(cityData.data.foodOutlets, ruleSet);
+  }, [cityData, ruleSet]);
+
+  // Outlets left after the legend filters; drives the map and the panel counts.
+  // Analyses (desert grid, farm sites) and exports keep using every outlet.
+  const filteredOutlets = useMemo(() => (
+    foodOutlets && (hiddenClasses.length > 0 || hiddenRawTypes.length > 0)
+      ? foodOutlets.filter(outlet =>
+          !hiddenClasses.includes(outlet.type) && !hiddenRawTypes.includes(outletRawType(outlet)))
+      : foodOutlets
+  ), [foodOutlets, hiddenClasses, hiddenRawTypes]);
+
+  // Raw OSM types present in the city, most common first, for the type filter
+  const outletTypes = useMemo(() => {
+    if (!foodOutlets) return [];
+    const types = {};
+    foodOutlets.forEach(outlet => {
+      const rawType = outletRawType(outlet);
+      const entry = types[rawType] || (types[rawType] = { rawType, count: 0, color: outlet.classification.color });
+      entry.count++;
+    });
+    return Object.values(types).sort((a, b) => b.count - a.count);
+  }, [foodOutlets]);
+
+  // Rule set classes present in the city, in rule set order, for the map legend
+  const outletClasses = useMemo(() => {
+    if (!foodOutlets) return [];
+    const present = new Set(foodOutlets.map(outlet => outlet.type));
+    return Object.entries(ruleSet.classes)
+      .filter(([type]) => present.has(type))
+      .map(([type, { label, color }]) => ({ type, label, color }));
+  }, [foodOutlets, ruleSet]);
+
+  // Food desert grid is derived data - recompute when outlets or settings change
+  const foodDesertGrid = useMemo(() => {
+    if (!foodOutlets) return null;
+    return analyzeFoodDeserts(cityData.city, foodOutlets, gridOptions);
+  }, [cityData, foodOutlets, gridOptions]);
+
+  // Population-weighted access, once a population grid (real or proxy) is loaded
+  const populationAccess = useMemo(() => {
+    if (!populationGrid || !foodOutlets) return null;
+    return computePopulationAccess(populationGrid, foodOutlets, {
+      boundary: cityData.city.boundary,
+      desertThreshold: gridOptions.thresholdMeters
+    });
+  }, [cityData, populationGrid, foodOutlets, gridOptions.thresholdMeters]);
+
+  // Headline metrics (incl. mRFEI/RFEI) for the current city, from every outlet
+  const cityMetrics = useMemo(() => {
+    if (!foodOutlets) return null;
+    return summarizeCity({
+      city: cityData.city,
+      foodOutlets,
+      foodDesertGrid,
+      populationAccess,
+      power: cityData.data.power
+    });
+  }, [cityData, foodOutlets, foodDesertGrid, populationAccess]);
+
+  // The same indices per food desert grid cell, for mapping
+  const environmentGrid = useMemo(() => {
+    if (!foodDesertGrid || !foodOutlets) return null;
+    return foodEnvironmentGrid(foodDesertGrid, foodOutlets, { populationGrid });
+  }, [foodDesertGrid, foodOutlets, populationGrid]);
+
+  // Neighbourhood breakdown over the chosen kind of OSM sub-area
+  const subAreas = cityData?.data?.subAreas;
+  const subAreaLevelCounts = useMemo(() => {
+    const counts = {};
+    (subAreas || []).forEach(area => {
+      counts[area.level] = (counts[area.level] || 0) + 1;
+    });
+    return counts;
+  }, [subAreas]);
+  const activeSubAreaLevel = subAreaLevelCounts[subAreaLevel] > 0
+    ? subAreaLevel
+    : defaultSubAreaLevel(subAreas || []);
+
+  const neighbourhoodMetrics = useMemo(() => {
+    if (!activeSubAreaLevel || !foodOutlets) return null;
+    return analyzeSubAreas({
+      areas: subAreas.filter(area => area.level === activeSubAreaLevel),
+      foodOutlets,
+      foodDesertGrid,
+      populationGrid
+    });
+  }, [subAreas, activeSubAreaLevel, foodOutlets, foodDesertGrid, populationGrid]);
+
+  // Urban farm site recommendations, once requested - re-ranked as weights or layers change
+  const farmSites = useMemo(() => {
+    if (!showFarmSites || !foodDesertGrid) return null;
+    return rankFarmSites({
+      foodDesertGrid,
+      powerData: cityData.data.power,
+      ndviGrid,
+      lstGrid
+    }, suitabilityWeights);
+  }, [showFarmSites, cityData, foodDesertGrid, ndviGrid, lstGrid, suitabilityWeights]);
+
+  // Crops suited to the city's climate, from the shipped crop table
+  const cropRecommendations = useMemo(() => {
+    const monthly = cityData?.data?.power?.agronomics?.monthly;
+    return monthly ? recommendCrops(monthly) : null;
+  }, [cityData]);
+
+  // Comparison set, analysed with the same rules and grid settings as the main view
+  const comparisonEntries = useMemo(() => comparison.map(({ id, city, results }) => {
+    const outlets = reclassifyOutlets(results.data.foodOutlets || [], ruleSet);
+    const desertGrid = analyzeFoodDeserts(city, outlets, gridOptions);
+    const population = loadedGrid(results.data.population);
+    const access = population
+      ? computePopulationAccess(population, outlets, {
+        boundary: city.boundary,
+        desertThreshold: gridOptions.thresholdMeters
+      })
+      : null;
+
+    return {
+      id,
+      city,
+      foodOutlets: outlets,
+      metrics: summarizeCity({
+        city,
+        foodOutlets: outlets,
+        foodDesertGrid: desertGrid,
+        populationAccess: access,
+        power: results.data.power
+      })
+    };
+  }), [comparison, ruleSet, gridOptions]);
+
+  // Pedestrian street network, fetched only once the walk layer is turned on
+  // and kept for the current city; never part of the saved city snapshot
+  const showWalk = mapLayers.walk;
+  const currentCity = cityData?.city;
+  useEffect(() => {
+    if (walkingNetwork && walkingNetwork.city !== currentCity) {
+      setWalkingNetwork(null);
+      return;
+    }
+    if (!showWalk || !currentCity || walkingNetwork) return;
+
+    let current = true;
+    fetchWalkingNetwork(currentCity.boundingBox, {
+      boundary: currentCity.boundary,
+      offline: offlineMode
+    })
+      .then(elements => {
+        if (current) setWalkingNetwork({ city: currentCity, elements });
+      })
+      .catch(error => console.warn('Walking network fetch failed, using radius circles:', error.message));
+    return () => {
+      current = false;
+    };
+  }, [currentCity, showWalk, offlineMode, walkingNetwork]);
+
+  // Walking isochrones around healthy outlets, computed in a worker when the street network loaded
+  useEffect(() => {
+    setWalkingIsochrones(null);
+    const network = walkingNetwork?.city === cityData?.city ? walkingNetwork.elements : null;
+    if (!network || !foodOutlets) return;
+
+    let current = true;
+    const origins = foodOutlets
+      .filter(o => o.type === 'healthy_primary')
+      .map(({ lat, lng }) => ({ lat, lng }));
+    computeIsochronesOffThread(network, origins)
+      .then(result => {
+        if (current) setWalkingIsochrones(result);
+      })
+      .catch(error => console.warn('Walking isochrones failed:', error.message));
+    return () => {
+      current = false;
+    };
+  }, [cityData, foodOutlets, walkingNetwork]);
+
+  // Healthy/unhealthy kernel density and swamp ratio, computed in a worker
+  // only while the swamp layer is on
+  const showSwamp = mapLayers.swamp;
+  useEffect(() => {
+    setFoodKde(null);
+    if (!showSwamp || !foodOutlets) return;
+
+    let current = true;
+    computeFoodKdeOffThread(kdePoints(foodOutlets), cityData.city.boundingBox, {
+      bandwidthMeters: kdeBandwidth,
+      boundary: cityData.city.boundary
+    })
+      .then(result => {
+        if (current) setFoodKde(result);
+      })
+      .catch(error => console.warn('Kernel density failed:', error.message));
+    return () => {
+      current = false;
+    };
+  }, [cityData, foodOutlets, kdeBandwidth, showSwamp]);
+
+  // Fetch everything for a city with the current datasets and settings
+  function fetchCityResults(cityInfo, fetchOptions = {}) {
+    return fetchAllCityData(cityInfo, {
+      includeFoodOutlets: true,
+      includePower: true,
+      includeNASAData: false, // Set to true when you have NASA auth
+      ruleSet,
+      offline: offlineMode,
+      includePopulation: Boolean(populationFile),
+      populationSource: populationFile,
+      includeNDVI: Boolean(ndviFiles),
+      ndviSources: ndviFiles || [],
+      includeLST: Boolean(lstFiles),
+      lstSources: lstFiles || [],
+      modisStartDate: modisRange.start,
+      modisEndDate: modisRange.end,
+      ...fetchOptions
+    });
+  }
 
   // Handle city selection from CitySelector
-  async function handleCitySelected(cityInfo) {
+  async function handleCitySelected(cityInfo, fetchOptions = {}) {
     setSelectedCity(cityInfo);
     setLoading(true);
     setError(null);
@@ -24,11 +371,7 @@ function App() {
       console.log('Fetching data for:', cityInfo.name);
       
       // Fetch all data for the selected city
-      const data = await fetchAllCityData(cityInfo, {
-        includeFoodOutlets: true,
-        includePower: true,
-        includeNASAData: false // Set to true when you have NASA auth
-      });
+      const data = await fetchCityResults(cityInfo, fetchOptions);
 
       setCityData(data);
       setLoading(false);
@@ -41,11 +384,206 @@ function App() {
     }
   }
 
+  // A city picked in CitySelector opens centred on itself
+  function handleNewCity(cityInfo) {
+    setMapView(null);
+    handleCitySelected(cityInfo);
+  }
+
+  // Reopen the city from a shared link once, on first load
+  const selectLinkedCityRef = useRef(handleCitySelected);
+  const linkOpenedRef = useRef(false);
+  selectLinkedCityRef.current = handleCitySelected;
+  useEffect(() => {
+    // StrictMode runs effects twice in development; fetch the city once
+    if (!link.city || linkOpenedRef.current) return;
+    linkOpenedRef.current = true;
+    resolveLinkedCity(link.city)
+      .then(cityInfo => selectLinkedCityRef.current(cityInfo))
+      .catch(err => setError(`Could not open shared link: ${err.message}`))
+      .finally(() => setLinkReady(true));
+  }, [link]);
+
+  // Mirror the current view into the URL so it can be shared
+  useEffect(() => {
+    if (!linkReady) return;
+    const query = encodeUrlState({
+      city: selectedCity,
+      view: mapView,
+      layers: mapLayers,
+      hiddenClasses,
+      hiddenRawTypes,
+      gridOptions,
+      weights: suitabilityWeights,
+      kdeBandwidth,
+      gridMetric,
+      subAreaLevel,
+      subAreaMetric
+    });
+    window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+  }, [
+    linkReady, selectedCity, mapView, mapLayers, hiddenClasses, hiddenRawTypes,
+    gridOptions, suitabilityWeights, kdeBandwidth, gridMetric, subAreaLevel, subAreaMetric
+  ]);
+
+  async function handleCopyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      setError(`Could not copy link: ${err.message}`);
+    }
+  }
+
+  function toggleHiddenClass(type) {
+    setHiddenClasses(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+  }
+
+  function toggleHiddenRawType(rawType) {
+    setHiddenRawTypes(prev => (prev.includes(rawType) ? prev.filter(t => t !== rawType) : [...prev, rawType]));
+  }
+
+  function clearOutletFilters() {
+    setHiddenClasses([]);
+    setHiddenRawTypes([]);
+  }
+
+  // Load (or clear) a population GeoTIFF; crop it to the current city right away
+  async function handlePopulationFile(file) {
+    setPopulationFile(file);
+    if (!cityData) return;
+
+    try {
+      const population = file
+        ? await fetchNASAPopulation(cityData.city.boundingBox, { source: file })
+        : null;
+      setCityData(prev => prev && { ...prev, data: { ...prev.data, population } });
+    } catch (err) {
+      setError(`Population GeoTIFF: ${err.message}`);
+    }
+  }
+
+  // Composite MODIS GeoTIFFs for the current city and date range (or clear the layer)
+  async function loadModisLayer(layer, files, range) {
+    if (!cityData) return;
+    const fetchLayer = layer === 'ndvi' ? fetchNASANDVI : fetchNASALST;
+
+    try {
+      const grid = files
+        ? await fetchLayer(cityData.city.boundingBox, range.start, range.end, { sources: files })
+        : null;
+      setCityData(prev => prev && { ...prev, data: { ...prev.data, [layer]: grid } });
+    } catch (err) {
+      setCityData(prev => prev && { ...prev, data: { ...prev.data, [layer]: null } });
+      setError(`${layer === 'ndvi' ? 'NDVI' : 'LST'} GeoTIFFs: ${err.message}`);
+    }
+  }
+
+  function handleNDVIFiles(files) {
+    setNDVIFiles(files);
+    loadModisLayer('ndvi', files, modisRange);
+  }
+
+  function handleLSTFiles(files) {
+    setLSTFiles(files);
+    loadModisLayer('lst', files, modisRange);
+  }
+
+  function handleModisRange(range) {
+    setModisRange(range);
+    if (ndviFiles) loadModisLayer('ndvi', ndviFiles, range);
+    if (lstFiles) loadModisLayer('lst', lstFiles, range);
+  }
+
+  // No GeoTIFF at hand - estimate relative population from OSM buildings instead
+  async function handleEstimatePopulation() {
+    if (!cityData) return;
+    setEstimatingPopulation(true);
+
+    try {
+      const population = await fetchBuildingPopulationProxy(cityData.city.boundingBox, {
+        boundary: cityData.city.boundary
+      });
+      setCityData(prev => prev && { ...prev, data: { ...prev.data, population } });
+    } catch (err) {
+      setError(`Building population estimate: ${err.message}`);
+    } finally {
+      setEstimatingPopulation(false);
+    }
+  }
+
+  // Keep a city's results in the comparison set (replacing an older copy)
+  function addToComparison(city, results) {
+    const id = cityKey(city);
+    setComparison(prev => [...prev.filter(entry => entry.id !== id), { id, city, results }]);
+  }
+
+  // Comparison cities are picked from searchCities candidates, like the main search
+  async function handleAddComparisonCity(candidate) {
+    setAddingComparison(true);
+    setError(null);
+
+    try {
+      const city = await lookupCity(candidate.osmType, candidate.osmId);
+      addToComparison(city, await fetchCityResults(city));
+    } catch (err) {
+      setError(`Comparison: ${err.message}`);
+    } finally {
+      setAddingComparison(false);
+    }
+  }
+
+  // Save responses captured in record mode as a fixtures.json bundle
+  async function handleDownloadFixtures() {
+    const store = await getFixtureStore();
+    downloadFile(JSON.stringify(store.toJSON(), null, 2), 'fixtures.json');
+  }
+
+  // Download outlets, boundary and computed layers with provenance metadata
+  function handleExport(format) {
+    const city = cityData.city;
+    const layers = buildExportLayers({ city, foodOutlets, foodDesertGrid, walkingIsochrones, farmSites });
+    const metadata = buildExportMetadata({ city, results: cityData, ruleSet, gridOptions });
+
+    const content = format === 'csv'
+      ? toCSV(layers, metadata, foodDesertGrid)
+      : format === 'kml'
+        ? toKML(layers, metadata)
+        : toGeoJSON(layers, metadata);
+
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(content, `${exportFileStem(city.name)}.${extension}`, mimeType);
+  }
+
+  // Standalone HTML report, downloaded or opened in a tab to print as PDF
+  function handleReport(mode) {
+    const city = cityData.city;
+    const html = buildCityReport({
+      city,
+      foodOutlets,
+      foodDesertGrid,
+      populationAccess,
+      power: cityData.data.power,
+      ruleSet,
+      gridOptions,
+      metadata: buildExportMetadata({ city, results: cityData, ruleSet, gridOptions })
+    });
+
+    if (mode === 'print') {
+      if (!openPrintableReport(html)) setError('Allow pop-ups to open the printable report');
+    } else {
+      downloadFile(html, `${exportFileStem(city.name)}-report.html`, 'text/html');
+    }
+  }
+
   // Reset to initial state
   function handleReset() {
     setSelectedCity(null);
     setCityData(null);
     setError(null);
+    setShowFarmSites(false);
+    setMapView(null);
   }
 
   return (
@@ -75,23 +613,70 @@ function App() {
             </p>
           </div>
           
-          {selectedCity && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            <label style={{ fontSize: '13px', color: '#bdc3c7', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={offlineMode}
+                onChange={(e) => setOfflineMode(e.target.checked)}
+                style={{ marginRight: '6px' }}
+              />
+              Offline mode
+            </label>
+
             <button
-              onClick={handleReset}
+              onClick={() => setShowComparison(!showComparison)}
               style={{
                 padding: '8px 16px',
-                backgroundColor: '#e74c3c',
+                backgroundColor: showComparison ? '#007bff' : 'transparent',
                 color: 'white',
-                border: 'none',
+                border: '1px solid #bdc3c7',
                 borderRadius: '4px',
                 cursor: 'pointer',
                 fontSize: '14px',
                 fontWeight: '500'
               }}
             >
-              Reset
+              Compare{comparison.length > 0 ? ` (${comparison.length})` : ''}
             </button>
-          )}
+
+            {selectedCity && (
+              <button
+                onClick={handleCopyLink}
+                title="Copy a link that reopens this city, view and settings"
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: 'transparent',
+                  color: 'white',
+                  border: '1px solid #bdc3c7',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: '500'
+                }}
+              >
+                {linkCopied ? 'Link copied' : 'Copy Link'}
+              </button>
+            )}
+
+            {selectedCity && (
+              <button
+                onClick={handleReset}
+                style={{
+                  padding: '8px 16px',
+                  backgroundColor: '#e74c3c',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: '500'
+                }}
+              >
+                Reset
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
@@ -113,7 +698,7 @@ function App() {
         }}>
           {/* City Selector */}
           <div style={{ flex: '0 0 auto' }}>
-            <CitySelector onCitySelected={handleCitySelected} />
+            <CitySelector onCitySelected={handleNewCity} />
           </div>
 
           {/* Error Display */}
@@ -135,8 +720,74 @@ function App() {
           <div style={{ flex: '1 1 auto', padding: '0 20px 20px 20px' }}>
             <MetricsPanel 
               cityData={selectedCity}
-              foodOutlets={cityData?.data?.foodOutlets}
+              foodOutlets={filteredOutlets}
+              totalOutletCount={foodOutlets?.length}
+              onClearFilters={clearOutletFilters}
+              outletsOutsideBoundary={cityData?.data?.outletsOutsideBoundary}
+              cacheInfo={cityData?.cache}
+              onRefresh={() => handleCitySelected(selectedCity, { forceRefresh: true, offline: false })}
               nasaPowerData={cityData?.data?.power}
+              foodDesertGrid={foodDesertGrid}
+              cityMetrics={cityMetrics}
+              neighbourhoods={neighbourhoodMetrics && {
+                areas: neighbourhoodMetrics,
+                levelCounts: subAreaLevelCounts,
+                level: activeSubAreaLevel,
+                onLevelChange: setSubAreaLevel,
+                metric: subAreaMetric,
+                onMetricChange: setSubAreaMetric,
+                hasPopulation: Boolean(populationGrid && !populationGrid.isProxy)
+              }}
+              populationAccess={populationAccess}
+              cropRecommendations={cropRecommendations}
+              gridOptions={gridOptions}
+              onGridOptionsChange={setGridOptions}
+              onGenerateSites={() => setShowFarmSites(true)}
+              onExport={cityData ? handleExport : null}
+              onReport={cityData ? handleReport : null}
+            />
+          </div>
+
+          {/* Urban Farm Sites */}
+          {farmSites && (
+            <div style={{ flex: '0 0 auto', padding: '0 20px 20px 20px' }}>
+              <FarmSites
+                farmSites={farmSites}
+                weights={suitabilityWeights}
+                onWeightsChange={setSuitabilityWeights}
+                onClose={() => setShowFarmSites(false)}
+              />
+            </div>
+          )}
+
+          {/* Local Datasets */}
+          <div style={{ flex: '0 0 auto', padding: '0 20px 20px 20px' }}>
+            <LocalDatasets
+              populationFile={populationFile}
+              populationStatus={populationGrid && !populationGrid.isProxy &&
+                `${populationGrid.width}×${populationGrid.height} cells at ~${gridResolutionMeters(populationGrid)}m`}
+              onPopulationFileChange={handlePopulationFile}
+              proxyStatus={populationGrid?.isProxy &&
+                `Estimated from ${populationGrid.buildings.toLocaleString()} OSM buildings`}
+              estimatingPopulation={estimatingPopulation}
+              onEstimatePopulation={cityData && !populationFile ? handleEstimatePopulation : null}
+              ndviFiles={ndviFiles}
+              ndviStatus={describeComposite(ndviGrid)}
+              onNDVIFilesChange={handleNDVIFiles}
+              lstFiles={lstFiles}
+              lstStatus={describeComposite(lstGrid)}
+              onLSTFilesChange={handleLSTFiles}
+              modisRange={modisRange}
+              onModisRangeChange={handleModisRange}
+            />
+          </div>
+
+          {/* Classification Rules */}
+          <div style={{ flex: '0 0 auto', padding: '0 20px 20px 20px' }}>
+            <RuleEditor
+              ruleSet={ruleSet}
+              onApply={setRuleSet}
+              onReset={() => setRuleSet(DEFAULT_RULE_SET)}
             />
           </div>
         </div>
@@ -147,11 +798,49 @@ function App() {
           position: 'relative',
           backgroundColor: '#f8f9fa'
         }}>
-          <Map 
-            cityData={selectedCity}
-            foodOutlets={cityData?.data?.foodOutlets}
-            loading={loading}
-          />
+          {showComparison ? (
+            <ComparisonView
+              entries={comparisonEntries}
+              adding={addingComparison}
+              onAddCity={handleAddComparisonCity}
+              onAddCurrent={() => addToComparison(cityData.city, cityData)}
+              canAddCurrent={Boolean(cityData)}
+              onRemove={id => setComparison(prev => prev.filter(entry => entry.id !== id))}
+              onClose={() => setShowComparison(false)}
+            />
+          ) : (
+            <Map 
+              cityData={selectedCity}
+              foodOutlets={filteredOutlets}
+              foodDesertGrid={foodDesertGrid}
+              environmentGrid={environmentGrid}
+              gridMetric={gridMetric}
+              onGridMetricChange={setGridMetric}
+              subAreas={neighbourhoodMetrics}
+              subAreaMetric={subAreaMetric}
+              onSubAreaMetricChange={setSubAreaMetric}
+              walkingIsochrones={walkingIsochrones}
+              populationGrid={populationGrid}
+              ndviGrid={ndviGrid}
+              lstGrid={lstGrid}
+              farmSites={farmSites}
+              swampGrid={foodKde?.ratio}
+              kdeBandwidth={kdeBandwidth}
+              onKdeBandwidthChange={setKdeBandwidth}
+              layers={mapLayers}
+              onLayersChange={setMapLayers}
+              hiddenClasses={hiddenClasses}
+              onToggleClass={toggleHiddenClass}
+              outletClasses={outletClasses}
+              outletTypes={outletTypes}
+              hiddenRawTypes={hiddenRawTypes}
+              onToggleRawType={toggleHiddenRawType}
+              onClearFilters={clearOutletFilters}
+              view={mapView}
+              onViewChange={setMapView}
+              loading={loading}
+            />
+          )}
         </div>
       </div>
 
@@ -167,6 +856,28 @@ function App() {
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
           <div>
             Data sources: OpenStreetMap (Nominatim, Overpass) • NASA POWER API
+            {getDataMode() !== 'live' && (
+              <span style={{ marginLeft: '8px', color: '#fbbf24' }}>
+                • {getDataMode() === 'replay' ? 'Replaying recorded fixtures' : 'Recording fixtures'}
+                {getDataMode() === 'record' && (
+                  <button
+                    onClick={handleDownloadFixtures}
+                    style={{
+                      marginLeft: '6px',
+                      padding: '2px 8px',
+                      backgroundColor: 'transparent',
+                      color: '#fbbf24',
+                      border: '1px solid #fbbf24',
+                      borderRadius: '3px',
+                      cursor: 'pointer',
+                      fontSize: '11px'
+                    }}
+                  >
+                    Download fixtures
+                  </button>
+                )}
+              </span>
+            )}
           </div>
           <div>
             Built for NASA Space Apps Challenge 2024
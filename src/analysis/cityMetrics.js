@@ -0,0 +1,116 @@
+// cityMetrics.js - Comparable City Metrics
+// Flattens one city's analysis into the figures MetricsPanel shows, normalised for comparison
+
+import { boundaryAreaKm2 } from './geometry';
+import { environmentIndices, retailCounts } from './foodEnvironment';
+
+/**
+ * Headline metrics for one city
+ *
+ * inputs: { city, foodOutlets, foodDesertGrid, populationAccess, power }
+ * Counts are normalised per km² of boundary area and per 10,000 residents.
+ * Population comes from a loaded GPWv4 grid when there is one, otherwise
+ * from the OSM population tag Nominatim returned; per capita figures are
+ * null without either.
+ */
+export function summarizeCity(inputs) {
+  const { city, foodOutlets = [], foodDesertGrid = null, populationAccess = null, power = null } = inputs;
+
+  const count = type => foodOutlets.filter(o => o.type === type).length;
+  const total = foodOutlets.length;
+  const healthy = count('healthy_primary');
+  const mixed = count('mixed');
+  const unhealthy = count('unhealthy');
+  const share = value => (total > 0 ? value / total : null);
+
+  const areaKm2 = boundaryAreaKm2(city.boundary, city.boundingBox);
+  const gridPopulation = populationAccess && !populationAccess.isProxy ? populationAccess.totalPopulation : null;
+  const population = gridPopulation || city.population || null;
+  const retail = retailCounts(foodOutlets);
+  const indices = environmentIndices(retail, areaKm2, population);
+
+  const agronomics = power?.agronomics;
+
+  return {
+    name: city.name,
+    areaKm2,
+    population,
+    populationSource: gridPopulation ? 'GPWv4' : city.population ? 'OSM' : null,
+
+    totalOutlets: total,
+    healthyOutlets: healthy,
+    mixedOutlets: mixed,
+    unhealthyOutlets: unhealthy,
+    healthyShare: share(healthy),
+    mixedShare: share(mixed),
+    unhealthyShare: share(unhealthy),
+    accessScore: total > 0
+      ? foodOutlets.reduce((sum, outlet) => sum + outlet.classification.score, 0) / total
+      : null,
+
+    retailCounts: retail,
+    mrfei: indices.mrfei,
+    rfei: indices.rfei,
+    outletsPerKm2: indices.outletsPerKm2,
+    healthyPerKm2: indices.healthyPerKm2,
+    unhealthyPerKm2: indices.unhealthyPerKm2,
+    outletsPer10k: indices.outletsPer10k,
+    healthyPer10k: indices.healthyPer10k,
+    unhealthyPer10k: indices.unhealthyPer10k,
+
+    desertAreaShare: foodDesertGrid ? foodDesertGrid.desertAreaShare : null,
+    populationWithin800: populationAccess?.within.find(w => w.meters === 800)?.share ?? null,
+    desertPopulationShare: populationAccess ? populationAccess.desertShare : null,
+    weightedMeanDistance: populationAccess ? populationAccess.weightedMeanDistance : null,
+
+    solar: power?.data?.ALLSKY_SFC_SW_DWN?.mean ?? null,
+    temperature: power?.data?.T2M?.mean ?? null,
+    precipitation: power?.data?.PRECTOTCORR?.mean ?? null,
+    growingDegreeDays: agronomics ? agronomics.gdd.total : null,
+    frostFreeDays: agronomics ? agronomics.frostFree.days : null
+  };
+}
+
+const formatNumber = digits => value => value.toLocaleString(undefined, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits
+});
+const formatShare = value => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Rows of the comparison table; `better` marks which end of a row is highlighted
+ */
+export const COMPARISON_METRICS = [
+  { group: 'City', key: 'areaKm2', label: 'Area (km²)', format: formatNumber(1) },
+  { group: 'City', key: 'population', label: 'Population', format: formatNumber(0) },
+
+  { group: 'Outlets', key: 'totalOutlets', label: 'Total outlets', format: formatNumber(0) },
+  { group: 'Outlets', key: 'healthyOutlets', label: 'Healthy', format: formatNumber(0) },
+  { group: 'Outlets', key: 'mixedOutlets', label: 'Mixed', format: formatNumber(0) },
+  { group: 'Outlets', key: 'unhealthyOutlets', label: 'Unhealthy', format: formatNumber(0) },
+  { group: 'Outlets', key: 'healthyShare', label: 'Healthy share', format: formatShare, better: 'higher' },
+  { group: 'Outlets', key: 'unhealthyShare', label: 'Unhealthy share', format: formatShare, better: 'lower' },
+  { group: 'Outlets', key: 'accessScore', label: 'Food access score', format: formatShare, better: 'higher' },
+
+  { group: 'Food environment', key: 'mrfei', label: 'mRFEI (CDC)', format: formatNumber(1), better: 'higher' },
+  { group: 'Food environment', key: 'rfei', label: 'RFEI', format: formatNumber(2), better: 'lower' },
+
+  { group: 'Per km²', key: 'outletsPerKm2', label: 'Outlets / km²', format: formatNumber(2) },
+  { group: 'Per km²', key: 'healthyPerKm2', label: 'Healthy / km²', format: formatNumber(2), better: 'higher' },
+  { group: 'Per km²', key: 'unhealthyPerKm2', label: 'Unhealthy / km²', format: formatNumber(2), better: 'lower' },
+
+  { group: 'Per 10,000 residents', key: 'outletsPer10k', label: 'Outlets', format: formatNumber(2) },
+  { group: 'Per 10,000 residents', key: 'healthyPer10k', label: 'Healthy', format: formatNumber(2), better: 'higher' },
+  { group: 'Per 10,000 residents', key: 'unhealthyPer10k', label: 'Unhealthy', format: formatNumber(2), better: 'lower' },
+
+  { group: 'Food deserts', key: 'desertAreaShare', label: 'Area in food desert', format: formatShare, better: 'lower' },
+  { group: 'Food deserts', key: 'populationWithin800', label: 'Residents within 800 m', format: formatShare, better: 'higher' },
+  { group: 'Food deserts', key: 'desertPopulationShare', label: 'Residents in food desert', format: formatShare, better: 'lower' },
+  { group: 'Food deserts', key: 'weightedMeanDistance', label: 'Weighted distance (m)', format: formatNumber(0), better: 'lower' },
+
+  { group: 'Climate', key: 'solar', label: 'Solar (kWh/m²/day)', format: formatNumber(2), better: 'higher' },
+  { group: 'Climate', key: 'temperature', label: 'Mean temperature (°C)', format: formatNumber(1) },
+  { group: 'Climate', key: 'precipitation', label: 'Precipitation (mm/day)', format: formatNumber(1) },
+  { group: 'Climate', key: 'growingDegreeDays', label: 'Growing degree days', format: formatNumber(0), better: 'higher' },
+  { group: 'Climate', key: 'frostFreeDays', label: 'Frost-free days', format: formatNumber(0), better: 'higher' }
+];
@@ -0,0 +1,189 @@
+// climate.js - Growing-Season Agronomics from NASA POWER
+// Turns a daily POWER series into monthly climatology, growing degree days,
+// frost-free season, dry spells and monthly solar totals
+
+export const MONTH_LABELS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+export const DEFAULT_CLIMATE_OPTIONS = {
+  gddBase: 10,        // °C, warm-season vegetables
+  gddCap: 30,         // °C, growth stops increasing above this
+  frostThreshold: 0,  // °C daily minimum
+  dryDayMm: 1,        // a day with less rain than this is dry
+  minDrySpell: 10     // consecutive dry days that count as a spell
+};
+
+// POWER marks missing values with -999
+const POWER_FILL_VALUE = -999;
+
+/**
+ * Daily series from a POWER `properties.parameter` object
+ * Returns [{ date: 'YYYY-MM-DD', T2M, PRECTOTCORR, ... }] sorted by date,
+ * with fill values as null.
+ */
+export function parsePowerSeries(parameters) {
+  const byDate = {};
+
+  Object.entries(parameters).forEach(([parameter, values]) => {
+    Object.entries(values).forEach(([day, value]) => {
+      const date = `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`;
+      byDate[date] = byDate[date] || { date };
+      byDate[date][parameter] = value === POWER_FILL_VALUE || value === null ? null : value;
+    });
+  });
+
+  return Object.values(byDate).sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+/**
+ * Mean of a parameter over the series, ignoring missing days
+ */
+export function seriesMean(series, parameter) {
+  const values = series.map(day => day[parameter]).filter(value => value !== null && value !== undefined);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+const monthOf = date => Number(date.slice(5, 7)) - 1;
+
+// ==================== MONTHLY CLIMATOLOGY ====================
+
+/**
+ * Daily growing degree days: mean of capped max and floored min, above base
+ */
+export function dailyGDD(day, base = DEFAULT_CLIMATE_OPTIONS.gddBase, cap = DEFAULT_CLIMATE_OPTIONS.gddCap) {
+  if (day.T2M_MAX === null || day.T2M_MAX === undefined || day.T2M_MIN === null || day.T2M_MIN === undefined) {
+    return day.T2M === null || day.T2M === undefined ? null : Math.max(0, Math.min(day.T2M, cap) - base);
+  }
+  const max = Math.max(Math.min(day.T2M_MAX, cap), base);
+  const min = Math.max(Math.min(day.T2M_MIN, cap), base);
+  return (max + min) / 2 - base;
+}
+
+/**
+ * Per calendar month: mean temperatures and humidity, and per-month totals
+ * of rain (mm), solar energy (kWh/m²) and GDD, scaled to a full month when
+ * days are missing. Months absent from the series are null.
+ */
+export function monthlyClimatology(series, options = {}) {
+  const { gddBase, gddCap } = { ...DEFAULT_CLIMATE_OPTIONS, ...options };
+  const months = Array.from({ length: 12 }, () => ({ days: [] }));
+  series.forEach(day => months[monthOf(day.date)].days.push(day));
+
+  return months.map(({ days }, month) => {
+    if (days.length === 0) return null;
+
+    const mean = parameter => seriesMean(days, parameter);
+    const monthlyTotal = values => {
+      const present = values.filter(value => value !== null && value !== undefined);
+      if (present.length === 0) return null;
+      const daysInMonth = new Date(Date.UTC(2001, month + 1, 0)).getUTCDate();
+      return (present.reduce((sum, value) => sum + value, 0) / present.length) * daysInMonth;
+    };
+
+    return {
+      month,
+      days: days.length,
+      T2M: mean('T2M'),
+      T2M_MIN: mean('T2M_MIN'),
+      T2M_MAX: mean('T2M_MAX'),
+      RH2M: mean('RH2M'),
+      precipitation: monthlyTotal(days.map(day => day.PRECTOTCORR)),
+      solar: monthlyTotal(days.map(day => day.ALLSKY_SFC_SW_DWN)),
+      gdd: monthlyTotal(days.map(day => dailyGDD(day, gddBase, gddCap)))
+    };
+  });
+}
+
+// ==================== SEASONS & SPELLS ====================
+
+/**
+ * Runs of consecutive days matching a predicate, as { start, end, days }
+ * Predicates should reject days with missing values, so gaps break a run.
+ */
+function findRuns(series, predicate) {
+  const runs = [];
+  let current = null;
+
+  series.forEach((day, index) => {
+    if (predicate(day)) {
+      if (!current) current = { startIndex: index, start: day.date };
+      current.end = day.date;
+      current.endIndex = index;
+    } else if (current) {
+      runs.push(current);
+      current = null;
+    }
+  });
+  if (current) runs.push(current);
+
+  return runs.map(run => ({ ...run, days: run.endIndex - run.startIndex + 1 }));
+}
+
+/**
+ * Longest stretch of known frost-free days in the series window
+ * Works for either hemisphere because it follows the data rather than
+ * calendar seasons. Days without a T2M_MIN are unknown and end a stretch;
+ * `truncated` means the stretch runs into the window edge or a missing day,
+ * so the real season may be longer.
+ */
+export function frostFreeSeason(series, options = {}) {
+  const { frostThreshold } = { ...DEFAULT_CLIMATE_OPTIONS, ...options };
+  const isKnown = day => day.T2M_MIN !== null && day.T2M_MIN !== undefined;
+
+  const frostDays = series.filter(day => isKnown(day) && day.T2M_MIN <= frostThreshold).length;
+  const runs = findRuns(series, day => isKnown(day) && day.T2M_MIN > frostThreshold);
+  if (runs.length === 0) return { days: 0, start: null, end: null, frostDays, truncated: false };
+
+  const longest = runs.reduce((best, run) => (run.days > best.days ? run : best));
+  const before = series[longest.startIndex - 1];
+  const after = series[longest.endIndex + 1];
+  return {
+    days: longest.days,
+    start: longest.start,
+    end: longest.end,
+    frostDays,
+    truncated: !before || !isKnown(before) || !after || !isKnown(after)
+  };
+}
+
+/**
+ * Dry spells: runs of at least minDrySpell days under dryDayMm of rain
+ */
+export function drySpells(series, options = {}) {
+  const { dryDayMm, minDrySpell } = { ...DEFAULT_CLIMATE_OPTIONS, ...options };
+  const runs = findRuns(series, day => day.PRECTOTCORR !== null && day.PRECTOTCORR !== undefined && day.PRECTOTCORR < dryDayMm);
+  const spells = runs
+    .filter(run => run.days >= minDrySpell)
+    .map(({ start, end, days }) => ({ start, end, days }));
+
+  return {
+    spells,
+    longest: spells.reduce((best, spell) => (!best || spell.days > best.days ? spell : best), null),
+    dryDays: runs.reduce((sum, run) => sum + run.days, 0),
+    minDrySpell,
+    dryDayMm
+  };
+}
+
+// ==================== SUMMARY ====================
+
+/**
+ * Everything MetricsPanel shows for a daily POWER series
+ */
+export function summarizeGrowingSeason(series, options = {}) {
+  const settings = { ...DEFAULT_CLIMATE_OPTIONS, ...options };
+  const monthly = monthlyClimatology(series, settings);
+  const present = monthly.filter(Boolean);
+  const sum = key => present.reduce((total, month) => total + (month[key] || 0), 0);
+  const sunniest = present.reduce((best, month) => (!best || month.solar > best.solar ? month : best), null);
+
+  return {
+    period: series.length > 0 ? { start: series[0].date, end: series[series.length - 1].date } : null,
+    monthly,
+    gdd: { base: settings.gddBase, total: sum('gdd') },
+    frostFree: frostFreeSeason(series, settings),
+    drySpells: drySpells(series, settings),
+    solar: { annualTotal: sum('solar'), sunniestMonth: sunniest ? sunniest.month : null },
+    precipitationTotal: sum('precipitation'),
+    meanHumidity: seriesMean(series, 'RH2M')
+  };
+}
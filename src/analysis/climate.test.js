@@ -0,0 +1,31 @@
+import { frostFreeSeason } from './climate';
+
+// One day per value of T2M_MIN, from 1 January
+const series = minima => minima.map((T2M_MIN, i) => ({
+  date: `2024-01-${String(i + 1).padStart(2, '0')}`,
+  T2M_MIN
+}));
+
+describe('frostFreeSeason', () => {
+  it('finds the longest run of frost-free days', () => {
+    const season = frostFreeSeason(series([-2, 3, 4, 5, -1, 2, 2, -3]));
+    expect(season).toEqual({ days: 3, start: '2024-01-02', end: '2024-01-04', frostDays: 3, truncated: false });
+  });
+
+  it('treats missing minima as unknown, ending the run', () => {
+    const season = frostFreeSeason(series([-2, 3, 4, null, 5, 6, -1, 1, 1, 1, -1]));
+    expect(season).toMatchObject({ days: 3, start: '2024-01-08', end: '2024-01-10', frostDays: 3 });
+    expect(season.truncated).toBe(false);
+  });
+
+  it('marks a run next to a missing day or the window edge as truncated', () => {
+    expect(frostFreeSeason(series([-2, 3, 4, 5, null, -1])))
+      .toMatchObject({ days: 3, truncated: true });
+    expect(frostFreeSeason(series([3, 4, -1]))).toMatchObject({ days: 2, truncated: true });
+  });
+
+  it('reports no season when every day is frosty or unknown', () => {
+    expect(frostFreeSeason(series([null, -1, undefined])))
+      .toEqual({ days: 0, start: null, end: null, frostDays: 1, truncated: false });
+  });
+});
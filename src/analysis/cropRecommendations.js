@@ -0,0 +1,158 @@
+// cropRecommendations.js - Crop Recommendations from Climate
+// Matches the shipped crop table against a city's monthly POWER climatology; no network needed
+
+import defaultCropTable from '../crops.json';
+
+export const DEFAULT_CROP_TABLE = defaultCropTable;
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Frost-sensitive crops need the month's average daily minimum above this (°C)
+const FROST_SAFE_MIN = 2;
+
+const daysInMonth = month => new Date(Date.UTC(2001, month + 1, 0)).getUTCDate();
+
+// ==================== MONTH FIT ====================
+
+/**
+ * How well one month suits a crop: 1 inside the optimum, falling to 0 at
+ * the crop's temperature limits. Returns { fit, reason } where reason
+ * explains a zero fit.
+ */
+function monthFit(crop, month) {
+  if (!month || month.T2M === null) return { fit: 0, reason: 'no data' };
+
+  const temperature = month.T2M;
+  if (temperature < crop.tempMin) return { fit: 0, reason: 'too cold' };
+  if (temperature > crop.tempMax) return { fit: 0, reason: 'too hot' };
+  if (!crop.frostTolerant && month.T2M_MIN !== null && month.T2M_MIN < FROST_SAFE_MIN) {
+    return { fit: 0, reason: 'frost risk' };
+  }
+  if (month.solar !== null && month.solar / daysInMonth(month.month) < crop.minSolar) {
+    return { fit: 0, reason: 'not enough sun' };
+  }
+
+  const [low, high] = crop.optimal;
+  if (temperature < low) return { fit: (temperature - crop.tempMin) / (low - crop.tempMin || 1) };
+  if (temperature > high) return { fit: (crop.tempMax - temperature) / (crop.tempMax - high || 1) };
+  return { fit: 1 };
+}
+
+/**
+ * Group month indexes into readable ranges, wrapping over the new year
+ * e.g. [10, 11, 0, 3] → "Nov–Jan, Apr"
+ */
+export function formatMonthRanges(months) {
+  if (months.length === 0) return '';
+  if (months.length === 12) return 'all year';
+
+  const set = new Set(months);
+  // Start from a month whose predecessor is not included, so wrapped runs stay together
+  const first = months.find(m => !set.has((m + 11) % 12));
+  const ranges = [];
+  let start = null;
+  let previous = null;
+
+  for (let i = 0; i < 12; i++) {
+    const month = (first + i) % 12;
+    if (set.has(month)) {
+      if (start === null) start = month;
+      previous = month;
+    } else if (start !== null) {
+      ranges.push([start, previous]);
+      start = null;
+    }
+  }
+  if (start !== null) ranges.push([start, previous]);
+
+  return ranges
+    .map(([from, to]) => (from === to ? MONTH_NAMES[from] : `${MONTH_NAMES[from]}–${MONTH_NAMES[to]}`))
+    .join(', ');
+}
+
+// ==================== RECOMMENDATIONS ====================
+
+/**
+ * Evaluate one crop against 12 monthly climatology entries
+ * A planting month is valid when it and the following months covering the
+ * crop's season all fit; windows wrap over the new year, so southern
+ * hemisphere and tropical cities work without special cases.
+ */
+function evaluateCrop(crop, monthly) {
+  const fits = monthly.map(month => monthFit(crop, month));
+  const seasonMonths = Math.max(1, Math.ceil(crop.seasonDays / 30));
+
+  if (seasonMonths > 12) {
+    return { crop, plantingMonths: [], reason: 'season longer than a year' };
+  }
+
+  const windows = [];
+  for (let start = 0; start < 12; start++) {
+    const months = Array.from({ length: seasonMonths }, (_, i) => (start + i) % 12);
+    if (months.every(m => fits[m].fit > 0)) {
+      windows.push({
+        start,
+        months,
+        fit: months.reduce((sum, m) => sum + fits[m].fit, 0) / months.length
+      });
+    }
+  }
+
+  if (windows.length === 0) {
+    // Longest run of suitable months, counted around the year
+    let longestRun = 0;
+    let run = 0;
+    for (let i = 0; i < 24; i++) {
+      run = fits[i % 12].fit > 0 ? run + 1 : 0;
+      longestRun = Math.max(longestRun, Math.min(run, 12));
+    }
+    if (longestRun > 0) {
+      return {
+        crop,
+        plantingMonths: [],
+        reason: `growing season too short (${longestRun} of ${seasonMonths} months needed)`
+      };
+    }
+
+    // Most common blocking reason across the year
+    const counts = {};
+    fits.forEach(({ reason }) => {
+      counts[reason] = (counts[reason] || 0) + 1;
+    });
+    const [reason] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return { crop, plantingMonths: [], reason };
+  }
+
+  const best = windows.reduce((a, b) => (b.fit > a.fit ? b : a));
+  const rain = best.months.reduce((sum, m) => sum + (monthly[m]?.precipitation || 0), 0);
+  const rainShare = Math.min(rain / crop.waterMm, 1);
+
+  return {
+    crop,
+    plantingMonths: windows.map(w => w.start),
+    bestPlantingMonth: best.start,
+    harvestMonth: (best.start + seasonMonths) % 12,
+    temperatureFit: best.fit,
+    rainShare,
+    irrigationMm: Math.max(0, Math.round(crop.waterMm - rain)),
+    // Rain-fed crops rank above ones that need a lot of irrigation
+    score: best.fit * (0.7 + 0.3 * rainShare)
+  };
+}
+
+/**
+ * Suitable crops (best first) with planting windows, and unsuitable ones with a reason
+ * monthly is the 12-entry climatology from summarizeGrowingSeason.
+ */
+export function recommendCrops(monthly, cropTable = DEFAULT_CROP_TABLE) {
+  const results = cropTable.crops.map(crop => evaluateCrop(crop, monthly));
+
+  return {
+    suitable: results
+      .filter(result => result.plantingMonths.length > 0)
+      .sort((a, b) => b.score - a.score),
+    unsuitable: results.filter(result => result.plantingMonths.length === 0),
+    tableName: cropTable.name,
+    tableVersion: cropTable.version
+  };
+}
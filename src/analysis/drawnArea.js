@@ -0,0 +1,93 @@
+// drawnArea.js - Hand-Drawn Study Areas
+// Turns a rectangle, polygon or circle drawn in CitySelector into a city for fetchAllCityData
+
+import { boundaryAreaKm2, circlePolygon, geometryBounds } from './geometry';
+
+/**
+ * Shapes are plain data so they can be edited, stored and put in links:
+ *   { type: 'rectangle', bounds: [south, north, west, east] }
+ *   { type: 'polygon', vertices: [[lat, lng], ...] }   (3 or more, open ring)
+ *   { type: 'circle', center: [lat, lng], radiusKm }
+ */
+export function shapeToGeometry(shape) {
+  if (shape.type === 'rectangle') {
+    const [south, north, west, east] = shape.bounds;
+    return {
+      type: 'Polygon',
+      coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+    };
+  }
+  if (shape.type === 'circle') {
+    return circlePolygon(shape.center[0], shape.center[1], shape.radiusKm * 1000);
+  }
+
+  const ring = shape.vertices.map(([lat, lng]) => [lng, lat]);
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+}
+
+/**
+ * City object for a drawn shape; the shape rides along for links and editing
+ */
+export function drawnAreaCity(shape, name = 'Custom Area') {
+  const boundary = shapeToGeometry(shape);
+  const boundingBox = geometryBounds(boundary);
+  const [south, north, west, east] = boundingBox;
+
+  return {
+    name,
+    lat: shape.type === 'circle' ? shape.center[0] : (south + north) / 2,
+    lng: shape.type === 'circle' ? shape.center[1] : (west + east) / 2,
+    boundingBox,
+    boundary,
+    source: 'drawn',
+    shape
+  };
+}
+
+/**
+ * Area of a drawn shape in km², for sanity-checking before a fetch
+ */
+export function shapeAreaKm2(shape) {
+  return boundaryAreaKm2(shapeToGeometry(shape));
+}
+
+// ==================== LINK ENCODING ====================
+
+const fixed = value => Number(value.toFixed(5));
+
+/**
+ * Compact text form used by shareable links, e.g. `circle:-1.31,36.78,2`
+ */
+export function encodeShape(shape) {
+  if (shape.type === 'rectangle') return `rect:${shape.bounds.map(fixed).join(',')}`;
+  if (shape.type === 'circle') return `circle:${fixed(shape.center[0])},${fixed(shape.center[1])},${shape.radiusKm}`;
+  return `poly:${shape.vertices.map(([lat, lng]) => `${fixed(lat)},${fixed(lng)}`).join(';')}`;
+}
+
+/**
+ * Inverse of encodeShape; null for anything malformed
+ */
+export function decodeShape(text) {
+  const match = /^(rect|circle|poly):(.+)$/.exec(text || '');
+  if (!match) return null;
+  const numbers = value => value.split(',').map(Number);
+  const valid = values => values.every(Number.isFinite);
+
+  if (match[1] === 'rect') {
+    const bounds = numbers(match[2]);
+    return bounds.length === 4 && valid(bounds) && bounds[0] < bounds[1] && bounds[2] < bounds[3]
+      ? { type: 'rectangle', bounds }
+      : null;
+  }
+  if (match[1] === 'circle') {
+    const [lat, lng, radiusKm] = numbers(match[2]);
+    return valid([lat, lng, radiusKm]) && radiusKm > 0
+      ? { type: 'circle', center: [lat, lng], radiusKm }
+      : null;
+  }
+
+  const vertices = match[2].split(';').map(numbers);
+  return vertices.length >= 3 && vertices.every(vertex => vertex.length === 2 && valid(vertex))
+    ? { type: 'polygon', vertices }
+    : null;
+}
@@ -0,0 +1,230 @@
+// farmSuitability.js - Urban Farm Site Suitability
+// Scores food desert grid cells as candidate urban farm sites and ranks the best ones
+
+import { haversineDistance } from './geometry';
+import { gridStats, gridValueAt } from '../rasters';
+
+// Relative importance of each criterion; criteria without data are left out
+export const DEFAULT_SUITABILITY_WEIGHTS = {
+  distance: 30,
+  desert: 25,
+  solar: 15,
+  precipitation: 10,
+  ndvi: 10,
+  lst: 10
+};
+
+export const CRITERIA_LABELS = {
+  distance: 'Distance to healthy food',
+  desert: 'Food desert',
+  solar: 'Solar irradiance',
+  precipitation: 'Precipitation',
+  ndvi: 'Vegetation (NDVI)',
+  lst: 'Surface heat (LST)'
+};
+
+export const DEFAULT_SUITABILITY_OPTIONS = {
+  maxSites: 10,
+  minSpacing: 1000 // metres between recommended sites
+};
+
+// Marker/badge colour by suitability score (0-100)
+export const getSiteColor = score => {
+  if (score >= 70) return '#0d5e3a';
+  if (score >= 50) return '#10b981';
+  return '#fbbf24';
+};
+
+const clamp01 = value => Math.min(Math.max(value, 0), 1);
+
+// ==================== CRITERIA ====================
+// Each criterion returns { score: 0..1, explanation } for a cell, or null when it has no data there
+
+/**
+ * Further from healthy food = more need; full score at twice the desert threshold
+ */
+function scoreDistance(cell, context) {
+  const distance = cell.nearestHealthyDistance;
+  if (distance === null || !Number.isFinite(distance)) {
+    return { score: 1, explanation: 'No healthy outlet anywhere in the city' };
+  }
+  return {
+    score: clamp01(distance / (2 * context.threshold)),
+    explanation: `${(distance / 1000).toFixed(1)} km to the nearest healthy outlet`
+  };
+}
+
+function scoreDesert(cell, context) {
+  if (cell.isFoodDesert) {
+    return { score: 1, explanation: `Inside a food desert (> ${context.threshold} m)` };
+  }
+  if (cell.nearestHealthyDistance > context.threshold * 0.66) {
+    return { score: 0.5, explanation: 'Near the food desert threshold' };
+  }
+  return { score: 0, explanation: 'Already within walking distance of healthy food' };
+}
+
+/**
+ * Leafy vegetables want 3+ kWh/m²/day, fruiting crops 5+
+ */
+function scoreSolar(cell, context) {
+  const solar = context.solar;
+  if (solar === null) return null;
+
+  let note = 'low - shade-tolerant greens only';
+  if (solar >= 5) note = 'good for fruiting vegetables';
+  else if (solar >= 3) note = 'fine for leafy greens';
+
+  return {
+    score: clamp01((solar - 2) / 3),
+    explanation: `${solar.toFixed(1)} kWh/m²/day (${note})`
+  };
+}
+
+/**
+ * 2-5 mm/day covers most vegetables; drier needs irrigation, wetter risks waterlogging
+ */
+function scorePrecipitation(cell, context) {
+  const rain = context.precipitation;
+  if (rain === null) return null;
+
+  let score = 1;
+  let note = 'adequate rainfall';
+  if (rain < 2) {
+    score = clamp01(rain / 2);
+    note = 'irrigation needed';
+  } else if (rain > 5) {
+    score = clamp01(1 - (rain - 5) / 5);
+    note = 'drainage needed';
+  }
+
+  return { score, explanation: `${rain.toFixed(1)} mm/day (${note})` };
+}
+
+/**
+ * Open ground (grass, vacant lots) is ideal; pavement is hard to convert
+ * and dense vegetation is usually parkland or woods worth keeping
+ */
+function scoreNDVI(cell, context) {
+  if (!context.ndviGrid) return null;
+  const ndvi = gridValueAt(context.ndviGrid, cell.lat, cell.lng);
+  if (ndvi === null) return null;
+
+  let note = 'open vegetated ground';
+  if (ndvi < 0.15) note = 'mostly built up or paved';
+  else if (ndvi > 0.6) note = 'dense vegetation, likely parkland';
+
+  return {
+    score: clamp01(1 - Math.abs(ndvi - 0.35) / 0.35),
+    explanation: `NDVI ${ndvi.toFixed(2)} (${note})`
+  };
+}
+
+/**
+ * Hotter cells gain most from new green space (urban heat island relief)
+ */
+function scoreLST(cell, context) {
+  if (!context.lstGrid) return null;
+  const lst = gridValueAt(context.lstGrid, cell.lat, cell.lng);
+  if (lst === null) return null;
+
+  const { min, max, mean } = context.lstStats;
+  const difference = lst - mean;
+  return {
+    score: clamp01((lst - min) / (max - min || 1)),
+    explanation: `${lst.toFixed(1)} °C, ${Math.abs(difference).toFixed(1)} °C ${difference >= 0 ? 'hotter' : 'cooler'} than the city average`
+  };
+}
+
+const CRITERIA = {
+  distance: scoreDistance,
+  desert: scoreDesert,
+  solar: scoreSolar,
+  precipitation: scorePrecipitation,
+  ndvi: scoreNDVI,
+  lst: scoreLST
+};
+
+// ==================== RANKING ====================
+
+/**
+ * Mean of a NASA POWER parameter, or null when it is missing
+ */
+function powerMean(powerData, parameter) {
+  const mean = powerData?.data?.[parameter]?.mean;
+  return Number.isFinite(mean) ? mean : null;
+}
+
+/**
+ * Score every grid cell and return the best, well-spaced candidate sites
+ *
+ * inputs: { foodDesertGrid, powerData, ndviGrid, lstGrid }
+ * Each site carries its weighted score (0-100) and one explanation per
+ * criterion. Criteria with no data are skipped and the remaining weights
+ * renormalised, so a missing layer never drags a site down. A cell with
+ * no weighted criterion to score is not a candidate, so all-zero weights
+ * return no sites.
+ */
+export function rankFarmSites(inputs, weights = DEFAULT_SUITABILITY_WEIGHTS, options = {}) {
+  const { foodDesertGrid, powerData = null, ndviGrid = null, lstGrid = null } = inputs;
+  const { maxSites, minSpacing } = { ...DEFAULT_SUITABILITY_OPTIONS, ...options };
+
+  const context = {
+    threshold: foodDesertGrid.thresholdMeters,
+    solar: powerMean(powerData, 'ALLSKY_SFC_SW_DWN'),
+    precipitation: powerMean(powerData, 'PRECTOTCORR'),
+    ndviGrid,
+    lstGrid,
+    lstStats: lstGrid ? gridStats(lstGrid) : null
+  };
+
+  const activeCriteria = Object.keys(CRITERIA).filter(key => (weights[key] || 0) > 0);
+
+  const scored = foodDesertGrid.cells.map(cell => {
+    const criteria = [];
+    let weighted = 0;
+    let totalWeight = 0;
+
+    activeCriteria.forEach(key => {
+      const result = CRITERIA[key](cell, context);
+      if (!result) return;
+      criteria.push({ key, label: CRITERIA_LABELS[key], weight: weights[key], ...result });
+      weighted += weights[key] * result.score;
+      totalWeight += weights[key];
+    });
+
+    if (totalWeight === 0) return null;
+    return {
+      id: cell.id,
+      lat: cell.lat,
+      lng: cell.lng,
+      score: (weighted / totalWeight) * 100,
+      criteria
+    };
+  });
+
+  const candidates = scored.filter(Boolean);
+  candidates.sort((a, b) => b.score - a.score);
+
+  // Greedy pick so recommendations don't all land in adjacent cells
+  const sites = [];
+  for (const candidate of candidates) {
+    if (sites.length >= maxSites) break;
+    const tooClose = sites.some(site =>
+      haversineDistance(site.lat, site.lng, candidate.lat, candidate.lng) < minSpacing
+    );
+    if (!tooClose) sites.push({ ...candidate, rank: sites.length + 1 });
+  }
+
+  const usedCriteria = activeCriteria.filter(key =>
+    sites.some(site => site.criteria.some(c => c.key === key))
+  );
+
+  return {
+    sites,
+    candidateCount: candidates.length,
+    criteria: usedCriteria,
+    weights,
+    minSpacing
+  };
+}
@@ -0,0 +1,196 @@
+// foodDesertGrid.js - Food Desert Grid Analysis
+// Lays a square or hex grid over the city and measures distance to healthy food
+
+import { haversineDistance, isPolygonal, pointInBoundary } from './geometry';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+export const DEFAULT_GRID_OPTIONS = {
+  shape: 'square',        // 'square' or 'hex'
+  cellSize: 500,          // metres (hex: distance across flats)
+  thresholdMeters: 1200,  // 15-minute walk at 5km/h
+  maxCells: 20000         // cell size grows to stay under this
+};
+
+// ==================== GRID CONSTRUCTION ====================
+
+/**
+ * Metres per degree of longitude at a given latitude
+ */
+function metersPerDegreeLng(lat) {
+  return METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+}
+
+/**
+ * Square cell ring around a centre, as GeoJSON [lng, lat] pairs
+ */
+function squareRing(lat, lng, halfLat, halfLng) {
+  return [
+    [lng - halfLng, lat - halfLat],
+    [lng + halfLng, lat - halfLat],
+    [lng + halfLng, lat + halfLat],
+    [lng - halfLng, lat + halfLat],
+    [lng - halfLng, lat - halfLat]
+  ];
+}
+
+/**
+ * Pointy-top hexagon ring around a centre, as GeoJSON [lng, lat] pairs
+ */
+function hexRing(lat, lng, radiusLat, radiusLng) {
+  const ring = [];
+  for (let i = 0; i < 6; i++) {
+    const angle = (Math.PI / 180) * (60 * i - 30);
+    ring.push([lng + radiusLng * Math.cos(angle), lat + radiusLat * Math.sin(angle)]);
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * Estimate how many cells a grid would have before building it
+ */
+function estimateCellCount(bbox, shape, cellSize) {
+  const [south, north, west, east] = bbox;
+  const midLat = (south + north) / 2;
+  const heightM = (north - south) * METERS_PER_DEGREE_LAT;
+  const widthM = (east - west) * metersPerDegreeLng(midLat);
+  const cellArea = shape === 'hex' ? (Math.sqrt(3) / 2) * cellSize * cellSize : cellSize * cellSize;
+  return (heightM * widthM) / cellArea;
+}
+
+/**
+ * Build grid cells covering a bbox, keeping only cells whose centre is
+ * inside the boundary (when the boundary is a polygon)
+ */
+export function buildGrid(bbox, boundary, options = {}) {
+  const { shape, maxCells } = { ...DEFAULT_GRID_OPTIONS, ...options };
+  let cellSize = options.cellSize || DEFAULT_GRID_OPTIONS.cellSize;
+
+  // Grow cells for very large areas rather than freezing the browser
+  const estimate = estimateCellCount(bbox, shape, cellSize);
+  if (estimate > maxCells) {
+    cellSize = Math.ceil(cellSize * Math.sqrt(estimate / maxCells));
+  }
+
+  const [south, north, west, east] = bbox;
+  const midLat = (south + north) / 2;
+  const lngScale = metersPerDegreeLng(midLat);
+  const clip = isPolygonal(boundary);
+  const cells = [];
+
+  if (shape === 'hex') {
+    const radius = cellSize / Math.sqrt(3);
+    const stepLat = (1.5 * radius) / METERS_PER_DEGREE_LAT;
+    const stepLng = cellSize / lngScale;
+    const radiusLat = radius / METERS_PER_DEGREE_LAT;
+    const radiusLng = radius / lngScale;
+
+    for (let row = 0, lat = south; lat <= north + stepLat; row++, lat += stepLat) {
+      const offset = row % 2 === 1 ? stepLng / 2 : 0;
+      for (let lng = west + offset; lng <= east + stepLng; lng += stepLng) {
+        if (clip && !pointInBoundary(lat, lng, boundary)) continue;
+        cells.push({ id: cells.length, lat, lng, ring: hexRing(lat, lng, radiusLat, radiusLng) });
+      }
+    }
+  } else {
+    const stepLat = cellSize / METERS_PER_DEGREE_LAT;
+    const stepLng = cellSize / lngScale;
+
+    for (let lat = south + stepLat / 2; lat < north + stepLat / 2; lat += stepLat) {
+      for (let lng = west + stepLng / 2; lng < east + stepLng / 2; lng += stepLng) {
+        if (clip && !pointInBoundary(lat, lng, boundary)) continue;
+        cells.push({ id: cells.length, lat, lng, ring: squareRing(lat, lng, stepLat / 2, stepLng / 2) });
+      }
+    }
+  }
+
+  return { shape, cellSize, cells };
+}
+
+// ==================== FOOD DESERT ANALYSIS ====================
+
+/**
+ * Distance from a point to the nearest of a set of outlets, in metres
+ * Uses a cheap degree-space pre-check before the haversine call.
+ */
+export function nearestDistance(lat, lng, outlets) {
+  let best = Infinity;
+  const lngScale = Math.cos((lat * Math.PI) / 180);
+
+  outlets.forEach(outlet => {
+    const dLat = (outlet.lat - lat) * METERS_PER_DEGREE_LAT;
+    const dLng = (outlet.lng - lng) * METERS_PER_DEGREE_LAT * lngScale;
+    // Equirectangular distance is within a fraction of a percent at city scale
+    if (Math.abs(dLat) > best || Math.abs(dLng) > best) return;
+
+    const distance = haversineDistance(lat, lng, outlet.lat, outlet.lng);
+    if (distance < best) best = distance;
+  });
+
+  return best;
+}
+
+/**
+ * Run food desert analysis for a city
+ * Every cell gets the distance to the nearest healthy_primary outlet and
+ * is flagged as a food desert when that distance exceeds the threshold.
+ */
+export function analyzeFoodDeserts(cityData, foodOutlets, options = {}) {
+  const settings = { ...DEFAULT_GRID_OPTIONS, ...options };
+  const { shape, cellSize, cells } = buildGrid(cityData.boundingBox, cityData.boundary, settings);
+
+  const healthyOutlets = (foodOutlets || []).filter(o => o.type === 'healthy_primary');
+
+  const analyzedCells = cells.map(cell => {
+    const distance = nearestDistance(cell.lat, cell.lng, healthyOutlets);
+    return {
+      ...cell,
+      nearestHealthyDistance: distance,
+      isFoodDesert: distance > settings.thresholdMeters
+    };
+  });
+
+  const desertCells = analyzedCells.filter(cell => cell.isFoodDesert).length;
+
+  return {
+    shape,
+    cellSize,
+    thresholdMeters: settings.thresholdMeters,
+    cells: analyzedCells,
+    totalCells: analyzedCells.length,
+    desertCells,
+    // Cells are equal-area, so cell share is area share
+    desertAreaShare: analyzedCells.length > 0 ? desertCells / analyzedCells.length : 0
+  };
+}
+
+/**
+ * Choropleth colour for a cell's distance to the nearest healthy outlet
+ */
+export function getDesertCellColor(distance, threshold) {
+  if (!Number.isFinite(distance) || distance > threshold) return '#dc2626';
+  if (distance > threshold * 0.66) return '#fbbf24';
+  if (distance > threshold * 0.33) return '#84cc16';
+  return '#0d5e3a';
+}
+
+/**
+ * Convert analyzed cells to a GeoJSON FeatureCollection for mapping/export
+ */
+export function gridToGeoJSON(grid) {
+  return {
+    type: 'FeatureCollection',
+    features: grid.cells.map(cell => ({
+      type: 'Feature',
+      id: cell.id,
+      geometry: { type: 'Polygon', coordinates: [cell.ring] },
+      properties: {
+        nearestHealthyDistance: Number.isFinite(cell.nearestHealthyDistance)
+          ? Math.round(cell.nearestHealthyDistance)
+          : null,
+        isFoodDesert: cell.isFoodDesert
+      }
+    }))
+  };
+}
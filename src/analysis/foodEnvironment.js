@@ -0,0 +1,148 @@
+// foodEnvironment.js - Standard Food Environment Indices
+// CDC mRFEI, RFEI and outlet densities, city-wide and per grid cell, from OSM shop/amenity types
+
+import { gridValueAt } from '../rasters';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// The indices have fixed published definitions, so they count OSM types
+// directly instead of following the editable classification rules.
+// OSM has no store size; shop=grocery is read as a small grocery.
+export const MRFEI_HEALTHY_TYPES = ['supermarket', 'greengrocer', 'farm', 'marketplace'];
+export const MRFEI_LESS_HEALTHY_TYPES = ['fast_food', 'convenience', 'grocery'];
+export const RFEI_NUMERATOR_TYPES = ['fast_food', 'convenience'];
+export const RFEI_DENOMINATOR_TYPES = ['supermarket', 'greengrocer', 'farm', 'marketplace'];
+
+export const DEFAULT_ENVIRONMENT_OPTIONS = {
+  bufferMeters: 805,           // half a mile, the buffer the CDC used around census tracts
+  minPopulationDensity: 50     // people/km²; sparser cells get no per-resident figures
+};
+
+// Short notes shown next to each index
+export const INDEX_METHODOLOGY = {
+  mrfei: 'CDC modified Retail Food Environment Index (2011): 100 × healthy retailers ÷ (healthy + ' +
+    'less healthy retailers). Healthy: supermarkets, greengrocers, farm shops, marketplaces. Less ' +
+    'healthy: fast food, convenience stores, small groceries. 0 = no healthy retailers; higher is better.',
+  rfei: 'Retail Food Environment Index (CCPHA 2007): (fast food + convenience stores) ÷ (supermarkets + ' +
+    'produce outlets). Lower is better; not defined where there are no supermarkets or produce outlets.',
+  density: 'Outlets per km² of boundary area and per 10,000 residents (population from a loaded GPWv4 ' +
+    'grid, otherwise the OSM population tag).',
+  grid: 'Per cell, outlets are counted within a half-mile (805 m) radius of the cell centre, following ' +
+    'the CDC tract-plus-buffer method; per-resident figures use the population density at the centre.'
+};
+
+// Per-area figures that can be mapped or ranked; `better` is the good end
+export const ENVIRONMENT_METRICS = [
+  { key: 'mrfei', label: 'mRFEI', better: 'higher', digits: 1 },
+  { key: 'rfei', label: 'RFEI', better: 'lower', digits: 2 },
+  { key: 'outletsPerKm2', label: 'Outlets / km²', digits: 1 },
+  { key: 'healthyPerKm2', label: 'Healthy / km²', better: 'higher', digits: 1 },
+  { key: 'unhealthyPerKm2', label: 'Unhealthy / km²', better: 'lower', digits: 1 },
+  { key: 'outletsPer10k', label: 'Outlets / 10k residents', digits: 1 },
+  { key: 'healthyPer10k', label: 'Healthy / 10k residents', better: 'higher', digits: 1 },
+  { key: 'unhealthyPer10k', label: 'Unhealthy / 10k residents', better: 'lower', digits: 1 }
+];
+
+// ==================== INDICES ====================
+
+/**
+ * Outlet counts behind the indices
+ */
+export function retailCounts(outlets) {
+  const counts = {
+    total: 0,
+    healthy: 0,
+    unhealthy: 0,
+    mrfeiHealthy: 0,
+    mrfeiLessHealthy: 0,
+    rfeiNumerator: 0,
+    rfeiDenominator: 0
+  };
+
+  outlets.forEach(outlet => addToCounts(counts, outlet));
+  return counts;
+}
+
+function addToCounts(counts, outlet) {
+  const rawType = outlet.rawType;
+  counts.total++;
+  if (outlet.type === 'healthy_primary') counts.healthy++;
+  if (outlet.type === 'unhealthy') counts.unhealthy++;
+  if (MRFEI_HEALTHY_TYPES.includes(rawType)) counts.mrfeiHealthy++;
+  if (MRFEI_LESS_HEALTHY_TYPES.includes(rawType)) counts.mrfeiLessHealthy++;
+  if (RFEI_NUMERATOR_TYPES.includes(rawType)) counts.rfeiNumerator++;
+  if (RFEI_DENOMINATOR_TYPES.includes(rawType)) counts.rfeiDenominator++;
+}
+
+/**
+ * mRFEI, RFEI and densities from counts over an area
+ * Indices are null when undefined (no qualifying retailers); per 10k
+ * figures are null without a population.
+ */
+export function environmentIndices(counts, areaKm2, population) {
+  const perKm2 = value => (areaKm2 > 0 ? value / areaKm2 : null);
+  const per10k = value => (population ? (value / population) * 10000 : null);
+  const mrfeiTotal = counts.mrfeiHealthy + counts.mrfeiLessHealthy;
+
+  return {
+    mrfei: mrfeiTotal > 0 ? (100 * counts.mrfeiHealthy) / mrfeiTotal : null,
+    rfei: counts.rfeiDenominator > 0 ? counts.rfeiNumerator / counts.rfeiDenominator : null,
+    outletsPerKm2: perKm2(counts.total),
+    healthyPerKm2: perKm2(counts.healthy),
+    unhealthyPerKm2: perKm2(counts.unhealthy),
+    outletsPer10k: per10k(counts.total),
+    healthyPer10k: per10k(counts.healthy),
+    unhealthyPer10k: per10k(counts.unhealthy)
+  };
+}
+
+// ==================== PER GRID CELL ====================
+
+/**
+ * Indices for every cell of a food desert grid, in the same order as grid.cells
+ *
+ * Each cell counts the outlets within bufferMeters of its centre. With a
+ * (non-proxy) population grid, per 10k figures use the density at the
+ * cell centre.
+ */
+export function foodEnvironmentGrid(grid, outlets, options = {}) {
+  const { bufferMeters, minPopulationDensity, populationGrid } = { ...DEFAULT_ENVIRONMENT_OPTIONS, ...options };
+  const bufferKm2 = (Math.PI * bufferMeters * bufferMeters) / 1e6;
+  const density = populationGrid && !populationGrid.isProxy ? populationGrid : null;
+
+  // Bucket outlets into buffer-sized squares so each cell checks 3×3 buckets
+  const midLat = grid.cells.length > 0 ? grid.cells[0].lat : 0;
+  const lngScale = METERS_PER_DEGREE_LAT * Math.cos((midLat * Math.PI) / 180);
+  const bucketOf = (lat, lng) => [
+    Math.floor((lat * METERS_PER_DEGREE_LAT) / bufferMeters),
+    Math.floor((lng * lngScale) / bufferMeters)
+  ];
+  const buckets = new Map();
+  outlets.forEach(outlet => {
+    if (!outlet.lat || !outlet.lng) return;
+    const key = bucketOf(outlet.lat, outlet.lng).join(',');
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(outlet);
+  });
+
+  const cells = grid.cells.map(cell => {
+    const counts = retailCounts([]);
+    const [row, col] = bucketOf(cell.lat, cell.lng);
+
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) {
+        (buckets.get(`${r},${c}`) || []).forEach(outlet => {
+          const dy = (outlet.lat - cell.lat) * METERS_PER_DEGREE_LAT;
+          const dx = (outlet.lng - cell.lng) * lngScale;
+          if (dx * dx + dy * dy <= bufferMeters * bufferMeters) addToCounts(counts, outlet);
+        });
+      }
+    }
+
+    const peoplePerKm2 = density ? gridValueAt(density, cell.lat, cell.lng) : null;
+    const population = peoplePerKm2 >= minPopulationDensity ? peoplePerKm2 * bufferKm2 : null;
+    return { id: cell.id, counts, ...environmentIndices(counts, bufferKm2, population) };
+  });
+
+  return { bufferMeters, hasPopulation: Boolean(density), cells };
+}
@@ -0,0 +1,284 @@
+// geometry.js - Shared Geometry Helpers
+// Point-in-polygon tests and distances for GeoJSON city boundaries
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Whether a GeoJSON geometry is an area we can clip against
+ * (Nominatim returns a Point for some places)
+ */
+export function isPolygonal(geometry) {
+  return Boolean(geometry) &&
+    (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon');
+}
+
+/**
+ * Ray-casting test of a [lng, lat] point against one linear ring
+ */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Polygon rings are [outer, ...holes]; a point inside any hole is outside
+ */
+function pointInPolygonRings(lng, lat, rings) {
+  if (!rings.length || !pointInRing(lng, lat, rings[0])) return false;
+
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(lng, lat, rings[i])) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test whether a lat/lng falls inside a GeoJSON Polygon or MultiPolygon
+ * Holes are respected. Non-polygonal geometries always return true so
+ * callers can pass whatever boundary geocoding gave them.
+ */
+export function pointInBoundary(lat, lng, geometry) {
+  if (!isPolygonal(geometry)) return true;
+
+  if (geometry.type === 'Polygon') {
+    return pointInPolygonRings(lng, lat, geometry.coordinates);
+  }
+
+  return geometry.coordinates.some(polygon => pointInPolygonRings(lng, lat, polygon));
+}
+
+/**
+ * Great-circle distance between two lat/lng points, in metres
+ */
+export function haversineDistance(lat1, lng1, lat2, lng2) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Whether segment p1-p2 crosses segment p3-p4 ([x, y] pairs)
+ */
+function segmentsIntersect(p1, p2, p3, p4) {
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+/**
+ * Whether a [south, north, west, east] bbox overlaps a Polygon/MultiPolygon
+ * Non-polygonal geometries always return true.
+ */
+export function bboxIntersectsBoundary(bbox, geometry) {
+  if (!isPolygonal(geometry)) return true;
+
+  const [south, north, west, east] = bbox;
+  const corners = [[west, south], [east, south], [east, north], [west, north]];
+
+  // Tile corner inside the boundary
+  if (corners.some(([lng, lat]) => pointInBoundary(lat, lng, geometry))) return true;
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const tileEdges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+
+  return polygons.some(rings => rings.some(ring => ring.some((point, i) => {
+    const [lng, lat] = point;
+    // Boundary vertex inside the tile
+    if (lat >= south && lat <= north && lng >= west && lng <= east) return true;
+    // Boundary edge crossing a tile edge
+    const nextPoint = ring[i + 1];
+    return Boolean(nextPoint) && tileEdges.some(([a, b]) => segmentsIntersect(point, nextPoint, a, b));
+  })));
+}
+
+/**
+ * Area of one [lng, lat] ring in m² (spherical excess formula, always positive)
+ */
+function ringArea(ring) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  let total = 0;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+/**
+ * Area of a Polygon/MultiPolygon in km², holes subtracted
+ * Falls back to the [south, north, west, east] bbox for other geometries.
+ */
+export function boundaryAreaKm2(geometry, bbox) {
+  if (!isPolygonal(geometry)) {
+    const [south, north, west, east] = bbox;
+    return ringArea([[west, south], [east, south], [east, north], [west, north], [west, south]]) / 1e6;
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const area = polygons.reduce((sum, [outer, ...holes]) =>
+    sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0), 0);
+
+  return area / 1e6;
+}
+
+/**
+ * GeoJSON Polygon approximating a circle on the sphere
+ */
+export function circlePolygon(lat, lng, radiusMeters, steps = 64) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const toDeg = rad => (rad * 180) / Math.PI;
+  const angular = radiusMeters / EARTH_RADIUS_M;
+  const lat1 = toRad(lat);
+  const lng1 = toRad(lng);
+
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    const bearing = (2 * Math.PI * i) / steps;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+      Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([toDeg(lng2), toDeg(lat2)]);
+  }
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * [south, north, west, east] bounds of a Polygon/MultiPolygon
+ */
+export function geometryBounds(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const points = polygons.flatMap(rings => rings[0]);
+  const lats = points.map(([, lat]) => lat);
+  const lngs = points.map(([lng]) => lng);
+  return [Math.min(...lats), Math.max(...lats), Math.min(...lngs), Math.max(...lngs)];
+}
+
+/**
+ * A [lat, lng] point inside a Polygon/MultiPolygon, or null if degenerate
+ * Takes the middle of the widest inside span along each polygon's middle
+ * latitude, so unlike the bbox centre it lands inside C-shaped areas and
+ * outside holes.
+ */
+export function interiorPoint(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  let best = null;
+
+  polygons.forEach(rings => {
+    const lats = rings[0].map(([, lat]) => lat);
+    const lat = (Math.min(...lats) + Math.max(...lats)) / 2;
+
+    const crossings = [];
+    rings.forEach(ring => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat)) crossings.push(((xj - xi) * (lat - yi)) / (yj - yi) + xi);
+      }
+    });
+    crossings.sort((a, b) => a - b);
+
+    // Crossings pair up into inside spans
+    for (let k = 0; k + 1 < crossings.length; k += 2) {
+      const width = crossings[k + 1] - crossings[k];
+      if (!best || width > best.width) best = { width, lat, lng: (crossings[k] + crossings[k + 1]) / 2 };
+    }
+  });
+
+  return best ? [best.lat, best.lng] : null;
+}
+
+// ==================== OSM ELEMENTS ====================
+
+const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Join way segments end to end into closed rings
+ * Relations list their boundary as many ways in no particular order or
+ * direction. Segments that never close are dropped.
+ */
+function assembleRings(segments) {
+  const open = segments.filter(segment => segment.length > 1).map(segment => [...segment]);
+  const rings = [];
+
+  while (open.length > 0) {
+    const ring = open.shift();
+    let extended = true;
+
+    while (!samePoint(ring[0], ring[ring.length - 1]) && extended) {
+      extended = false;
+      const end = ring[ring.length - 1];
+      const next = open.findIndex(segment => samePoint(segment[0], end) || samePoint(segment[segment.length - 1], end));
+      if (next >= 0) {
+        const [segment] = open.splice(next, 1);
+        const oriented = samePoint(segment[0], end) ? segment : [...segment].reverse();
+        ring.push(...oriented.slice(1));
+        extended = true;
+      }
+    }
+
+    if (ring.length >= 4 && samePoint(ring[0], ring[ring.length - 1])) rings.push(ring);
+  }
+
+  return rings;
+}
+
+/**
+ * Polygon/MultiPolygon for an Overpass element fetched with `out geom`
+ * Handles closed ways and boundary/multipolygon relations (outer and inner
+ * member ways). Returns null for anything without an area.
+ */
+export function osmElementToGeometry(element) {
+  const toRing = points => points.map(({ lat, lon }) => [lon, lat]);
+
+  if (element.type === 'way') {
+    const ring = element.geometry ? toRing(element.geometry) : [];
+    return ring.length >= 4 && samePoint(ring[0], ring[ring.length - 1])
+      ? { type: 'Polygon', coordinates: [ring] }
+      : null;
+  }
+  if (element.type !== 'relation' || !element.members) return null;
+
+  const ways = role => element.members
+    .filter(member => member.type === 'way' && member.geometry && (member.role || 'outer') === role)
+    .map(member => toRing(member.geometry));
+
+  const polygons = assembleRings(ways('outer')).map(outer => [outer]);
+  if (polygons.length === 0) return null;
+
+  // Each hole goes to the outer ring that contains it
+  assembleRings(ways('inner')).forEach(inner => {
+    const owner = polygons.find(([outer]) => pointInRing(inner[0][0], inner[0][1], outer));
+    if (owner) owner.push(inner);
+  });
+
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons };
+}
@@ -0,0 +1,76 @@
+import { interiorPoint, pointInBoundary } from './geometry';
+
+const polygon = ring => ({ type: 'Polygon', coordinates: [ring] });
+
+describe('interiorPoint', () => {
+  it('lies inside a convex area', () => {
+    const square = polygon([[0.1, 0.1], [0.5, 0.1], [0.5, 0.5], [0.1, 0.5], [0.1, 0.1]]);
+    expect(interiorPoint(square)).toEqual([0.3, 0.3]);
+  });
+
+  it('lies inside a C-shaped area whose bounding box centre is outside it', () => {
+    const wrapping = polygon([
+      [-1, -1], [2, -1], [2, 1.5], [1.2, 1.5], [1.2, -0.2],
+      [-0.2, -0.2], [-0.2, 1.5], [-1, 1.5], [-1, -1]
+    ]);
+    const [lat, lng] = interiorPoint(wrapping);
+    expect(pointInBoundary(lat, lng, wrapping)).toBe(true);
+    expect(pointInBoundary(0.25, 0.5, wrapping)).toBe(false);
+  });
+
+  it('avoids holes', () => {
+    const ring = {
+      type: 'Polygon',
+      coordinates: [
+        [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+        [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]
+      ]
+    };
+    const [lat, lng] = interiorPoint(ring);
+    expect(pointInBoundary(lat, lng, ring)).toBe(true);
+  });
+
+  it('picks the widest part of a MultiPolygon', () => {
+    const islands = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+        [[[5, 0], [9, 0], [9, 1], [5, 1], [5, 0]]]
+      ]
+    };
+    expect(interiorPoint(islands)).toEqual([0.5, 7]);
+  });
+});
+
+describe('pointInBoundary', () => {
+  const withHole = {
+    type: 'Polygon',
+    coordinates: [
+      [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+      [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]
+    ]
+  };
+  const islands = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+      [[[5, 0], [9, 0], [9, 1], [5, 1], [5, 0]]]
+    ]
+  };
+
+  it('excludes points inside a hole', () => {
+    expect(pointInBoundary(0.5, 0.5, withHole)).toBe(true);
+    expect(pointInBoundary(2, 2, withHole)).toBe(false);
+    expect(pointInBoundary(5, 2, withHole)).toBe(false);
+  });
+
+  it('includes points in any part of a MultiPolygon', () => {
+    expect(pointInBoundary(0.5, 0.5, islands)).toBe(true);
+    expect(pointInBoundary(0.5, 7, islands)).toBe(true);
+    expect(pointInBoundary(0.5, 3, islands)).toBe(false);
+  });
+
+  it('accepts every point for a non-polygonal boundary', () => {
+    expect(pointInBoundary(10, 10, { type: 'Point', coordinates: [0, 0] })).toBe(true);
+  });
+});
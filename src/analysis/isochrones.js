@@ -0,0 +1,312 @@
+// isochrones.js - Walking Network Isochrone Engine
+// Builds a pedestrian routing graph from Overpass ways and computes walk-time areas
+// Pure functions only (no Leaflet, no network) so it runs the same in Node and in isochrones.worker.js
+
+import { haversineDistance } from './geometry';
+
+const METERS_PER_DEGREE_LAT = 111320;
+const BUCKET_DEGREES = 0.005; // ~550m spatial index buckets for node snapping
+
+export const DEFAULT_ISOCHRONE_OPTIONS = {
+  minutes: [5, 10, 15],
+  speedKmh: 5,           // typical walking speed
+  cellSize: 75,          // metres, resolution of the output polygons
+  snapDistance: 400      // max metres from an outlet to the nearest street node
+};
+
+// ==================== ROUTING GRAPH ====================
+
+function bucketKey(lat, lng) {
+  return `${Math.floor(lat / BUCKET_DEGREES)}:${Math.floor(lng / BUCKET_DEGREES)}`;
+}
+
+/**
+ * Build an undirected walking graph from Overpass way elements
+ * Ways must carry both `nodes` and `geometry` (Overpass `out body geom`).
+ */
+export function buildWalkingGraph(elements) {
+  const nodes = new Map();      // id -> { lat, lng }
+  const adjacency = new Map();  // id -> [{ to, weight }]
+  const edges = [];             // [{ from, to, weight }], each stored once
+  const buckets = new Map();    // bucketKey -> [id]
+
+  function addNode(id, lat, lng) {
+    if (nodes.has(id)) return;
+    nodes.set(id, { lat, lng });
+    adjacency.set(id, []);
+
+    const key = bucketKey(lat, lng);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(id);
+  }
+
+  (elements || []).forEach(element => {
+    if (element.type !== 'way' || !element.nodes || !element.geometry) return;
+    if (element.nodes.length !== element.geometry.length) return;
+
+    element.nodes.forEach((id, i) => {
+      const point = element.geometry[i];
+      if (point) addNode(id, point.lat, point.lon);
+    });
+
+    for (let i = 1; i < element.nodes.length; i++) {
+      const from = element.nodes[i - 1];
+      const to = element.nodes[i];
+      if (!nodes.has(from) || !nodes.has(to) || from === to) continue;
+
+      const a = nodes.get(from);
+      const b = nodes.get(to);
+      const weight = haversineDistance(a.lat, a.lng, b.lat, b.lng);
+
+      adjacency.get(from).push({ to, weight });
+      adjacency.get(to).push({ to: from, weight });
+      edges.push({ from, to, weight });
+    }
+  });
+
+  return { nodes, adjacency, edges, buckets };
+}
+
+/**
+ * Find the graph node nearest to a point, within maxDistance metres
+ * Returns null when no street is close enough.
+ */
+export function nearestNode(graph, lat, lng, maxDistance = DEFAULT_ISOCHRONE_OPTIONS.snapDistance) {
+  const row = Math.floor(lat / BUCKET_DEGREES);
+  const col = Math.floor(lng / BUCKET_DEGREES);
+  let best = null;
+  let bestDistance = maxDistance;
+
+  for (let dr = -1; dr <= 1; dr++) {
+    for (let dc = -1; dc <= 1; dc++) {
+      const ids = graph.buckets.get(`${row + dr}:${col + dc}`) || [];
+      for (const id of ids) {
+        const node = graph.nodes.get(id);
+        const distance = haversineDistance(lat, lng, node.lat, node.lng);
+        if (distance <= bestDistance) {
+          best = id;
+          bestDistance = distance;
+        }
+      }
+    }
+  }
+
+  return best === null ? null : { id: best, distance: bestDistance };
+}
+
+// ==================== SHORTEST PATHS ====================
+
+/**
+ * Minimal binary heap keyed on cost
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].cost <= items[i].cost) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+        if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Multi-source Dijkstra over the walking graph
+ * sources: [{ id, cost }] where cost is the off-network walk to the node.
+ * Returns Map of node id -> metres walked, limited to maxCost.
+ */
+export function walkingDistances(graph, sources, maxCost = Infinity) {
+  const dist = new Map();
+  const heap = new MinHeap();
+
+  sources.forEach(({ id, cost }) => {
+    if (cost <= maxCost && cost < (dist.get(id) ?? Infinity)) {
+      dist.set(id, cost);
+      heap.push({ id, cost });
+    }
+  });
+
+  while (heap.size > 0) {
+    const { id, cost } = heap.pop();
+    if (cost > dist.get(id)) continue;
+
+    graph.adjacency.get(id).forEach(({ to, weight }) => {
+      const next = cost + weight;
+      if (next <= maxCost && next < (dist.get(to) ?? Infinity)) {
+        dist.set(to, next);
+        heap.push({ id: to, cost: next });
+      }
+    });
+  }
+
+  return dist;
+}
+
+// ==================== ISOCHRONE POLYGONS ====================
+
+/**
+ * Turn a set of covered grid cells into a MultiPolygon
+ * Cells in each row are merged into runs to keep the geometry small.
+ */
+function cellsToMultiPolygon(cells, frame) {
+  const rows = new Map();
+  cells.forEach(key => {
+    const [ix, iy] = key.split(':').map(Number);
+    if (!rows.has(iy)) rows.set(iy, []);
+    rows.get(iy).push(ix);
+  });
+
+  const polygons = [];
+  rows.forEach((columns, iy) => {
+    columns.sort((a, b) => a - b);
+    let start = columns[0];
+    let prev = columns[0];
+
+    const flush = () => {
+      const south = frame.lat0 + (iy * frame.cellSize) / METERS_PER_DEGREE_LAT;
+      const north = frame.lat0 + ((iy + 1) * frame.cellSize) / METERS_PER_DEGREE_LAT;
+      const west = frame.lng0 + (start * frame.cellSize) / frame.lngScale;
+      const east = frame.lng0 + ((prev + 1) * frame.cellSize) / frame.lngScale;
+      polygons.push([[[west, south], [east, south], [east, north], [west, north], [west, south]]]);
+    };
+
+    for (let i = 1; i < columns.length; i++) {
+      if (columns[i] !== prev + 1) {
+        flush();
+        start = columns[i];
+      }
+      prev = columns[i];
+    }
+    flush();
+  });
+
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * Compute walking isochrones around a set of origins (e.g. healthy outlets)
+ * Each band is the area within `minutes` walk along the street network,
+ * rasterised at `cellSize` metres and returned as a GeoJSON MultiPolygon.
+ */
+export function computeIsochrones(graph, origins, options = {}) {
+  const settings = { ...DEFAULT_ISOCHRONE_OPTIONS, ...options };
+  const metersPerMinute = (settings.speedKmh * 1000) / 60;
+  const minutes = [...settings.minutes].sort((a, b) => a - b);
+  const maxCost = minutes[minutes.length - 1] * metersPerMinute;
+
+  // Snap each origin onto the network; the snap walk counts toward the budget
+  const sources = [];
+  origins.forEach(origin => {
+    const snapped = nearestNode(graph, origin.lat, origin.lng, settings.snapDistance);
+    if (snapped) sources.push({ id: snapped.id, cost: snapped.distance });
+  });
+
+  const dist = walkingDistances(graph, sources, maxCost);
+
+  if (dist.size === 0) {
+    return { bands: [], snappedOrigins: sources.length, reachedNodes: 0 };
+  }
+
+  // Local metric frame anchored at the first reached node
+  const anchor = graph.nodes.get(dist.keys().next().value);
+  const frame = {
+    lat0: anchor.lat,
+    lng0: anchor.lng,
+    lngScale: METERS_PER_DEGREE_LAT * Math.cos((anchor.lat * Math.PI) / 180),
+    cellSize: settings.cellSize
+  };
+  const cellOf = (lat, lng) => {
+    const ix = Math.floor(((lng - frame.lng0) * frame.lngScale) / frame.cellSize);
+    const iy = Math.floor(((lat - frame.lat0) * METERS_PER_DEGREE_LAT) / frame.cellSize);
+    return `${ix}:${iy}`;
+  };
+
+  const step = settings.cellSize / 2;
+  const bands = minutes.map(limit => {
+    const budget = limit * metersPerMinute;
+    const cells = new Set();
+
+    dist.forEach((cost, id) => {
+      if (cost > budget) return;
+      const node = graph.nodes.get(id);
+      cells.add(cellOf(node.lat, node.lng));
+    });
+
+    // Walk partway along edges leaving reached nodes
+    graph.edges.forEach(({ from, to, weight }) => {
+      [[from, to], [to, from]].forEach(([start, end]) => {
+        const cost = dist.get(start);
+        if (cost === undefined || cost > budget) return;
+
+        const reach = Math.min(weight, budget - cost);
+        const a = graph.nodes.get(start);
+        const b = graph.nodes.get(end);
+        for (let d = step; d <= reach; d += step) {
+          const t = d / weight;
+          cells.add(cellOf(a.lat + (b.lat - a.lat) * t, a.lng + (b.lng - a.lng) * t));
+        }
+      });
+    });
+
+    return {
+      minutes: limit,
+      distanceMeters: Math.round(budget),
+      geometry: cellsToMultiPolygon(cells, frame)
+    };
+  });
+
+  return { bands, snappedOrigins: sources.length, reachedNodes: dist.size };
+}
+
+export const NETWORK_NOT_LOADED = 'Walking network not loaded';
+
+/**
+ * Isochrone request handler that keeps the last built graph
+ * Callers send elements once per networkKey and only origins afterwards, so
+ * a large network is not copied into the worker on every request. Throws
+ * NETWORK_NOT_LOADED when the key is unknown and no elements were sent.
+ */
+export function createIsochroneService() {
+  let cached = null;
+
+  return function handle({ networkKey, elements, origins, options = {} }) {
+    if (elements) {
+      cached = { networkKey, graph: buildWalkingGraph(elements) };
+    } else if (!cached || cached.networkKey !== networkKey) {
+      throw new Error(NETWORK_NOT_LOADED);
+    }
+    return computeIsochrones(cached.graph, origins, options);
+  };
+}
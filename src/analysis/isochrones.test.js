@@ -0,0 +1,126 @@
+import fixture from './__fixtures__/walkingNetwork.json';
+import {
+  buildWalkingGraph,
+  computeIsochrones,
+  createIsochroneService,
+  nearestNode,
+  NETWORK_NOT_LOADED,
+  walkingDistances
+} from './isochrones';
+
+// Street nodes from the fixture, by OSM node id
+const NODES = {
+  1: [51.5, -0.1],
+  2: [51.5, -0.095],
+  3: [51.5, -0.09],
+  4: [51.5, -0.085],
+  5: [51.5, -0.08],
+  7: [51.503, -0.09],
+  8: [51.506, -0.09],
+  9: [51.52, -0.09]
+};
+
+// Bands are unions of axis-aligned cell rectangles
+function bandCovers(band, [lat, lng]) {
+  return band.geometry.coordinates.some(([ring]) => {
+    const lngs = ring.map(([x]) => x);
+    const lats = ring.map(([, y]) => y);
+    return lng >= Math.min(...lngs) && lng <= Math.max(...lngs) &&
+      lat >= Math.min(...lats) && lat <= Math.max(...lats);
+  });
+}
+
+describe('buildWalkingGraph', () => {
+  const graph = buildWalkingGraph(fixture.elements);
+
+  it('keeps way nodes and skips ways whose geometry does not match their nodes', () => {
+    expect([...graph.nodes.keys()].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(graph.edges).toHaveLength(8);
+  });
+
+  it('joins ways at shared nodes with undirected, metre-weighted edges', () => {
+    expect(graph.adjacency.get(3).map(({ to }) => to).sort()).toEqual([2, 4, 7]);
+    const edge = graph.adjacency.get(1)[0];
+    expect(edge.to).toBe(2);
+    expect(edge.weight).toBeCloseTo(346.1, 1);
+    expect(graph.adjacency.get(2).find(({ to }) => to === 1).weight).toBe(edge.weight);
+  });
+
+  it('snaps points to the nearest node within the snap distance', () => {
+    expect(nearestNode(graph, 51.5005, -0.0952).id).toBe(2);
+    expect(nearestNode(graph, 51.6, -0.1)).toBeNull();
+  });
+
+  it('measures walking distances along the network', () => {
+    const dist = walkingDistances(graph, [{ id: 1, cost: 0 }]);
+    expect(dist.get(3)).toBeCloseTo(692.2, 1);
+    expect(dist.get(4)).toBeCloseTo(1038.3, 1);
+    expect(dist.get(7)).toBeCloseTo(1025.8, 1);
+    expect(dist.get(8)).toBeCloseTo(1359.4, 1);
+    expect(dist.has(9)).toBe(false);
+  });
+
+  it('stops at the cost limit', () => {
+    const dist = walkingDistances(graph, [{ id: 1, cost: 0 }], 700);
+    expect([...dist.keys()].sort()).toEqual([1, 2, 3]);
+  });
+});
+
+describe('computeIsochrones', () => {
+  const graph = buildWalkingGraph(fixture.elements);
+  const origins = [{ lat: 51.5, lng: -0.1 }, { lat: 51.6, lng: -0.1 }];
+  const result = computeIsochrones(graph, origins);
+  const [five, ten, fifteen] = result.bands;
+
+  it('returns 5, 10 and 15 minute bands at walking speed', () => {
+    expect(result.bands.map(band => band.minutes)).toEqual([5, 10, 15]);
+    expect(result.bands.map(band => band.distanceMeters)).toEqual([417, 833, 1250]);
+    expect(result.snappedOrigins).toBe(1);
+    expect(result.reachedNodes).toBe(5);
+  });
+
+  it('puts each street node in the bands its walking distance allows', () => {
+    expect(bandCovers(five, NODES[2])).toBe(true);
+    expect(bandCovers(five, NODES[3])).toBe(false);
+
+    expect(bandCovers(ten, NODES[3])).toBe(true);
+    expect(bandCovers(ten, NODES[4])).toBe(false);
+    expect(bandCovers(ten, NODES[7])).toBe(false);
+
+    [1, 2, 3, 4, 7].forEach(id => expect(bandCovers(fifteen, NODES[id])).toBe(true));
+    [5, 8, 9].forEach(id => expect(bandCovers(fifteen, NODES[id])).toBe(false));
+  });
+
+  it('extends partway along streets that run out of budget', () => {
+    // ~1177 m walk: past node 4, short of node 5
+    expect(bandCovers(fifteen, [51.5, -0.083])).toBe(true);
+  });
+
+  it('nests longer bands around shorter ones', () => {
+    expect(bandCovers(ten, NODES[2])).toBe(true);
+    expect(bandCovers(fifteen, NODES[3])).toBe(true);
+  });
+
+  it('returns no bands when no origin reaches the network', () => {
+    const empty = computeIsochrones(graph, [{ lat: 51.6, lng: -0.1 }]);
+    expect(empty).toEqual({ bands: [], snappedOrigins: 0, reachedNodes: 0 });
+  });
+});
+
+describe('createIsochroneService', () => {
+  const origins = [{ lat: 51.5, lng: -0.1 }];
+  const expected = computeIsochrones(buildWalkingGraph(fixture.elements), origins);
+
+  it('reuses the graph built from the first request for the same network', () => {
+    const handle = createIsochroneService();
+    expect(handle({ networkKey: 1, elements: fixture.elements, origins })).toEqual(expected);
+    expect(handle({ networkKey: 1, origins })).toEqual(expected);
+  });
+
+  it('asks for the elements of a network it has not built', () => {
+    const handle = createIsochroneService();
+    expect(() => handle({ networkKey: 1, origins })).toThrow(NETWORK_NOT_LOADED);
+    handle({ networkKey: 1, elements: fixture.elements, origins });
+    expect(() => handle({ networkKey: 2, origins })).toThrow(NETWORK_NOT_LOADED);
+  });
+});
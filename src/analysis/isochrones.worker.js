@@ -0,0 +1,7 @@
+// isochrones.worker.js - Walking Isochrone Worker
+// Keeps the walking graph between requests; see isochronesClient.js
+
+import { createIsochroneService } from './isochrones';
+import { handleWorkerRequests } from './workers';
+
+handleWorkerRequests(createIsochroneService());
@@ -0,0 +1,37 @@
+// isochronesClient.js - Walking Isochrones in a Web Worker
+// Promise wrapper around isochrones.worker.js, with an in-thread fallback
+
+import { createIsochroneService, NETWORK_NOT_LOADED } from './isochrones';
+import { createWorkerClient } from './workers';
+
+const requestIsochrones = createWorkerClient(
+  () => new Worker(new URL('./isochrones.worker.js', import.meta.url)),
+  createIsochroneService(),
+  'Isochrone'
+);
+
+// Network arrays already sent, so later requests only send origins
+const networkKeys = new WeakMap();
+let nextNetworkKey = 0;
+let loadedNetworkKey = null;
+
+/**
+ * Walking isochrones for origins over an Overpass way list, off the main thread
+ * The worker builds the graph once per network; a restarted worker is sent
+ * the network again.
+ */
+export async function computeIsochronesOffThread(elements, origins, options = {}) {
+  if (!networkKeys.has(elements)) networkKeys.set(elements, ++nextNetworkKey);
+  const networkKey = networkKeys.get(elements);
+
+  if (loadedNetworkKey === networkKey) {
+    try {
+      return await requestIsochrones({ networkKey, origins, options });
+    } catch (error) {
+      if (error.message !== NETWORK_NOT_LOADED) throw error;
+    }
+  }
+
+  loadedNetworkKey = networkKey;
+  return requestIsochrones({ networkKey, elements, origins, options });
+}
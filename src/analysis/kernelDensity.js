@@ -0,0 +1,145 @@
+// kernelDensity.js - Kernel Density of Food Supply
+// Smooth outlet density surfaces for healthy and unhealthy food, and the "swamp ratio" between them
+
+import { isPolygonal, pointInBoundary } from './geometry';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+export const DEFAULT_KDE_OPTIONS = {
+  bandwidthMeters: 500,   // kernel radius; roughly a 6-minute walk
+  cellSizeMeters: 100,
+  maxCells: 60000,        // cells grow for big areas so a surface stays cheap to draw
+  minDensity: 0.5         // outlets/km²; below this in both surfaces a cell counts as no supply
+};
+
+// Bandwidths offered in the map legend
+export const KDE_BANDWIDTHS = [250, 500, 800, 1200];
+
+// ==================== DENSITY SURFACE ====================
+
+/**
+ * Quartic (biweight) kernel density of points on a regular grid
+ *
+ * points are [[lat, lng], ...]. The kernel integrates to 1 over a disc of
+ * radius bandwidthMeters, so values are outlets per km². Cells outside a
+ * polygonal boundary (when given) are null. Returns a grid in the rasters.js
+ * layout: { bbox, width, height, cellSize: [dLng, dLat], data } with rows
+ * from north to south.
+ */
+export function kernelDensityGrid(points, bbox, options = {}) {
+  const { bandwidthMeters, maxCells, boundary } = { ...DEFAULT_KDE_OPTIONS, ...options };
+  const [south, north, west, east] = bbox;
+  const midLat = (south + north) / 2;
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((midLat * Math.PI) / 180);
+
+  // Coarsen the grid until it fits the cell budget
+  const spanX = (east - west) * metersPerDegreeLng;
+  const spanY = (north - south) * METERS_PER_DEGREE_LAT;
+  const cellSizeMeters = Math.max(
+    options.cellSizeMeters ?? DEFAULT_KDE_OPTIONS.cellSizeMeters,
+    Math.sqrt((spanX * spanY) / maxCells)
+  );
+
+  const dLat = cellSizeMeters / METERS_PER_DEGREE_LAT;
+  const dLng = cellSizeMeters / metersPerDegreeLng;
+  const width = Math.max(1, Math.ceil((east - west) / dLng));
+  const height = Math.max(1, Math.ceil((north - south) / dLat));
+  const values = new Float64Array(width * height);
+
+  const h2 = bandwidthMeters * bandwidthMeters;
+  const norm = (3 / (Math.PI * h2)) * 1e6; // per m² -> per km²
+  const reach = Math.ceil(bandwidthMeters / cellSizeMeters);
+
+  points.forEach(([lat, lng]) => {
+    const row0 = Math.floor((north - lat) / dLat);
+    const col0 = Math.floor((lng - west) / dLng);
+
+    for (let row = Math.max(0, row0 - reach); row <= Math.min(height - 1, row0 + reach); row++) {
+      const dy = (north - (row + 0.5) * dLat - lat) * METERS_PER_DEGREE_LAT;
+      for (let col = Math.max(0, col0 - reach); col <= Math.min(width - 1, col0 + reach); col++) {
+        const dx = (west + (col + 0.5) * dLng - lng) * metersPerDegreeLng;
+        const u = (dx * dx + dy * dy) / h2;
+        if (u < 1) values[row * width + col] += norm * (1 - u) * (1 - u);
+      }
+    }
+  });
+
+  const clip = isPolygonal(boundary);
+  const data = Array.from({ length: height }, (_, row) => {
+    const lat = north - (row + 0.5) * dLat;
+    return Array.from({ length: width }, (__, col) => {
+      if (clip && !pointInBoundary(lat, west + (col + 0.5) * dLng, boundary)) return null;
+      return values[row * width + col];
+    });
+  });
+
+  return {
+    bbox: [north - height * dLat, north, west, west + width * dLng],
+    width,
+    height,
+    cellSize: [dLng, dLat],
+    resolution: `${Math.round(cellSizeMeters)}m`,
+    units: 'outlets/km²',
+    bandwidthMeters,
+    points: points.length,
+    data
+  };
+}
+
+// ==================== SWAMP RATIO ====================
+
+/**
+ * Unhealthy ÷ healthy density, cell by cell, on two grids built with the same bbox and options
+ *
+ * Cells where both densities are below minDensity have no meaningful supply
+ * and are null. Elsewhere the healthy density is floored at minDensity, so a
+ * fast-food strip with no grocer nearby reads as a high ratio instead of
+ * dividing by zero.
+ */
+export function swampRatioGrid(unhealthyGrid, healthyGrid, options = {}) {
+  const { minDensity } = { ...DEFAULT_KDE_OPTIONS, ...options };
+
+  const data = unhealthyGrid.data.map((rowValues, row) =>
+    rowValues.map((unhealthy, col) => {
+      const healthy = healthyGrid.data[row][col];
+      if (unhealthy === null || healthy === null) return null;
+      if (unhealthy < minDensity && healthy < minDensity) return null;
+      return unhealthy / Math.max(healthy, minDensity);
+    })
+  );
+
+  return { ...unhealthyGrid, units: 'ratio', points: undefined, data };
+}
+
+/**
+ * Healthy, unhealthy and swamp ratio surfaces for a city
+ *
+ * Takes plain coordinates ({ healthy: [[lat, lng]], unhealthy: [[lat, lng]] })
+ * rather than outlets, so it can run in a worker. Mixed outlets count towards
+ * neither side.
+ */
+export function computeFoodKde(points, bbox, options = {}) {
+  const settings = { ...DEFAULT_KDE_OPTIONS, ...options };
+  const healthy = kernelDensityGrid(points.healthy, bbox, settings);
+  const unhealthy = kernelDensityGrid(points.unhealthy, bbox, settings);
+
+  return {
+    healthy,
+    unhealthy,
+    ratio: swampRatioGrid(unhealthy, healthy, settings),
+    bandwidthMeters: settings.bandwidthMeters
+  };
+}
+
+/**
+ * Coordinates per side for computeFoodKde from classified outlets
+ */
+export function kdePoints(outlets) {
+  const points = { healthy: [], unhealthy: [] };
+  outlets.forEach(outlet => {
+    if (!outlet.lat || !outlet.lng) return;
+    if (outlet.type === 'healthy_primary') points.healthy.push([outlet.lat, outlet.lng]);
+    else if (outlet.type === 'unhealthy') points.unhealthy.push([outlet.lat, outlet.lng]);
+  });
+  return points;
+}
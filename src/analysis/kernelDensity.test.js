@@ -0,0 +1,84 @@
+import { kernelDensityGrid, swampRatioGrid } from './kernelDensity';
+
+// ~2.2 km square around a single outlet
+const CENTRE = [51.5, -0.1];
+const BBOX = [51.49, 51.51, -0.116, -0.084];
+
+function integral(grid) {
+  const [, dLat] = grid.cellSize;
+  const cellHeightM = dLat * 111320;
+  const cellKm2 = (cellHeightM * cellHeightM) / 1e6; // cells are square in metres
+  return grid.data.flat().reduce((sum, value) => sum + (value || 0), 0) * cellKm2;
+}
+
+describe('kernelDensityGrid', () => {
+  it('integrates to one outlet over the kernel disc', () => {
+    const grid = kernelDensityGrid([CENTRE], BBOX, { bandwidthMeters: 500, cellSizeMeters: 20 });
+    expect(grid.units).toBe('outlets/km²');
+    expect(integral(grid)).toBeCloseTo(1, 2);
+  });
+
+  it('is zero beyond the bandwidth and peaks at the outlet', () => {
+    const grid = kernelDensityGrid([CENTRE], BBOX, { bandwidthMeters: 500, cellSizeMeters: 100 });
+    const values = grid.data.flat();
+    expect(grid.data[0][0]).toBe(0);
+    expect(Math.max(...values)).toBeCloseTo((3 / (Math.PI * 0.25)), 0); // kernel peak, per km²
+  });
+
+  it('adds up the kernels of several outlets', () => {
+    const options = { bandwidthMeters: 500, cellSizeMeters: 50 };
+    const one = kernelDensityGrid([CENTRE], BBOX, options);
+    const two = kernelDensityGrid([CENTRE, CENTRE], BBOX, options);
+    expect(integral(two)).toBeCloseTo(2 * integral(one), 6);
+  });
+
+  it('leaves cells outside a polygonal boundary null', () => {
+    const westHalf = {
+      type: 'Polygon',
+      coordinates: [[[-0.116, 51.49], [-0.1, 51.49], [-0.1, 51.51], [-0.116, 51.51], [-0.116, 51.49]]]
+    };
+    const grid = kernelDensityGrid([CENTRE], BBOX, { cellSizeMeters: 100, boundary: westHalf });
+    const [, north, west] = grid.bbox;
+    const [dLng, dLat] = grid.cellSize;
+
+    const mismatches = [];
+    grid.data.forEach((values, row) => values.forEach((value, col) => {
+      const lat = north - (row + 0.5) * dLat;
+      const lng = west + (col + 0.5) * dLng;
+      const inside = lng < -0.1 && lat > 51.49;
+      if (inside === (value === null)) mismatches.push([lat, lng, value]);
+    }));
+    expect(mismatches).toEqual([]);
+    expect(grid.data.flat().some(value => value === null)).toBe(true);
+  });
+
+  it('coarsens cells to stay within maxCells', () => {
+    const grid = kernelDensityGrid([CENTRE], BBOX, { cellSizeMeters: 10, maxCells: 400 });
+    expect(grid.width * grid.height).toBeLessThanOrEqual(450);
+  });
+});
+
+describe('swampRatioGrid', () => {
+  const grid = data => ({ bbox: [0, 1, 0, 1], width: data[0].length, height: data.length, data });
+
+  it('divides unhealthy by healthy density', () => {
+    const ratio = swampRatioGrid(grid([[4, 1]]), grid([[2, 4]]));
+    expect(ratio.units).toBe('ratio');
+    expect(ratio.data).toEqual([[2, 0.25]]);
+  });
+
+  it('floors the healthy density at minDensity', () => {
+    const ratio = swampRatioGrid(grid([[3, 3]]), grid([[0, 0.2]]), { minDensity: 0.5 });
+    expect(ratio.data).toEqual([[6, 6]]);
+  });
+
+  it('is null where both densities are below minDensity', () => {
+    const ratio = swampRatioGrid(grid([[0.4, 0, 0.6]]), grid([[0.3, 0, 0]]), { minDensity: 0.5 });
+    expect(ratio.data).toEqual([[null, null, 1.2]]);
+  });
+
+  it('is null where either surface is outside the boundary', () => {
+    const ratio = swampRatioGrid(grid([[null, 2]]), grid([[1, null]]));
+    expect(ratio.data).toEqual([[null, null]]);
+  });
+});
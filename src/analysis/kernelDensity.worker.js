@@ -0,0 +1,7 @@
+// kernelDensity.worker.js - Kernel Density Worker
+// Runs computeFoodKde off the main thread; see kernelDensityClient.js
+
+import { computeFoodKde } from './kernelDensity';
+import { handleWorkerRequests } from './workers';
+
+handleWorkerRequests(({ points, bbox, options }) => computeFoodKde(points, bbox, options));
@@ -0,0 +1,18 @@
+// kernelDensityClient.js - Kernel Density in a Web Worker
+// Promise wrapper around kernelDensity.worker.js, with an in-thread fallback
+
+import { computeFoodKde } from './kernelDensity';
+import { createWorkerClient } from './workers';
+
+const requestKde = createWorkerClient(
+  () => new Worker(new URL('./kernelDensity.worker.js', import.meta.url)),
+  ({ points, bbox, options }) => computeFoodKde(points, bbox, options),
+  'Kernel density'
+);
+
+/**
+ * computeFoodKde in a shared worker; resolves with the same result
+ */
+export function computeFoodKdeOffThread(points, bbox, options = {}) {
+  return requestKde({ points, bbox, options });
+}
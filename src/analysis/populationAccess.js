@@ -0,0 +1,167 @@
+// populationAccess.js - Population-Weighted Food Access Metrics
+// How many residents can actually reach healthy food, from a population grid
+
+import { nearestDistance } from './foodDesertGrid';
+import { isPolygonal, pointInBoundary } from './geometry';
+import { forEachGridCell } from '../rasters';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+export const ACCESS_DISTANCES = [400, 800, 1200, 1600];
+
+// Distance bands (metres) for the weighted-distance breakdown
+const DISTANCE_BANDS = [
+  [0, 400],
+  [400, 800],
+  [800, 1200],
+  [1200, 2000],
+  [2000, Infinity]
+];
+
+// ==================== BUILDING PROXY ====================
+
+// building=* values that are clearly not homes
+const NON_RESIDENTIAL = [
+  'commercial', 'industrial', 'retail', 'warehouse', 'office', 'garage', 'garages',
+  'shed', 'church', 'school', 'hospital', 'university', 'supermarket', 'roof',
+  'parking', 'train_station', 'hangar', 'greenhouse', 'barn', 'farm_auxiliary', 'service'
+];
+
+/**
+ * Population proxy grid from OSM building centroids (Overpass `out center`)
+ * Each residential building adds its floor count (building:levels, default 1)
+ * to its cell. Values are relative weights, not people - fine for shares
+ * and weighted means, but not for head counts.
+ */
+export function buildingPopulationProxy(elements, bbox, cellSizeMeters = 250) {
+  const [south, north, west, east] = bbox;
+  const midLat = (south + north) / 2;
+  const dLat = cellSizeMeters / METERS_PER_DEGREE_LAT;
+  const dLng = cellSizeMeters / (METERS_PER_DEGREE_LAT * Math.cos((midLat * Math.PI) / 180));
+  const width = Math.max(1, Math.ceil((east - west) / dLng));
+  const height = Math.max(1, Math.ceil((north - south) / dLat));
+
+  const data = Array.from({ length: height }, () => new Array(width).fill(null));
+  let buildings = 0;
+
+  elements.forEach(element => {
+    const tags = element.tags || {};
+    if (NON_RESIDENTIAL.includes(tags.building)) return;
+
+    const lat = element.lat ?? element.center?.lat;
+    const lng = element.lon ?? element.center?.lon;
+    if (lat === undefined || lng === undefined) return;
+
+    const row = Math.floor((north - lat) / dLat);
+    const col = Math.floor((lng - west) / dLng);
+    if (row < 0 || row >= height || col < 0 || col >= width) return;
+
+    const levels = Math.max(1, parseInt(tags['building:levels'], 10) || 1);
+    data[row][col] = (data[row][col] || 0) + levels;
+    buildings++;
+  });
+
+  return {
+    source: 'OSM_BUILDINGS',
+    isProxy: true,
+    bbox: [north - height * dLat, north, west, west + width * dLng],
+    data,
+    width,
+    height,
+    cellSize: [dLng, dLat],
+    resolution: `${cellSizeMeters}m`,
+    units: 'building floors',
+    buildings,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// ==================== ACCESS METRICS ====================
+
+/**
+ * Area of a grid cell centred at a latitude, in km²
+ */
+export function cellAreaKm2(cellSize, lat) {
+  const [dLng, dLat] = cellSize;
+  const height = dLat * METERS_PER_DEGREE_LAT;
+  const width = dLng * METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+  return (height * width) / 1e6;
+}
+
+/**
+ * Weighted median of [{ value, weight }]
+ */
+function weightedMedian(items, totalWeight) {
+  const sorted = [...items].sort((a, b) => a.value - b.value);
+  let cumulative = 0;
+  for (const item of sorted) {
+    cumulative += item.weight;
+    if (cumulative >= totalWeight / 2) return item.value;
+  }
+  return null;
+}
+
+/**
+ * Population-weighted access to healthy_primary outlets
+ *
+ * Every populated cell is weighted by its residents (density × area for
+ * people/km² grids, or the raw proxy weight) and measured to its nearest
+ * healthy outlet. Returns head counts only for real population grids.
+ */
+export function computePopulationAccess(populationGrid, foodOutlets, options = {}) {
+  const {
+    boundary = null,
+    desertThreshold = 1200,
+    distances = ACCESS_DISTANCES
+  } = options;
+
+  const isProxy = Boolean(populationGrid.isProxy);
+  const healthyOutlets = (foodOutlets || []).filter(o => o.type === 'healthy_primary');
+  const clip = isPolygonal(boundary);
+  const cells = [];
+  let total = 0;
+
+  forEachGridCell(populationGrid, (value, lat, lng) => {
+    if (value <= 0) return;
+    if (clip && !pointInBoundary(lat, lng, boundary)) return;
+
+    const weight = isProxy ? value : value * cellAreaKm2(populationGrid.cellSize, lat);
+    const distance = nearestDistance(lat, lng, healthyOutlets);
+    cells.push({ value: distance, weight });
+    total += weight;
+  });
+
+  const sumWhere = predicate => cells.reduce((sum, cell) => (predicate(cell.value) ? sum + cell.weight : sum), 0);
+  const share = population => (total > 0 ? population / total : 0);
+
+  const within = distances.map(meters => {
+    const population = sumWhere(d => d <= meters);
+    return { meters, population, share: share(population) };
+  });
+
+  const desertPopulation = sumWhere(d => d > desertThreshold);
+
+  const reachable = cells.filter(cell => Number.isFinite(cell.value));
+  const reachableWeight = reachable.reduce((sum, cell) => sum + cell.weight, 0);
+  const weightedMeanDistance = reachableWeight > 0
+    ? reachable.reduce((sum, cell) => sum + cell.value * cell.weight, 0) / reachableWeight
+    : null;
+
+  const bands = DISTANCE_BANDS.map(([min, max]) => {
+    const population = sumWhere(d => d >= min && d < max);
+    return { min, max, population, share: share(population) };
+  });
+
+  return {
+    isProxy,
+    populatedCells: cells.length,
+    totalPopulation: total,
+    within,
+    desertThreshold,
+    desertPopulation,
+    desertShare: share(desertPopulation),
+    weightedMeanDistance,
+    weightedMedianDistance: reachableWeight > 0 ? weightedMedian(reachable, reachableWeight) : null,
+    distanceBands: bands
+  };
+}
@@ -0,0 +1,161 @@
+// subAreas.js - Neighbourhood Breakdown
+// Parses OSM sub-city areas and computes food access metrics for each one
+
+import { boundaryAreaKm2, geometryBounds, interiorPoint, osmElementToGeometry, pointInBoundary } from './geometry';
+import { ENVIRONMENT_METRICS, environmentIndices, retailCounts } from './foodEnvironment';
+import { cellAreaKm2 } from './populationAccess';
+import { forEachGridCell } from '../rasters';
+
+// Kinds of sub-area, coarsest first; a city usually has one or two of them
+export const SUB_AREA_LEVELS = [
+  { key: 'admin9', label: 'Districts (admin level 9)' },
+  { key: 'admin10', label: 'Neighbourhoods (admin level 10)' },
+  { key: 'suburb', label: 'Suburbs' },
+  { key: 'quarter', label: 'Quarters' },
+  { key: 'neighbourhood', label: 'Neighbourhoods (place)' }
+];
+
+// Figures per area, in table order; `better` is the good end
+export const SUB_AREA_METRICS = [
+  { key: 'totalOutlets', label: 'Outlets', digits: 0 },
+  { key: 'healthyShare', label: 'Healthy share', better: 'higher', percent: true },
+  { key: 'accessScore', label: 'Access score', better: 'higher', percent: true },
+  { key: 'desertAreaShare', label: 'Area in food desert', better: 'lower', percent: true },
+  ...ENVIRONMENT_METRICS
+];
+
+/**
+ * Display text for one metric value
+ */
+export function formatMetricValue(metric, value) {
+  if (value === null || value === undefined) return '–';
+  return metric.percent ? `${(value * 100).toFixed(0)}%` : value.toFixed(metric.digits);
+}
+
+/**
+ * Which kind of sub-area an element is, or null
+ */
+function subAreaLevel(tags = {}) {
+  if (tags.boundary === 'administrative' && (tags.admin_level === '9' || tags.admin_level === '10')) {
+    return `admin${tags.admin_level}`;
+  }
+  return ['suburb', 'quarter', 'neighbourhood'].includes(tags.place) ? tags.place : null;
+}
+
+/**
+ * Sub-areas from Overpass elements (`out geom`)
+ *
+ * Keeps named areas with an interior point inside the city boundary;
+ * Overpass also returns neighbours that only touch it. Returns
+ * [{ id, osmType, osmId, name, level, boundary, bbox }].
+ */
+export function parseSubAreas(elements, city) {
+  const seen = new Set();
+
+  return elements.flatMap(element => {
+    const level = subAreaLevel(element.tags);
+    const key = `${element.type}-${element.id}`;
+    if (!level || !element.tags.name || seen.has(key)) return [];
+    if (element.type === city.osmType && element.id === city.osmId) return [];
+
+    const boundary = osmElementToGeometry(element);
+    if (!boundary) return [];
+    const point = interiorPoint(boundary);
+    if (!point || !pointInBoundary(point[0], point[1], city.boundary)) return [];
+
+    seen.add(key);
+    return [{
+      id: key,
+      osmType: element.type,
+      osmId: element.id,
+      name: element.tags.name,
+      level,
+      boundary,
+      bbox: geometryBounds(boundary)
+    }];
+  });
+}
+
+/**
+ * Default level to show: the coarsest with at least two areas
+ */
+export function defaultSubAreaLevel(areas) {
+  const counts = {};
+  areas.forEach(area => {
+    counts[area.level] = (counts[area.level] || 0) + 1;
+  });
+  const level = SUB_AREA_LEVELS.find(({ key }) => counts[key] >= 2) ||
+    SUB_AREA_LEVELS.find(({ key }) => counts[key] > 0);
+  return level ? level.key : null;
+}
+
+// ==================== METRICS PER AREA ====================
+
+/**
+ * Index of the area containing a point, or -1 (bbox check first, areas may overlap slightly)
+ */
+function areaIndexAt(areas, lat, lng) {
+  return areas.findIndex(({ bbox: [south, north, west, east], boundary }) =>
+    lat >= south && lat <= north && lng >= west && lng <= east && pointInBoundary(lat, lng, boundary));
+}
+
+/**
+ * Assign outlets (and optionally population and food desert cells) to areas
+ * and compute each area's metrics
+ *
+ * inputs: { areas, foodOutlets, foodDesertGrid, populationGrid }
+ * Each result carries the area, its outlet counts and every metric in
+ * SUB_AREA_METRICS (null where undefined).
+ */
+export function analyzeSubAreas(inputs) {
+  const { areas, foodOutlets = [], foodDesertGrid = null, populationGrid = null } = inputs;
+  const outletsByArea = areas.map(() => []);
+  const cellsByArea = areas.map(() => ({ total: 0, desert: 0 }));
+  const populationByArea = areas.map(() => 0);
+
+  foodOutlets.forEach(outlet => {
+    const index = areaIndexAt(areas, outlet.lat, outlet.lng);
+    if (index >= 0) outletsByArea[index].push(outlet);
+  });
+
+  if (foodDesertGrid) {
+    foodDesertGrid.cells.forEach(cell => {
+      const index = areaIndexAt(areas, cell.lat, cell.lng);
+      if (index < 0) return;
+      cellsByArea[index].total++;
+      if (cell.isFoodDesert) cellsByArea[index].desert++;
+    });
+  }
+
+  // Head counts only come from real population grids (people/km²), not the building proxy
+  const density = populationGrid && !populationGrid.isProxy ? populationGrid : null;
+  if (density) {
+    forEachGridCell(density, (value, lat, lng) => {
+      if (value <= 0) return;
+      const index = areaIndexAt(areas, lat, lng);
+      if (index >= 0) populationByArea[index] += value * cellAreaKm2(density.cellSize, lat);
+    });
+  }
+
+  return areas.map((area, i) => {
+    const outlets = outletsByArea[i];
+    const counts = retailCounts(outlets);
+    const areaKm2 = boundaryAreaKm2(area.boundary);
+    const population = density ? populationByArea[i] : null;
+    const cells = cellsByArea[i];
+
+    return {
+      ...area,
+      areaKm2,
+      population,
+      counts,
+      totalOutlets: counts.total,
+      healthyShare: counts.total > 0 ? counts.healthy / counts.total : null,
+      accessScore: counts.total > 0
+        ? outlets.reduce((sum, outlet) => sum + outlet.classification.score, 0) / counts.total
+        : null,
+      desertAreaShare: cells.total > 0 ? cells.desert / cells.total : null,
+      ...environmentIndices(counts, areaKm2, population)
+    };
+  });
+}
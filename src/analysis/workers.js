@@ -0,0 +1,69 @@
+// workers.js - Analysis Web Workers
+// Request/reply plumbing shared by the *.worker.js files and their clients
+
+/**
+ * Promise client for a worker started with handleWorkerRequests
+ *
+ * createWorker must contain the literal `new Worker(new URL('./x.worker.js',
+ * import.meta.url))` so webpack bundles the worker; it runs on the first
+ * request. fallback(message) computes the same result on the main thread
+ * where workers are unavailable (tests, old browsers). A crashed worker
+ * rejects every request in flight and the next request starts a fresh one.
+ */
+export function createWorkerClient(createWorker, fallback, label) {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  function failPending(message) {
+    pending.forEach(({ reject }) => reject(new Error(message)));
+    pending.clear();
+    if (worker) worker.terminate();
+    worker = null;
+  }
+
+  function getWorker() {
+    if (!worker) {
+      worker = createWorker();
+      worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id);
+        if (!request) return;
+        pending.delete(data.id);
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.result);
+      };
+      worker.onerror = event => {
+        event.preventDefault();
+        failPending(event.message || `${label} worker failed`);
+      };
+      worker.onmessageerror = () => failPending(`${label} worker sent an unreadable message`);
+    }
+    return worker;
+  }
+
+  return function request(message) {
+    if (typeof Worker === 'undefined') {
+      return Promise.resolve().then(() => fallback(message));
+    }
+
+    const id = ++nextId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      getWorker().postMessage({ ...message, id });
+    });
+  };
+}
+
+/**
+ * Worker side: answer each { id, ...message } with handler(message)
+ */
+export function handleWorkerRequests(handler) {
+  onmessage = event => {
+    const { id, ...message } = event.data;
+    try {
+      postMessage({ id, result: handler(message) });
+    } catch (error) {
+      postMessage({ id, error: error.message });
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import { createWorkerClient } from './workers';
+
+// Stand-in Worker: replies to each message with reply(data), after a tick
+class FakeWorker {
+  constructor(reply) {
+    this.reply = reply;
+    this.terminated = false;
+  }
+
+  postMessage(data) {
+    setTimeout(() => this.onmessage({ data: { id: data.id, ...this.reply(data) } }), 0);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('createWorkerClient', () => {
+  afterEach(() => {
+    delete global.Worker;
+  });
+
+  it('computes in-thread when workers are unavailable', async () => {
+    const request = createWorkerClient(() => null, ({ a, b }) => a + b, 'Sum');
+    await expect(request({ a: 2, b: 3 })).resolves.toBe(5);
+  });
+
+  it('matches replies to requests and rejects worker errors', async () => {
+    global.Worker = FakeWorker;
+    const request = createWorkerClient(
+      () => new FakeWorker(({ value }) => (value < 0 ? { error: 'negative' } : { result: value * 2 })),
+      () => null,
+      'Double'
+    );
+
+    await expect(Promise.all([request({ value: 1 }), request({ value: 4 })])).resolves.toEqual([2, 8]);
+    await expect(request({ value: -1 })).rejects.toThrow('negative');
+  });
+
+  it('rejects everything in flight when the worker crashes, then starts a fresh one', async () => {
+    global.Worker = FakeWorker;
+    const workers = [];
+    const request = createWorkerClient(() => {
+      const worker = new FakeWorker(() => ({ result: workers.length }));
+      worker.postMessage = () => {};
+      workers.push(worker);
+      return worker;
+    }, () => null, 'Flaky');
+
+    const first = request({});
+    const second = request({});
+    workers[0].onerror({ message: 'out of memory', preventDefault: () => {} });
+
+    await expect(first).rejects.toThrow('out of memory');
+    await expect(second).rejects.toThrow('out of memory');
+    expect(workers[0].terminated).toBe(true);
+
+    request({});
+    expect(workers).toHaveLength(2);
+  });
+});
@@ -0,0 +1,209 @@
+// cache.js - Persistent Request Cache (IndexedDB)
+// Caches API responses per request with a TTL per data source, and keeps
+// the last full dataset per city for offline use
+
+import { getDataMode } from './providers';
+
+const DB_NAME = 'hfas-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long a cached response counts as fresh, per data source
+export const CACHE_TTL = {
+  nominatim: 30 * DAY,
+  overpass: 7 * DAY,
+  power: DAY,
+  city: 7 * DAY
+};
+
+let dbPromise = null;
+
+/**
+ * Open (once) the cache database; resolves to null where IndexedDB is
+ * unavailable (Node, private browsing) so caching silently turns off
+ */
+function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('IndexedDB unavailable, caching disabled:', request.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+}
+
+function runTransaction(mode, action) {
+  return openDB().then(db => {
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = action(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result ?? null);
+      tx.onerror = () => reject(tx.error);
+    });
+  });
+}
+
+// ==================== ENTRY ACCESS ====================
+
+/**
+ * Read a cache entry ({ key, source, value, storedAt }) or null
+ */
+export async function cacheGet(key) {
+  try {
+    return await runTransaction('readonly', store => store.get(key));
+  } catch (error) {
+    console.warn('Cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Write a value under a key, stamped with the current time
+ */
+export async function cacheSet(key, source, value) {
+  const entry = { key, source, value, storedAt: new Date().toISOString() };
+  try {
+    await runTransaction('readwrite', store => store.put(entry));
+  } catch (error) {
+    console.warn('Cache write failed:', error);
+  }
+  return entry;
+}
+
+/**
+ * Remove every cached entry
+ */
+export async function cacheClear() {
+  await runTransaction('readwrite', store => store.clear());
+}
+
+function isFresh(entry, source) {
+  const ttl = CACHE_TTL[source] ?? DAY;
+  return Date.now() - new Date(entry.storedAt).getTime() < ttl;
+}
+
+/**
+ * Whether the browser reports no network connection
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Whether a request failed for lack of a network rather than a bad response
+ * True for axios errors with no response (no connection, DNS, timeout) and
+ * for offline cache misses.
+ */
+export function isNetworkError(error) {
+  return Boolean(error.offline || (error.request && !error.response));
+}
+
+// ==================== CACHED REQUESTS ====================
+
+/**
+ * Serve a request from cache when fresh, otherwise run the fetcher and store it
+ * In offline mode any cached copy is served regardless of age; if the network
+ * fails, a stale copy is served rather than failing.
+ *
+ * options.cacheLog (array) collects { source, key, cachedAt, fromCache } for
+ * each request so callers can show when their data was cached.
+ */
+export async function cachedRequest(source, key, fetcher, options = {}) {
+  const { cacheLog, offline = false, forceRefresh = false } = options;
+  const cacheKey = `${source}:${key}`;
+
+  const served = (value, cachedAt, fromCache) => {
+    if (cacheLog) cacheLog.push({ source, key: cacheKey, cachedAt, fromCache });
+    return value;
+  };
+
+  // Recorded fixtures are the source of truth when recording or replaying
+  if (getDataMode() !== 'live') {
+    return served(await fetcher(), new Date().toISOString(), false);
+  }
+
+  const entry = forceRefresh ? null : await cacheGet(cacheKey);
+
+  if (entry && (offline || isOffline() || isFresh(entry, source))) {
+    return served(entry.value, entry.storedAt, true);
+  }
+  if (offline || isOffline()) {
+    const error = new Error(`Offline and no cached ${source} data for this request`);
+    error.offline = true;
+    throw error;
+  }
+
+  try {
+    const value = await fetcher();
+    const stored = await cacheSet(cacheKey, source, value);
+    return served(value, stored.storedAt, false);
+  } catch (error) {
+    const stale = entry || await cacheGet(cacheKey);
+    if (stale && !error.response) {
+      console.warn(`⚠ ${source} request failed, serving cached copy from ${stale.storedAt}`);
+      return served(stale.value, stale.storedAt, true);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Summarise a cache log: when the oldest cached piece was stored and
+ * whether anything came from cache
+ */
+export function summarizeCacheLog(cacheLog) {
+  const cached = cacheLog.filter(item => item.fromCache);
+  const oldest = cached.reduce(
+    (min, item) => (min === null || item.cachedAt < min ? item.cachedAt : min),
+    null
+  );
+
+  return {
+    fromCache: cached.length > 0,
+    cachedAt: oldest,
+    requests: cacheLog.length,
+    cachedRequests: cached.length
+  };
+}
+
+// ==================== CITY SNAPSHOTS ====================
+
+/**
+ * Stable cache key for a city selection
+ */
+export function cityCacheKey(cityData) {
+  if (cityData.osmType && cityData.osmId) return `${cityData.osmType}/${cityData.osmId}`;
+  return `bbox/${cityData.boundingBox.map(n => Number(n).toFixed(4)).join(',')}`;
+}
+
+/**
+ * Store the full fetchAllCityData result for offline use
+ */
+export function saveCitySnapshot(cityData, results) {
+  return cacheSet(`city:${cityCacheKey(cityData)}`, 'city', results);
+}
+
+/**
+ * Last stored fetchAllCityData result for a city, or null
+ */
+export function loadCitySnapshot(cityData) {
+  return cacheGet(`city:${cityCacheKey(cityData)}`);
+}
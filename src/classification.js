@@ -0,0 +1,172 @@
+// classification.js - Outlet Classification Rules Engine
+// Declarative JSON rules decide which OSM tags count as healthy, mixed or unhealthy
+
+import defaultRuleSet from './classificationRules.json';
+
+export const DEFAULT_RULE_SET = defaultRuleSet;
+
+const DEFAULT_ELEMENTS = ['node', 'way'];
+const ANY_VALUE = '*';
+
+// ==================== MATCHING ====================
+
+/**
+ * Normalise a rule's match value to an array of accepted values
+ */
+function acceptedValues(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Whether every key/value condition of a rule matches the tags
+ * A value of "*" only requires the key to be present.
+ */
+function ruleMatches(rule, tags) {
+  if (!tags) return false;
+
+  return Object.entries(rule.match).every(([key, value]) => {
+    const tagValue = tags[key];
+    if (tagValue === undefined) return false;
+
+    const values = acceptedValues(value);
+    return values.includes(ANY_VALUE) || values.includes(tagValue);
+  });
+}
+
+/**
+ * Find the first rule that matches the tags (rules are ordered)
+ */
+function findRule(tags, ruleSet) {
+  return ruleSet.rules.find(rule => ruleMatches(rule, tags)) || null;
+}
+
+/**
+ * Classify outlet as healthy, mixed, unhealthy or unknown
+ */
+export function classifyOutlet(tags, ruleSet = DEFAULT_RULE_SET) {
+  const rule = findRule(tags, ruleSet);
+  return rule ? rule.class : ruleSet.defaultClass;
+}
+
+/**
+ * Get detailed classification (label, colour, score)
+ * Rules may override the class defaults for the outlets they match.
+ */
+export function getOutletClassification(tags, ruleSet = DEFAULT_RULE_SET) {
+  const rule = findRule(tags, ruleSet);
+  const type = rule ? rule.class : ruleSet.defaultClass;
+  const base = ruleSet.classes[type] || ruleSet.classes[ruleSet.defaultClass];
+
+  return {
+    label: rule?.label ?? base.label,
+    color: rule?.color ?? base.color,
+    score: rule?.score ?? base.score
+  };
+}
+
+/**
+ * Re-apply a rule set to already fetched outlets without refetching
+ */
+export function reclassifyOutlets(outlets, ruleSet) {
+  return outlets.map(outlet => ({
+    ...outlet,
+    type: classifyOutlet(outlet.tags, ruleSet),
+    classification: getOutletClassification(outlet.tags, ruleSet)
+  }));
+}
+
+// ==================== OVERPASS QUERY ====================
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Overpass QL string literals take backslash escapes for " and \
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Overpass tag filter for one match condition, e.g. ["shop"~"^(a|b)$"]
+ */
+function tagFilter(key, value) {
+  const values = acceptedValues(value);
+  if (values.includes(ANY_VALUE)) return `[${quote(key)}]`;
+  if (values.length === 1) return `[${quote(key)}=${quote(values[0])}]`;
+  return `[${quote(key)}~${quote(`^(${values.map(escapeRegex).join('|')})$`)}]`;
+}
+
+/**
+ * Build the Overpass union statements for every rule in a rule set
+ * bboxFilter is the "(south,west,north,east)" suffix.
+ */
+export function buildOverpassSelectors(ruleSet, bboxFilter) {
+  const statements = new Set();
+
+  ruleSet.rules.forEach(rule => {
+    const filters = Object.entries(rule.match).map(([key, value]) => tagFilter(key, value)).join('');
+    (rule.elements || DEFAULT_ELEMENTS).forEach(element => {
+      statements.add(`${element}${filters}${bboxFilter};`);
+    });
+  });
+
+  return [...statements].join('\n      ');
+}
+
+// ==================== RULE EDITING ====================
+
+/**
+ * Format a rule's match as "shop=convenience + organic=yes|only"
+ */
+export function formatMatchExpression(match) {
+  return Object.entries(match)
+    .map(([key, value]) => `${key}=${acceptedValues(value).join('|')}`)
+    .join(' + ');
+}
+
+/**
+ * Parse "shop=convenience + organic=yes|only" back into a match object
+ */
+export function parseMatchExpression(expression) {
+  const match = {};
+
+  expression.split('+').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [key, rawValue] = part.split('=').map(s => s?.trim());
+    if (!key || !rawValue) {
+      throw new Error(`Invalid condition "${part}" (expected key=value)`);
+    }
+    const values = rawValue.split('|').map(v => v.trim()).filter(Boolean);
+    match[key] = values.length === 1 ? values[0] : values;
+  });
+
+  if (Object.keys(match).length === 0) {
+    throw new Error('Rule needs at least one tag condition');
+  }
+
+  return match;
+}
+
+/**
+ * Validate a rule set, throwing a descriptive error on the first problem
+ */
+export function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object') throw new Error('Rule set must be an object');
+  if (!ruleSet.classes || !ruleSet.classes[ruleSet.defaultClass]) {
+    throw new Error('Rule set needs classes including its defaultClass');
+  }
+  if (!Array.isArray(ruleSet.rules)) throw new Error('Rule set needs a rules array');
+
+  ruleSet.rules.forEach((rule, i) => {
+    if (!rule.match || Object.keys(rule.match).length === 0) {
+      throw new Error(`Rule ${i + 1} has no tag conditions`);
+    }
+    if (!ruleSet.classes[rule.class]) {
+      throw new Error(`Rule ${i + 1} uses unknown class "${rule.class}"`);
+    }
+    if (rule.score !== undefined && (typeof rule.score !== 'number' || rule.score < 0 || rule.score > 1)) {
+      throw new Error(`Rule ${i + 1} score must be a number between 0 and 1`);
+    }
+  });
+
+  return true;
+}
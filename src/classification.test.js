@@ -0,0 +1,31 @@
+import { buildOverpassSelectors, DEFAULT_RULE_SET } from './classification';
+
+const ruleSet = match => ({
+  classes: { other: {} },
+  defaultClass: 'other',
+  rules: [{ match, class: 'other', elements: ['node'] }]
+});
+
+describe('buildOverpassSelectors', () => {
+  it('builds one statement per element and tag condition', () => {
+    expect(buildOverpassSelectors(ruleSet({ shop: 'bakery', organic: '*' }), '(1,2,3,4)'))
+      .toBe('node["shop"="bakery"]["organic"](1,2,3,4);');
+    expect(buildOverpassSelectors(ruleSet({ shop: ['a', 'b'] }), ''))
+      .toBe('node["shop"~"^(a|b)$"];');
+  });
+
+  it('escapes quotes and backslashes in keys and values', () => {
+    expect(buildOverpassSelectors(ruleSet({ 'name"x': 'say "hi"\\' }), ''))
+      .toBe('node["name\\"x"="say \\"hi\\"\\\\"];');
+  });
+
+  it('escapes regex characters, then the string, in multi-value filters', () => {
+    expect(buildOverpassSelectors(ruleSet({ cuisine: ['a.b', 'c"d'] }), ''))
+      .toBe('node["cuisine"~"^(a\\\\.b|c\\"d)$"];');
+  });
+
+  it('covers every default rule', () => {
+    const selectors = buildOverpassSelectors(DEFAULT_RULE_SET, '');
+    expect(selectors).toContain('node["shop"~"^(supermarket|greengrocer|farm|health_food)$"];');
+  });
+});
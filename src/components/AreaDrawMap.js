@@ -0,0 +1,462 @@
+// AreaDrawMap.js - Study Area Drawing Tools
+// Place picking plus rectangle, polygon and circle tools with draggable vertices, built on plain Leaflet
+
+import React, { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { drawnAreaCity, shapeAreaKm2 } from '../analysis/drawnArea';
+import { isPolygonal } from '../analysis/geometry';
+import { lookupCity, reverseGeocodeAreas } from '../dataFetchers';
+
+const TOOLS = [
+  { id: 'place', label: 'Place', hint: 'Click the map to list the neighbourhood, district, city and region there.' },
+  { id: 'rectangle', label: 'Rectangle', hint: 'Click two opposite corners.' },
+  { id: 'polygon', label: 'Polygon', hint: 'Click each corner; double-click or click the first point to finish.' },
+  { id: 'circle', label: 'Circle', hint: 'Click the centre; set the radius below or drag the edge handle.' }
+];
+
+const SHAPE_STYLE = { color: '#007bff', weight: 2, fillOpacity: 0.1 };
+const DRAFT_STYLE = { color: '#007bff', weight: 2, dashArray: '4, 4', fill: false, interactive: false };
+
+// Past this, Overpass queries get slow enough to time out
+const LARGE_AREA_KM2 = 2500;
+
+// Smallest circle radius, in km; also the radius input's step
+const MIN_RADIUS_KM = 0.1;
+
+const handleIcon = (color = '#007bff') => L.divIcon({
+  className: 'custom-div-icon',
+  html: `<div style="
+    width: 10px;
+    height: 10px;
+    background-color: white;
+    border: 2px solid ${color};
+    border-radius: 2px;
+    box-sizing: border-box;
+  "></div>`,
+  iconSize: [10, 10],
+  iconAnchor: [5, 5]
+});
+
+const toLatLng = ([lat, lng]) => L.latLng(lat, lng);
+const toPair = latlng => [latlng.lat, latlng.lng];
+
+// [south, north, west, east] from two opposite corners
+const cornersToBounds = ([a, b]) => [
+  Math.min(a[0], b[0]), Math.max(a[0], b[0]),
+  Math.min(a[1], b[1]), Math.max(a[1], b[1])
+];
+
+const boundsCorners = ([south, north, west, east]) => [
+  [south, west], [south, east], [north, east], [north, west]
+];
+
+function AreaDrawMap({ onAreaSelected }) {
+  const mapRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const layerGroupRef = useRef(null);
+  const previewRef = useRef(null);
+  const placeLayerRef = useRef(null);
+  const placeRequestRef = useRef(0);
+
+  const [tool, setTool] = useState('place');
+  const [radiusKm, setRadiusKm] = useState(2);
+  const [radiusInput, setRadiusInput] = useState('2');   // field text, may be mid-edit or blank
+  const [shape, setShape] = useState(null);   // finished shape, see drawnArea.js
+  const [draft, setDraft] = useState(null);   // points clicked so far for the active tool
+  const [place, setPlace] = useState(null);   // { point, areas, loading, error, selecting }
+
+  // Handlers are registered on the map once, so read the latest state through a ref
+  const stateRef = useRef({});
+  stateRef.current = { tool, radiusKm, draft, pickPlace: handlePlaceClick };
+
+  // ==================== MAP SETUP ====================
+
+  useEffect(() => {
+    const map = L.map(mapRef.current, { doubleClickZoom: false }).setView([51.505, -0.09], 6);
+    mapInstanceRef.current = map;
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors'
+    }).addTo(map);
+
+    layerGroupRef.current = L.layerGroup().addTo(map);
+    placeLayerRef.current = L.layerGroup().addTo(map);
+    previewRef.current = L.polyline([], DRAFT_STYLE).addTo(map);
+
+    map.on('click', e => {
+      const { tool, radiusKm, draft, pickPlace } = stateRef.current;
+      const point = toPair(e.latlng);
+
+      if (tool === 'place') {
+        pickPlace(point);
+      } else if (tool === 'circle') {
+        setShape({ type: 'circle', center: point, radiusKm });
+        setDraft(null);
+      } else if (tool === 'rectangle') {
+        if (draft) {
+          setShape({ type: 'rectangle', bounds: cornersToBounds([draft[0], point]) });
+          setDraft(null);
+        } else {
+          setShape(null);
+          setDraft([point]);
+        }
+      } else {
+        if (!draft) setShape(null);
+        setDraft([...(draft || []), point]);
+      }
+    });
+
+    // The two clicks of a double-click have already added the last vertex
+    map.on('dblclick', () => {
+      const { tool, draft } = stateRef.current;
+      if (tool !== 'polygon' || !draft) return;
+      const vertices = draft.filter((vertex, i) =>
+        i === 0 || vertex[0] !== draft[i - 1][0] || vertex[1] !== draft[i - 1][1]);
+      if (vertices.length >= 3) {
+        setShape({ type: 'polygon', vertices });
+        setDraft(null);
+      }
+    });
+
+    // Rubber-band preview from the last point to the cursor
+    map.on('mousemove', e => {
+      const { tool, draft } = stateRef.current;
+      if (!draft) return;
+      if (tool === 'rectangle') {
+        const [south, north, west, east] = cornersToBounds([draft[0], toPair(e.latlng)]);
+        previewRef.current.setLatLngs([...boundsCorners([south, north, west, east]), [south, west]].map(toLatLng));
+      } else {
+        previewRef.current.setLatLngs([...draft.map(toLatLng), e.latlng]);
+      }
+    });
+
+    return () => {
+      map.remove();
+      mapInstanceRef.current = null;
+    };
+  }, []);
+
+  // ==================== SHAPE RENDERING ====================
+
+  useEffect(() => {
+    const group = layerGroupRef.current;
+    group.clearLayers();
+    previewRef.current.setLatLngs([]);
+
+    // Unfinished polygon: the points so far, first point closes it
+    if (draft) {
+      if (draft.length > 1) L.polyline(draft.map(toLatLng), DRAFT_STYLE).addTo(group);
+      draft.forEach((point, i) => {
+        const marker = L.marker(toLatLng(point), { icon: handleIcon(i === 0 ? '#0d5e3a' : '#007bff') }).addTo(group);
+        if (i === 0) {
+          marker.on('click', () => {
+            if (draft.length >= 3) {
+              setShape({ type: 'polygon', vertices: draft });
+              setDraft(null);
+            }
+          });
+        }
+      });
+      return;
+    }
+
+    if (!shape) return;
+
+    // Handles move the Leaflet layer while dragging and commit to state on release
+    const addHandle = (point, onDrag, onDragEnd, onRemove) => {
+      const handle = L.marker(toLatLng(point), { icon: handleIcon(), draggable: true }).addTo(group);
+      handle.on('drag', e => onDrag(e.target.getLatLng()));
+      handle.on('dragend', e => onDragEnd(e.target.getLatLng()));
+      if (onRemove) handle.on('contextmenu', onRemove);
+      return handle;
+    };
+
+    if (shape.type === 'rectangle') {
+      const corners = boundsCorners(shape.bounds);
+      const rectangle = L.rectangle(
+        [[shape.bounds[0], shape.bounds[2]], [shape.bounds[1], shape.bounds[3]]],
+        SHAPE_STYLE
+      ).addTo(group);
+
+      corners.forEach((corner, i) => {
+        const opposite = corners[(i + 2) % 4];
+        const boundsTo = latlng => cornersToBounds([opposite, toPair(latlng)]);
+        addHandle(
+          corner,
+          latlng => {
+            const [south, north, west, east] = boundsTo(latlng);
+            rectangle.setBounds([[south, west], [north, east]]);
+          },
+          latlng => setShape({ type: 'rectangle', bounds: boundsTo(latlng) })
+        );
+      });
+    } else if (shape.type === 'polygon') {
+      const polygon = L.polygon(shape.vertices.map(toLatLng), SHAPE_STYLE).addTo(group);
+      const moved = (i, latlng) => shape.vertices.map((vertex, j) => (j === i ? toPair(latlng) : vertex));
+
+      shape.vertices.forEach((vertex, i) => {
+        addHandle(
+          vertex,
+          latlng => polygon.setLatLngs(moved(i, latlng).map(toLatLng)),
+          latlng => setShape({ type: 'polygon', vertices: moved(i, latlng) }),
+          // Right-click removes a vertex while a triangle remains
+          () => {
+            if (shape.vertices.length > 3) {
+              setShape({ type: 'polygon', vertices: shape.vertices.filter((_, j) => j !== i) });
+            }
+          }
+        );
+      });
+
+      // Midpoint handles insert a new vertex when dragged
+      shape.vertices.forEach((vertex, i) => {
+        const next = shape.vertices[(i + 1) % shape.vertices.length];
+        const midpoint = [(vertex[0] + next[0]) / 2, (vertex[1] + next[1]) / 2];
+        const inserted = latlng => [
+          ...shape.vertices.slice(0, i + 1),
+          toPair(latlng),
+          ...shape.vertices.slice(i + 1)
+        ];
+        const handle = addHandle(
+          midpoint,
+          latlng => polygon.setLatLngs(inserted(latlng).map(toLatLng)),
+          latlng => setShape({ type: 'polygon', vertices: inserted(latlng) })
+        );
+        handle.setOpacity(0.5);
+      });
+    } else {
+      const center = toLatLng(shape.center);
+      const circle = L.circle(center, { ...SHAPE_STYLE, radius: shape.radiusKm * 1000 }).addTo(group);
+      // Edge handle due east of the centre
+      const edgeFor = (latlng, meters) =>
+        [latlng.lat, latlng.lng + meters / (111320 * Math.cos((latlng.lat * Math.PI) / 180))];
+      const radiusTo = latlng => Math.max(MIN_RADIUS_KM, Math.round(center.distanceTo(latlng) / 100) / 10);
+
+      const edge = addHandle(
+        edgeFor(center, shape.radiusKm * 1000),
+        latlng => circle.setRadius(center.distanceTo(latlng)),
+        latlng => {
+          setRadiusKm(radiusTo(latlng));
+          setRadiusInput(String(radiusTo(latlng)));
+          setShape({ ...shape, radiusKm: radiusTo(latlng) });
+        }
+      );
+      addHandle(
+        shape.center,
+        latlng => {
+          circle.setLatLng(latlng);
+          edge.setLatLng(toLatLng(edgeFor(latlng, shape.radiusKm * 1000)));
+        },
+        latlng => setShape({ ...shape, center: toPair(latlng) })
+      );
+    }
+  }, [shape, draft]);
+
+  // ==================== PLACE PICKING ====================
+
+  // Reverse geocode a click into the admin areas around it
+  async function handlePlaceClick(point) {
+    const request = ++placeRequestRef.current;
+    setShape(null);
+    setDraft(null);
+    setPlace({ point, areas: null, loading: true, error: null, selecting: null });
+
+    const layer = placeLayerRef.current;
+    layer.clearLayers();
+    L.circleMarker(toLatLng(point), { radius: 5, color: '#007bff', fillOpacity: 1 }).addTo(layer);
+
+    try {
+      const areas = await reverseGeocodeAreas(point[0], point[1]);
+      if (request !== placeRequestRef.current) return;
+      setPlace({ point, areas, loading: false, error: areas.length === 0 ? 'No named areas here' : null, selecting: null });
+    } catch (err) {
+      if (request !== placeRequestRef.current) return;
+      setPlace({ point, areas: [], loading: false, error: err.message, selecting: null });
+    }
+  }
+
+  // Fetch the chosen area's boundary and hand it on like a search result
+  async function handleAreaPick(area) {
+    const request = placeRequestRef.current;
+    setPlace(prev => ({ ...prev, selecting: area.osmId, error: null }));
+
+    try {
+      const city = await lookupCity(area.osmType, area.osmId);
+      if (request !== placeRequestRef.current) return;
+
+      if (isPolygonal(city.boundary)) {
+        const outline = L.geoJSON(city.boundary, { style: SHAPE_STYLE, interactive: false }).addTo(placeLayerRef.current);
+        mapInstanceRef.current.fitBounds(outline.getBounds());
+      }
+      setPlace(prev => ({ ...prev, selecting: null }));
+      onAreaSelected(city);
+    } catch (err) {
+      if (request !== placeRequestRef.current) return;
+      setPlace(prev => ({ ...prev, selecting: null, error: err.message }));
+    }
+  }
+
+  // ==================== CONTROLS ====================
+
+  function selectTool(id) {
+    setTool(id);
+    setDraft(null);
+    if (id !== 'place') {
+      placeRequestRef.current++;
+      placeLayerRef.current.clearLayers();
+      setPlace(null);
+    }
+  }
+
+  // Blank, zero and sub-minimum entries only change the field; the circle keeps its last valid radius
+  function handleRadiusChange(text) {
+    setRadiusInput(text);
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < MIN_RADIUS_KM) return;
+    setRadiusKm(value);
+    if (shape?.type === 'circle') setShape({ ...shape, radiusKm: value });
+  }
+
+  function handleClear() {
+    setShape(null);
+    setDraft(null);
+  }
+
+  const areaKm2 = shape ? shapeAreaKm2(shape) : null;
+  const buttonStyle = active => ({
+    flex: 1,
+    padding: '6px',
+    backgroundColor: active ? '#007bff' : 'white',
+    color: active ? 'white' : '#495057',
+    border: '1px solid #dee2e6',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  });
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+        {TOOLS.map(({ id, label }) => (
+          <button key={id} onClick={() => selectTool(id)} style={buttonStyle(tool === id)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{
+        marginBottom: '8px',
+        padding: '8px',
+        backgroundColor: '#fff3cd',
+        border: '1px solid #ffeaa7',
+        borderRadius: '4px',
+        fontSize: '12px',
+        color: '#856404'
+      }}>
+        {TOOLS.find(t => t.id === tool).hint}
+        {tool !== 'place' && ` Drag the square handles to edit${tool === 'polygon' ? '; right-click a corner to remove it' : ''}.`}
+      </div>
+
+      {tool === 'circle' && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#495057', marginBottom: '8px' }}>
+          Radius
+          <input
+            type="number"
+            min={MIN_RADIUS_KM}
+            step={MIN_RADIUS_KM}
+            value={radiusInput}
+            onChange={(e) => handleRadiusChange(e.target.value)}
+            onBlur={() => setRadiusInput(String(radiusKm))}
+            style={{ width: '70px', padding: '4px', border: '1px solid #dee2e6', borderRadius: '4px' }}
+          />
+          km
+        </label>
+      )}
+
+      <div
+        ref={mapRef}
+        style={{
+          height: '300px',
+          width: '100%',
+          border: '1px solid #dee2e6',
+          borderRadius: '4px'
+        }}
+      />
+
+      {place && (
+        <div style={{ marginTop: '8px', fontSize: '12px' }}>
+          {place.loading && <div style={{ color: '#6c757d' }}>Looking up areas...</div>}
+          {place.error && <div style={{ color: '#c00', marginBottom: '4px' }}>{place.error}</div>}
+          {(place.areas || []).map(area => (
+            <button
+              key={`${area.osmType}-${area.osmId}`}
+              onClick={() => handleAreaPick(area)}
+              disabled={place.selecting !== null}
+              title={area.displayName}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                width: '100%',
+                padding: '6px 8px',
+                marginBottom: '4px',
+                backgroundColor: place.selecting === area.osmId ? '#e7f3ff' : 'white',
+                border: '1px solid #dee2e6',
+                borderRadius: '4px',
+                cursor: place.selecting !== null ? 'wait' : 'pointer',
+                fontSize: '12px',
+                textAlign: 'left'
+              }}
+            >
+              <span style={{ color: '#2c3e50', fontWeight: '500' }}>{area.name}</span>
+              <span style={{ color: '#6c757d' }}>
+                {place.selecting === area.osmId ? 'Loading...' : `${area.level} · ${area.type}`}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {tool === 'polygon' && draft && draft.length >= 3 && (
+        <button
+          onClick={() => { setShape({ type: 'polygon', vertices: draft }); setDraft(null); }}
+          style={{ ...buttonStyle(false), width: '100%', marginTop: '8px' }}
+        >
+          Finish polygon ({draft.length} points)
+        </button>
+      )}
+
+      {shape && (
+        <div style={{ marginTop: '8px' }}>
+          <div style={{ fontSize: '12px', color: areaKm2 > LARGE_AREA_KM2 ? '#c00' : '#6c757d', marginBottom: '6px' }}>
+            Area: {areaKm2.toFixed(areaKm2 < 10 ? 2 : 0)} km²
+            {areaKm2 > LARGE_AREA_KM2 && ' - large areas may time out on Overpass'}
+          </div>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button
+              onClick={() => onAreaSelected(drawnAreaCity(shape))}
+              style={{
+                flex: 2,
+                padding: '10px',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '14px',
+                fontWeight: '500'
+              }}
+            >
+              Analyze This Area
+            </button>
+            <button onClick={handleClear} style={buttonStyle(false)}>
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AreaDrawMap;
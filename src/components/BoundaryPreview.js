@@ -0,0 +1,40 @@
+// BoundaryPreview.js - Boundary Thumbnail
+// Tiny SVG outline of a place, so search candidates can be told apart at a glance
+
+import React from 'react';
+import { isPolygonal } from '../analysis/geometry';
+
+function BoundaryPreview({ boundary, boundingBox, size = 40 }) {
+  const [south, north, west, east] = boundingBox;
+  const lngScale = Math.cos((((south + north) / 2) * Math.PI) / 180);
+  const span = Math.max((east - west) * lngScale, north - south, 1e-9);
+  // Centre the shape in a square box with a small margin
+  const scale = (size - 4) / span;
+  const offsetX = (size - (east - west) * lngScale * scale) / 2;
+  const offsetY = (size - (north - south) * scale) / 2;
+
+  const project = ([lng, lat]) =>
+    `${(offsetX + (lng - west) * lngScale * scale).toFixed(1)},${(offsetY + (north - lat) * scale).toFixed(1)}`;
+
+  let content;
+  if (isPolygonal(boundary)) {
+    const polygons = boundary.type === 'Polygon' ? [boundary.coordinates] : boundary.coordinates;
+    const d = polygons.flatMap(rings => rings.map(ring => `M${ring.map(project).join('L')}Z`)).join('');
+    content = <path d={d} fill="#007bff" fillOpacity="0.2" stroke="#007bff" strokeWidth="1" fillRule="evenodd" />;
+  } else {
+    content = <circle cx={size / 2} cy={size / 2} r="3" fill="#007bff" />;
+  }
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${size} ${size}`}
+      style={{ flex: '0 0 auto', backgroundColor: '#f8f9fa', border: '1px solid #dee2e6', borderRadius: '3px' }}
+    >
+      {content}
+    </svg>
+  );
+}
+
+export default BoundaryPreview;
@@ -0,0 +1,67 @@
+// CityMiniMap.js - Small Static City Map
+// One panel of the comparison small multiples: boundary plus outlet dots
+
+import React, { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { isPolygonal } from '../analysis/geometry';
+
+function CityMiniMap({ city, foodOutlets, height = 180 }) {
+  const mapRef = useRef(null);
+
+  useEffect(() => {
+    const [south, north, west, east] = city.boundingBox;
+    const map = L.map(mapRef.current, {
+      zoomControl: false,
+      attributionControl: false,
+      dragging: false,
+      scrollWheelZoom: false,
+      doubleClickZoom: false,
+      boxZoom: false,
+      keyboard: false,
+      touchZoom: false
+    });
+    map.fitBounds([[south, west], [north, east]]);
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      opacity: 0.6
+    }).addTo(map);
+
+    if (isPolygonal(city.boundary)) {
+      L.geoJSON(city.boundary, {
+        style: { color: '#2c3e50', weight: 1.5, fill: false, dashArray: '4, 3' },
+        interactive: false
+      }).addTo(map);
+    }
+
+    // Canvas dots keep thousands of outlets cheap
+    const renderer = L.canvas();
+    (foodOutlets || []).forEach(outlet => {
+      if (!outlet.lat || !outlet.lng) return;
+      L.circleMarker([outlet.lat, outlet.lng], {
+        renderer,
+        radius: 2,
+        stroke: false,
+        fillColor: outlet.classification.color,
+        fillOpacity: 0.85,
+        interactive: false
+      }).addTo(map);
+    });
+
+    return () => map.remove();
+  }, [city, foodOutlets]);
+
+  return (
+    <div
+      ref={mapRef}
+      style={{
+        height: `${height}px`,
+        width: '100%',
+        border: '1px solid #dee2e6',
+        borderRadius: '4px'
+      }}
+    />
+  );
+}
+
+export default CityMiniMap;
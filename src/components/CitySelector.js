@@ -1,10 +1,13 @@
 // CitySelector.js - City Selection Component
-// Supports both text search and map click selection
+// Supports both text search and drawing a custom study area
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { geocodeCity } from '../dataFetchers';
+import { lookupCity, searchCities } from '../dataFetchers';
+import { isSelfHostedNominatim } from '../providers';
+import AreaDrawMap from './AreaDrawMap';
+import BoundaryPreview from './BoundaryPreview';
 
 // Fix for default markers in Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -14,66 +17,118 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+// The public Nominatim usage policy forbids autocomplete, so there candidates
+// are only fetched by "Find City". With a self-hosted instance
+// (REACT_APP_NOMINATIM_URL) they are also suggested after a pause in typing,
+// never for very short input. Requests are throttled to one per second and
+// cached either way (see providers.js, cache.js).
+const SUGGEST_DELAY_MS = 750;
+const SUGGEST_MIN_LENGTH = 3;
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px',
+  border: '1px solid #dee2e6',
+  borderRadius: '4px',
+  fontSize: '14px',
+  marginBottom: '8px',
+  boxSizing: 'border-box'
+};
+
+// Free text, or { city, country } with blank fields left out
+function buildQuery(structured, text, city, country) {
+  if (!structured) return text.trim();
+  const query = {};
+  if (city.trim()) query.city = city.trim();
+  if (country.trim()) query.country = country.trim();
+  return query;
+}
+
+const queryLength = query => (typeof query === 'string' ? query.length : (query.city || '').length);
+
 function CitySelector({ onCitySelected }) {
   const [mode, setMode] = useState('search');
   const [searchQuery, setSearchQuery] = useState('');
+  const [structured, setStructured] = useState(false);
+  const [cityField, setCityField] = useState('');
+  const [countryField, setCountryField] = useState('');
+  const [countryFilter, setCountryFilter] = useState('');
+  const [candidates, setCandidates] = useState(null);
+  const [selecting, setSelecting] = useState(null);
   const [searching, setSearching] = useState(false);
   const [error, setError] = useState(null);
-  const mapRef = useRef(null);
-  const mapInstanceRef = useRef(null);
+  const suggestTimerRef = useRef(null);
+  const requestRef = useRef(0);
 
-  // Initialize Leaflet map for draw mode
-  useEffect(() => {
-    if (mode === 'draw' && mapRef.current && !mapInstanceRef.current) {
-      mapInstanceRef.current = L.map(mapRef.current).setView([51.505, -0.09], 6);
-      
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap contributors'
-      }).addTo(mapInstanceRef.current);
+  useEffect(() => () => clearTimeout(suggestTimerRef.current), []);
 
-      // Add click handler for boundary selection
-      mapInstanceRef.current.on('click', (e) => {
-        const cityData = {
-          name: 'Custom Location',
-          lat: e.latlng.lat,
-          lng: e.latlng.lng,
-          boundingBox: [
-            e.latlng.lat - 0.1,
-            e.latlng.lat + 0.1,
-            e.latlng.lng - 0.1,
-            e.latlng.lng + 0.1
-          ],
-          source: 'manual'
-        };
-        onCitySelected(cityData);
-      });
+  const query = buildQuery(structured, searchQuery, cityField, countryField);
+  const canSearch = queryLength(query) > 0;
+
+  // Ask for candidates once typing pauses (self-hosted Nominatim only); older responses are ignored
+  function scheduleSuggest(nextQuery, nextFilter = countryFilter) {
+    clearTimeout(suggestTimerRef.current);
+    requestRef.current++;
+    if (!isSelfHostedNominatim() || queryLength(nextQuery) < SUGGEST_MIN_LENGTH) {
+      setCandidates(null);
+      return;
     }
 
-    return () => {
-      if (mapInstanceRef.current) {
-        mapInstanceRef.current.remove();
-        mapInstanceRef.current = null;
+    suggestTimerRef.current = setTimeout(async () => {
+      const request = ++requestRef.current;
+      try {
+        const results = await searchCities(nextQuery, { countryCodes: nextFilter.trim() });
+        if (request === requestRef.current) setCandidates(results);
+      } catch (err) {
+        if (request === requestRef.current) setError(err.message);
       }
-    };
-  }, [mode, onCitySelected]);
+    }, SUGGEST_DELAY_MS);
+  }
 
+  // Explicit search: go straight to the only match, otherwise let the user choose
   async function handleSearch() {
-    if (!searchQuery.trim()) return;
-    
+    if (!canSearch) return;
+    clearTimeout(suggestTimerRef.current);
+    const request = ++requestRef.current;
+
     setSearching(true);
     setError(null);
 
     try {
-      const cityData = await geocodeCity(searchQuery);
-      onCitySelected(cityData);
-      setSearching(false);
+      const results = await searchCities(query, { countryCodes: countryFilter.trim() });
+      if (request !== requestRef.current) return;
+      if (results.length === 0) throw new Error('City not found');
+      if (results.length === 1) {
+        await handleSelectCandidate(results[0]);
+      } else {
+        setCandidates(results);
+      }
     } catch (error) {
       console.error('Search error:', error);
       setError(error.message);
+    } finally {
       setSearching(false);
     }
   }
 
+  // Fetch the full boundary for the chosen candidate
+  async function handleSelectCandidate(candidate) {
+    requestRef.current++;
+    setSelecting(candidate.osmId);
+    setError(null);
+
+    try {
+      const city = await lookupCity(candidate.osmType, candidate.osmId);
+      setCandidates(null);
+      onCitySelected(city);
+    } catch (error) {
+      console.error('Search error:', error);
+      setError(error.message);
+    } finally {
+      setSelecting(null);
+    }
+  }
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       handleSearch();
@@ -129,7 +184,7 @@ function CitySelector({ onCitySelected }) {
             transition: 'all 0.2s'
           }}
         >
-          Click Map
+          Draw Area
         </button>
       </div>
 
@@ -137,44 +192,144 @@ function CitySelector({ onCitySelected }) {
       {mode === 'search' && (
         <div>
           <div style={{ marginBottom: '12px' }}>
-            <label style={{ 
-              display: 'block', 
-              fontSize: '14px', 
-              fontWeight: '500', 
-              marginBottom: '8px',
-              color: '#495057'
-            }}>
-              City Name
-            </label>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '8px' }}>
+              <label style={{ 
+                fontSize: '14px', 
+                fontWeight: '500', 
+                color: '#495057'
+              }}>
+                {structured ? 'City and Country' : 'City Name'}
+              </label>
+              <label style={{ fontSize: '12px', color: '#6c757d', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={structured}
+                  onChange={(e) => {
+                    setStructured(e.target.checked);
+                    setCandidates(null);
+                  }}
+                  style={{ marginRight: '4px' }}
+                />
+                Structured
+              </label>
+            </div>
+
+            {structured ? (
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <input
+                  type="text"
+                  value={cityField}
+                  onChange={(e) => {
+                    setCityField(e.target.value);
+                    scheduleSuggest(buildQuery(true, '', e.target.value, countryField));
+                  }}
+                  onKeyPress={handleKeyPress}
+                  placeholder="City, e.g. Hull"
+                  style={{ ...inputStyle, flex: 3 }}
+                />
+                <input
+                  type="text"
+                  value={countryField}
+                  onChange={(e) => {
+                    setCountryField(e.target.value);
+                    scheduleSuggest(buildQuery(true, '', cityField, e.target.value));
+                  }}
+                  onKeyPress={handleKeyPress}
+                  placeholder="Country"
+                  style={{ ...inputStyle, flex: 2 }}
+                />
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={(e) => {
+                  setSearchQuery(e.target.value);
+                  scheduleSuggest(e.target.value.trim());
+                }}
+                onKeyPress={handleKeyPress}
+                placeholder="e.g., Hull, Nairobi, Phoenix"
+                style={inputStyle}
+              />
+            )}
+
             <input
               type="text"
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              onKeyPress={handleKeyPress}
-              placeholder="e.g., Hull, Nairobi, Phoenix"
-              style={{
-                width: '100%',
-                padding: '10px',
-                border: '1px solid #dee2e6',
-                borderRadius: '4px',
-                fontSize: '14px',
-                marginBottom: '8px',
-                boxSizing: 'border-box'
+              value={countryFilter}
+              onChange={(e) => {
+                setCountryFilter(e.target.value);
+                scheduleSuggest(query, e.target.value);
               }}
+              onKeyPress={handleKeyPress}
+              placeholder="Only in countries (ISO codes, e.g. gb,ie) - optional"
+              style={{ ...inputStyle, fontSize: '12px', padding: '6px 10px' }}
             />
           </div>
+
+          {/* Candidates */}
+          {candidates && candidates.length > 0 && (
+            <div style={{
+              marginBottom: '12px',
+              border: '1px solid #dee2e6',
+              borderRadius: '4px',
+              backgroundColor: 'white'
+            }}>
+              {candidates.map(candidate => (
+                <div
+                  key={`${candidate.osmType}-${candidate.osmId}`}
+                  onClick={() => selecting === null && handleSelectCandidate(candidate)}
+                  title={candidate.displayName}
+                  style={{
+                    display: 'flex',
+                    gap: '8px',
+                    alignItems: 'center',
+                    padding: '6px 8px',
+                    borderBottom: '1px solid #f1f3f5',
+                    cursor: selecting === null ? 'pointer' : 'wait',
+                    backgroundColor: selecting === candidate.osmId ? '#e7f3ff' : 'white'
+                  }}
+                >
+                  <BoundaryPreview boundary={candidate.boundary} boundingBox={candidate.boundingBox} />
+                  <div style={{ minWidth: 0 }}>
+                    <div style={{ fontSize: '13px', fontWeight: '500', color: '#2c3e50' }}>
+                      {candidate.name}
+                    </div>
+                    <div style={{ fontSize: '11px', color: '#6c757d' }}>
+                      {selecting === candidate.osmId
+                        ? 'Loading boundary...'
+                        : [candidate.type, candidate.country].filter(Boolean).join(' · ')}
+                    </div>
+                    <div style={{
+                      fontSize: '10px',
+                      color: '#adb5bd',
+                      whiteSpace: 'nowrap',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis'
+                    }}>
+                      {candidate.displayName}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {candidates && candidates.length === 0 && (
+            <div style={{ marginBottom: '12px', fontSize: '12px', color: '#6c757d' }}>
+              No matching places
+            </div>
+          )}
           
           <button 
             onClick={handleSearch} 
-            disabled={searching || !searchQuery.trim()}
+            disabled={searching || !canSearch}
             style={{
               width: '100%',
               padding: '10px',
-              backgroundColor: searching || !searchQuery.trim() ? '#ccc' : '#007bff',
+              backgroundColor: searching || !canSearch ? '#ccc' : '#007bff',
               color: 'white',
               border: 'none',
               borderRadius: '4px',
-              cursor: searching || !searchQuery.trim() ? 'not-allowed' : 'pointer',
+              cursor: searching || !canSearch ? 'not-allowed' : 'pointer',
               fontSize: '14px',
               fontWeight: '500',
               transition: 'background-color 0.2s'
@@ -212,6 +367,7 @@ function CitySelector({ onCitySelected }) {
             <strong>Search Tips:</strong><br/>
             • Try full city names: "Kingston upon Hull"<br/>
             • Include country for clarity: "Hull, England"<br/>
+            • Pick from the suggestions when a name matches several places<br/>
             • Works worldwide: "Nairobi, Kenya"
           </div>
         </div>
@@ -219,29 +375,7 @@ function CitySelector({ onCitySelected }) {
 
       {/* Draw Mode */}
       {mode === 'draw' && (
-        <div>
-          <div style={{
-            marginBottom: '12px',
-            padding: '12px',
-            backgroundColor: '#fff3cd',
-            border: '1px solid #ffeaa7',
-            borderRadius: '4px',
-            fontSize: '13px',
-            color: '#856404'
-          }}>
-            <strong>Click anywhere on the map</strong> to select a location for analysis.
-          </div>
-          
-          <div 
-            ref={mapRef} 
-            style={{ 
-              height: '300px', 
-              width: '100%',
-              border: '1px solid #dee2e6',
-              borderRadius: '4px'
-            }}
-          />
-        </div>
+        <AreaDrawMap onAreaSelected={onCitySelected} />
       )}
 
       {/* Recent Searches */}
@@ -264,8 +398,10 @@ function CitySelector({ onCitySelected }) {
             <button
               key={city}
               onClick={() => {
+                setStructured(false);
                 setSearchQuery(city);
                 setMode('search');
+                scheduleSuggest(city);
               }}
               style={{
                 padding: '4px 8px',
@@ -0,0 +1,107 @@
+// ClimateCharts.js - Small Monthly Climate Charts
+// Dependency-free SVG bar and range charts for the NASA POWER climatology
+
+import React from 'react';
+import { MONTH_LABELS } from '../analysis/climate';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 60;
+const LABEL_HEIGHT = 12;
+const SLOT = CHART_WIDTH / 12;
+
+function ChartFrame({ title, summary, children }) {
+  return (
+    <div style={{ marginBottom: '10px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', marginBottom: '2px' }}>
+        <span style={{ color: '#495057', fontWeight: '500' }}>{title}</span>
+        <span style={{ color: '#6c757d' }}>{summary}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + LABEL_HEIGHT}`}
+        style={{ width: '100%', height: 'auto', display: 'block' }}
+      >
+        {children}
+        {MONTH_LABELS.map((label, month) => (
+          <text
+            key={month}
+            x={month * SLOT + SLOT / 2}
+            y={CHART_HEIGHT + LABEL_HEIGHT - 2}
+            textAnchor="middle"
+            fontSize="9"
+            fill="#6c757d"
+          >
+            {label}
+          </text>
+        ))}
+      </svg>
+    </div>
+  );
+}
+
+/**
+ * One bar per month; months with no data are left empty
+ */
+export function MonthlyBarChart({ title, summary, values, color, unit, digits = 0 }) {
+  const max = Math.max(...values.filter(value => value !== null), 0) || 1;
+
+  return (
+    <ChartFrame title={title} summary={summary}>
+      {values.map((value, month) => {
+        if (value === null) return null;
+        const height = (value / max) * (CHART_HEIGHT - 4);
+        return (
+          <rect
+            key={month}
+            x={month * SLOT + 2}
+            y={CHART_HEIGHT - height}
+            width={SLOT - 4}
+            height={height}
+            fill={color}
+            rx="1"
+          >
+            <title>{`${MONTH_LABELS[month]}: ${value.toFixed(digits)} ${unit}`}</title>
+          </rect>
+        );
+      })}
+    </ChartFrame>
+  );
+}
+
+/**
+ * Monthly min-max temperature bars with the mean marked, and a 0 °C line
+ */
+export function MonthlyTemperatureChart({ title, summary, monthly }) {
+  const present = monthly.filter(month => month && month.T2M !== null);
+  const lows = present.map(month => month.T2M_MIN ?? month.T2M);
+  const highs = present.map(month => month.T2M_MAX ?? month.T2M);
+  const min = Math.min(...lows, 0);
+  const max = Math.max(...highs, min + 1);
+  const y = value => CHART_HEIGHT - ((value - min) / (max - min)) * (CHART_HEIGHT - 4);
+
+  return (
+    <ChartFrame title={title} summary={summary}>
+      <line x1="0" x2={CHART_WIDTH} y1={y(0)} y2={y(0)} stroke="#0ea5e9" strokeDasharray="3,2" strokeWidth="0.5" />
+      {monthly.map((month, index) => {
+        if (!month || month.T2M === null) return null;
+        const low = month.T2M_MIN ?? month.T2M;
+        const high = month.T2M_MAX ?? month.T2M;
+        return (
+          <g key={index}>
+            <rect
+              x={index * SLOT + 5}
+              y={y(high)}
+              width={SLOT - 10}
+              height={Math.max(y(low) - y(high), 1)}
+              fill="#fbbf24"
+              rx="1"
+            />
+            <rect x={index * SLOT + 3} y={y(month.T2M) - 1} width={SLOT - 6} height="2" fill="#dc2626" />
+            <title>
+              {`${MONTH_LABELS[index]}: ${low.toFixed(1)} to ${high.toFixed(1)} °C (mean ${month.T2M.toFixed(1)} °C)`}
+            </title>
+          </g>
+        );
+      })}
+    </ChartFrame>
+  );
+}
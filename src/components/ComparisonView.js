@@ -0,0 +1,285 @@
+// ComparisonView.js - Multi-City Comparison
+// Small-multiple maps and a side-by-side table of every city's metrics
+
+import React, { useState } from 'react';
+import BoundaryPreview from './BoundaryPreview';
+import CityMiniMap from './CityMiniMap';
+import { searchCities } from '../dataFetchers';
+import { COMPARISON_METRICS } from '../analysis/cityMetrics';
+
+const cellStyle = {
+  padding: '4px 8px',
+  borderBottom: '1px solid #f1f3f5',
+  textAlign: 'right',
+  whiteSpace: 'nowrap'
+};
+
+/**
+ * Index of the best value in a row, or -1 when the row has no preferred direction
+ */
+function bestIndex(metric, values) {
+  if (!metric.better) return -1;
+  let best = -1;
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) return;
+    if (best === -1 ||
+      (metric.better === 'higher' ? value > values[best] : value < values[best])) {
+      best = index;
+    }
+  });
+  return values.filter(value => value !== null && value !== undefined).length > 1 ? best : -1;
+}
+
+function ComparisonView({ entries, adding, onAddCity, onAddCurrent, canAddCurrent, onRemove, onClose }) {
+  const [query, setQuery] = useState('');
+  const [candidates, setCandidates] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const busy = adding || searching;
+
+  // Add the only match straight away, otherwise let the user choose (Hull, UK vs Hull, Quebec)
+  async function handleAdd() {
+    if (!query.trim()) return;
+    setSearching(true);
+    setSearchError(null);
+    setCandidates(null);
+
+    try {
+      const results = await searchCities(query.trim());
+      if (results.length === 0) throw new Error('City not found');
+      if (results.length === 1) handleChoose(results[0]);
+      else setCandidates(results);
+    } catch (error) {
+      setSearchError(error.message);
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  function handleChoose(candidate) {
+    setCandidates(null);
+    setQuery('');
+    onAddCity(candidate);
+  }
+
+  return (
+    <div style={{ height: '100%', overflowY: 'auto', padding: '16px', boxSizing: 'border-box' }}>
+      {/* Toolbar */}
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+        <h3 style={{ fontSize: '16px', margin: 0, color: '#2c3e50', fontWeight: '600', flex: 1 }}>
+          City Comparison ({entries.length})
+        </h3>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyPress={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          placeholder="Add a city, e.g. Leeds, UK"
+          disabled={busy}
+          style={{
+            padding: '6px 8px',
+            border: '1px solid #dee2e6',
+            borderRadius: '4px',
+            fontSize: '13px',
+            width: '200px'
+          }}
+        />
+        <button
+          onClick={handleAdd}
+          disabled={busy}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: busy ? '#6c757d' : '#007bff',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: busy ? 'not-allowed' : 'pointer',
+            fontSize: '13px'
+          }}
+        >
+          {searching ? 'Searching...' : adding ? 'Fetching...' : 'Add'}
+        </button>
+        {canAddCurrent && (
+          <button
+            onClick={onAddCurrent}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: 'white',
+              color: '#007bff',
+              border: '1px solid #007bff',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '13px'
+            }}
+          >
+            Add current city
+          </button>
+        )}
+        <button
+          onClick={onClose}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: 'white',
+            color: '#6c757d',
+            border: '1px solid #dee2e6',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '13px'
+          }}
+        >
+          Back to map
+        </button>
+      </div>
+
+      {searchError && (
+        <div style={{ marginBottom: '12px', fontSize: '12px', color: '#dc3545' }}>
+          {searchError}
+        </div>
+      )}
+
+      {/* Candidates when the search is ambiguous */}
+      {candidates && (
+        <div style={{
+          marginBottom: '16px',
+          border: '1px solid #dee2e6',
+          borderRadius: '4px',
+          backgroundColor: 'white'
+        }}>
+          <div style={{ display: 'flex', padding: '6px 8px', fontSize: '12px', color: '#6c757d', borderBottom: '1px solid #f1f3f5' }}>
+            <span style={{ flex: 1 }}>Which place did you mean?</span>
+            <span onClick={() => setCandidates(null)} style={{ color: '#007bff', cursor: 'pointer' }}>
+              Cancel
+            </span>
+          </div>
+          {candidates.map(candidate => (
+            <div
+              key={`${candidate.osmType}-${candidate.osmId}`}
+              onClick={() => !adding && handleChoose(candidate)}
+              title={candidate.displayName}
+              style={{
+                display: 'flex',
+                gap: '8px',
+                alignItems: 'center',
+                padding: '6px 8px',
+                borderBottom: '1px solid #f1f3f5',
+                cursor: adding ? 'wait' : 'pointer'
+              }}
+            >
+              <BoundaryPreview boundary={candidate.boundary} boundingBox={candidate.boundingBox} />
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontSize: '13px', fontWeight: '500', color: '#2c3e50' }}>
+                  {candidate.name}
+                </div>
+                <div style={{ fontSize: '11px', color: '#6c757d' }}>
+                  {[candidate.type, candidate.country].filter(Boolean).join(' · ')}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {entries.length === 0 && (
+        <div style={{ textAlign: 'center', color: '#6c757d', fontSize: '14px', marginTop: '40px' }}>
+          Add cities to compare them side by side
+        </div>
+      )}
+
+      {/* Small multiples */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+        gap: '12px',
+        marginBottom: '16px'
+      }}>
+        {entries.map(entry => (
+          <div key={entry.id} style={{ backgroundColor: 'white', border: '1px solid #dee2e6', borderRadius: '4px', padding: '8px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+              <strong style={{ fontSize: '13px', color: '#2c3e50' }}>{entry.metrics.name}</strong>
+              <button
+                onClick={() => onRemove(entry.id)}
+                title="Remove from comparison"
+                style={{
+                  padding: '0 6px',
+                  backgroundColor: 'white',
+                  color: '#dc2626',
+                  border: '1px solid #dc2626',
+                  borderRadius: '3px',
+                  cursor: 'pointer',
+                  fontSize: '11px'
+                }}
+              >
+                ×
+              </button>
+            </div>
+            <CityMiniMap city={entry.city} foodOutlets={entry.foodOutlets} />
+            <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px' }}>
+              {entry.metrics.totalOutlets} outlets · {entry.metrics.healthyShare === null
+                ? 'n/a'
+                : `${(entry.metrics.healthyShare * 100).toFixed(0)}% healthy`}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Metrics table */}
+      {entries.length > 0 && (
+        <div style={{ backgroundColor: 'white', border: '1px solid #dee2e6', borderRadius: '4px', overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ backgroundColor: '#f8f9fa' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Metric</th>
+                {entries.map(entry => (
+                  <th key={entry.id} style={cellStyle}>{entry.metrics.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARISON_METRICS.map((metric, row) => {
+                const values = entries.map(entry => entry.metrics[metric.key]);
+                const best = bestIndex(metric, values);
+                const groupRow = (row === 0 || COMPARISON_METRICS[row - 1].group !== metric.group) && (
+                  <tr key={`group-${metric.group}`}>
+                    <td
+                      colSpan={entries.length + 1}
+                      style={{ ...cellStyle, textAlign: 'left', fontWeight: '600', color: '#495057', paddingTop: '10px' }}
+                    >
+                      {metric.group}
+                    </td>
+                  </tr>
+                );
+
+                return (
+                  <React.Fragment key={metric.key}>
+                    {groupRow}
+                    <tr>
+                      <td style={{ ...cellStyle, textAlign: 'left', color: '#6c757d' }}>{metric.label}</td>
+                      {values.map((value, index) => (
+                        <td
+                          key={entries[index].id}
+                          style={{
+                            ...cellStyle,
+                            fontWeight: index === best ? '600' : 'normal',
+                            color: index === best ? '#0d5e3a' : '#2c3e50'
+                          }}
+                        >
+                          {value === null || value === undefined ? '–' : metric.format(value)}
+                        </td>
+                      ))}
+                    </tr>
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ fontSize: '10px', color: '#6c757d', padding: '6px 8px' }}>
+            Best value per row in green. Per capita figures use GPWv4 population when loaded, otherwise the
+            OpenStreetMap population tag; maps are each fitted to their own city.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ComparisonView;
@@ -0,0 +1,108 @@
+// CropRecommendations.js - What Can Grow Here
+// Lists crops suited to the city's POWER climatology with planting windows
+
+import React, { useState } from 'react';
+import { formatMonthRanges, MONTH_NAMES } from '../analysis/cropRecommendations';
+
+const CATEGORY_COLORS = {
+  vegetable: '#0d5e3a',
+  fruit: '#dc2626',
+  herb: '#10b981'
+};
+
+const INITIAL_ROWS = 8;
+
+function CropRecommendations({ recommendations }) {
+  const [showAll, setShowAll] = useState(false);
+  const [showUnsuitable, setShowUnsuitable] = useState(false);
+
+  const { suitable, unsuitable } = recommendations;
+  const visible = showAll ? suitable : suitable.slice(0, INITIAL_ROWS);
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <h4 style={{
+        fontSize: '14px',
+        margin: '0 0 8px 0',
+        color: '#495057'
+      }}>
+        What Can Grow Here
+      </h4>
+
+      <div style={{
+        border: '1px solid #dee2e6',
+        borderRadius: '4px',
+        fontSize: '12px'
+      }}>
+        {suitable.length === 0 && (
+          <div style={{ padding: '8px', color: '#6c757d' }}>
+            No crops in the table suit this climate outdoors
+          </div>
+        )}
+        {visible.map(({ crop, plantingMonths, harvestMonth, irrigationMm }) => (
+          <div
+            key={crop.id}
+            style={{
+              padding: '6px 8px',
+              borderBottom: '1px solid #f1f3f5'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+              <span style={{ fontWeight: '500', color: '#2c3e50' }}>
+                <span style={{ color: CATEGORY_COLORS[crop.category] || '#6c757d', marginRight: '4px' }}>●</span>
+                {crop.name}
+              </span>
+              <span style={{ fontSize: '11px', color: irrigationMm > 0 ? '#b45309' : '#0d5e3a' }}>
+                {irrigationMm > 0 ? `+${irrigationMm} mm water` : 'Rain-fed'}
+              </span>
+            </div>
+            <div style={{ fontSize: '11px', color: '#6c757d', marginLeft: '14px' }}>
+              Plant {formatMonthRanges(plantingMonths)} · first harvest ~{MONTH_NAMES[harvestMonth]}
+            </div>
+          </div>
+        ))}
+
+        {suitable.length > INITIAL_ROWS && (
+          <button
+            onClick={() => setShowAll(!showAll)}
+            style={{
+              width: '100%',
+              padding: '4px',
+              backgroundColor: 'white',
+              color: '#007bff',
+              border: 'none',
+              cursor: 'pointer',
+              fontSize: '11px'
+            }}
+          >
+            {showAll ? 'Show fewer' : `Show all ${suitable.length} crops`}
+          </button>
+        )}
+      </div>
+
+      {unsuitable.length > 0 && (
+        <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px' }}>
+          <span
+            onClick={() => setShowUnsuitable(!showUnsuitable)}
+            style={{ cursor: 'pointer', textDecoration: 'underline' }}
+          >
+            {showUnsuitable ? 'Hide' : 'Show'} {unsuitable.length} unsuitable crops
+          </span>
+          {showUnsuitable && (
+            <div style={{ marginTop: '4px', lineHeight: '1.5' }}>
+              {unsuitable.map(({ crop, reason }) => (
+                <div key={crop.id}>{crop.name}: {reason}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+        Outdoor planting windows from monthly NASA POWER climatology; water = season need minus rainfall
+      </div>
+    </div>
+  );
+}
+
+export default CropRecommendations;
@@ -0,0 +1,177 @@
+// FarmSites.js - Urban Farm Site Recommendations
+// Ranked candidate sites with per-criterion explanations and adjustable weights
+
+import React, { useState } from 'react';
+import {
+  CRITERIA_LABELS,
+  DEFAULT_SUITABILITY_WEIGHTS,
+  getSiteColor
+} from '../analysis/farmSuitability';
+
+function FarmSites({ farmSites, weights, onWeightsChange, onClose }) {
+  const [expandedSite, setExpandedSite] = useState(1);
+  const [showWeights, setShowWeights] = useState(false);
+
+  return (
+    <div style={{
+      padding: '16px',
+      backgroundColor: 'white',
+      border: '1px solid #dee2e6',
+      borderRadius: '4px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{
+          fontSize: '16px',
+          margin: 0,
+          color: '#2c3e50',
+          fontWeight: '600'
+        }}>
+          Urban Farm Sites
+        </h3>
+        <button
+          onClick={onClose}
+          style={{
+            padding: '2px 8px',
+            backgroundColor: 'white',
+            color: '#6c757d',
+            border: '1px solid #dee2e6',
+            borderRadius: '3px',
+            cursor: 'pointer',
+            fontSize: '11px'
+          }}
+        >
+          Hide
+        </button>
+      </div>
+
+      <div style={{ fontSize: '11px', color: '#6c757d', marginBottom: '8px', lineHeight: '1.4' }}>
+        Top {farmSites.sites.length} of {farmSites.candidateCount} grid cells, at least {farmSites.minSpacing / 1000} km apart.
+        Numbers match the markers on the map.
+      </div>
+
+      {/* Criterion weights */}
+      <button
+        onClick={() => setShowWeights(!showWeights)}
+        style={{
+          width: '100%',
+          padding: '4px',
+          marginBottom: '8px',
+          backgroundColor: '#f8f9fa',
+          color: '#495057',
+          border: '1px solid #dee2e6',
+          borderRadius: '3px',
+          cursor: 'pointer',
+          fontSize: '12px',
+          textAlign: 'left'
+        }}
+      >
+        {showWeights ? '▾' : '▸'} Criterion weights
+      </button>
+      {showWeights && (
+        <div style={{ marginBottom: '12px', fontSize: '12px' }}>
+          {Object.keys(DEFAULT_SUITABILITY_WEIGHTS).map(key => {
+            const available = farmSites.criteria.includes(key) || weights[key] === 0;
+            return (
+              <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                <span style={{ flex: '0 0 130px', color: available ? '#495057' : '#adb5bd' }}>
+                  {CRITERIA_LABELS[key]}
+                </span>
+                <input
+                  type="range"
+                  min="0"
+                  max="50"
+                  step="5"
+                  value={weights[key]}
+                  onChange={(e) => onWeightsChange({ ...weights, [key]: Number(e.target.value) })}
+                  style={{ flex: 1 }}
+                />
+                <span style={{ width: '24px', textAlign: 'right', color: '#6c757d' }}>{weights[key]}</span>
+              </div>
+            );
+          })}
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#6c757d' }}>
+            <span>Greyed criteria have no data loaded and are skipped</span>
+            <button
+              onClick={() => onWeightsChange(DEFAULT_SUITABILITY_WEIGHTS)}
+              style={{
+                padding: '0 6px',
+                backgroundColor: 'white',
+                color: '#6c757d',
+                border: '1px solid #dee2e6',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '10px'
+              }}
+            >
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Ranked sites */}
+      {farmSites.sites.length === 0 && (
+        <div style={{ fontSize: '12px', color: '#6c757d' }}>
+          No candidate cells - increase at least one criterion weight.
+        </div>
+      )}
+      {farmSites.sites.map(site => (
+        <div
+          key={site.id}
+          style={{
+            border: '1px solid #dee2e6',
+            borderRadius: '4px',
+            marginBottom: '6px',
+            fontSize: '12px'
+          }}
+        >
+          <div
+            onClick={() => setExpandedSite(expandedSite === site.rank ? null : site.rank)}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '6px 8px',
+              cursor: 'pointer'
+            }}
+          >
+            <span style={{
+              display: 'inline-block',
+              width: '20px',
+              height: '20px',
+              lineHeight: '20px',
+              borderRadius: '50%',
+              backgroundColor: getSiteColor(site.score),
+              color: 'white',
+              textAlign: 'center',
+              fontWeight: '600',
+              fontSize: '11px'
+            }}>
+              {site.rank}
+            </span>
+            <span style={{ flex: 1, color: '#495057' }}>
+              {site.lat.toFixed(4)}, {site.lng.toFixed(4)}
+            </span>
+            <strong style={{ color: '#2c3e50' }}>{site.score.toFixed(0)}</strong>
+          </div>
+
+          {expandedSite === site.rank && (
+            <div style={{ padding: '0 8px 8px 36px', color: '#6c757d', lineHeight: '1.5' }}>
+              {site.criteria.map(criterion => (
+                <div key={criterion.key} style={{ marginTop: '2px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', color: '#495057' }}>
+                    <span>{criterion.label}</span>
+                    <span>{Math.round(criterion.score * 100)}/100 × {criterion.weight}</span>
+                  </div>
+                  <div style={{ fontSize: '11px' }}>{criterion.explanation}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default FarmSites;
@@ -0,0 +1,176 @@
+// LocalDatasets.js - Local Raster Dataset Loader
+// Lets users load GeoTIFFs they downloaded themselves (SEDAC GPWv4 population, MODIS NDVI/LST)
+
+import React from 'react';
+import { MAX_BUILDING_PROXY_KM2 } from '../dataFetchers';
+
+// Name of a loaded file, or a count when several scenes are loaded
+function describeFiles(file) {
+  if (!Array.isArray(file)) return file.name;
+  return file.length === 1 ? file[0].name : `${file.length} files`;
+}
+
+function FileRow({ label, hint, file, status, onFileChange, multiple = false }) {
+  return (
+    <div style={{ marginBottom: '12px' }}>
+      <label style={{
+        display: 'block',
+        fontSize: '13px',
+        fontWeight: '500',
+        marginBottom: '4px',
+        color: '#495057'
+      }}>
+        {label}
+      </label>
+      <input
+        type="file"
+        accept=".tif,.tiff,image/tiff"
+        multiple={multiple}
+        onChange={(e) => {
+          const files = [...e.target.files];
+          if (multiple) onFileChange(files.length > 0 ? files : null);
+          else onFileChange(files[0] || null);
+        }}
+        style={{ fontSize: '12px', width: '100%' }}
+      />
+      <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px', lineHeight: '1.4' }}>
+        {file ? (
+          <>
+            Loaded: <strong>{describeFiles(file)}</strong>
+            {status && <span> – {status}</span>}
+            <button
+              onClick={() => onFileChange(null)}
+              style={{
+                marginLeft: '6px',
+                padding: '0 6px',
+                backgroundColor: 'white',
+                color: '#dc2626',
+                border: '1px solid #dc2626',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '11px'
+              }}
+            >
+              Remove
+            </button>
+          </>
+        ) : hint}
+      </div>
+    </div>
+  );
+}
+
+function LocalDatasets({
+  populationFile,
+  populationStatus,
+  onPopulationFileChange,
+  proxyStatus,
+  estimatingPopulation,
+  onEstimatePopulation,
+  ndviFiles,
+  ndviStatus,
+  onNDVIFilesChange,
+  lstFiles,
+  lstStatus,
+  onLSTFilesChange,
+  modisRange,
+  onModisRangeChange
+}) {
+  return (
+    <div style={{
+      padding: '16px',
+      backgroundColor: 'white',
+      border: '1px solid #dee2e6',
+      borderRadius: '4px'
+    }}>
+      <h3 style={{
+        fontSize: '16px',
+        margin: '0 0 12px 0',
+        color: '#2c3e50',
+        fontWeight: '600'
+      }}>
+        Local Datasets
+      </h3>
+
+      <FileRow
+        label="Population density (GPWv4 GeoTIFF)"
+        hint="Download from NASA SEDAC; decoded in your browser, never uploaded"
+        file={populationFile}
+        status={populationStatus}
+        onFileChange={onPopulationFileChange}
+      />
+
+      {onEstimatePopulation && (
+        <div style={{ fontSize: '11px', color: '#6c757d', lineHeight: '1.4' }}>
+          <button
+            onClick={onEstimatePopulation}
+            disabled={estimatingPopulation}
+            style={{
+              width: '100%',
+              padding: '6px',
+              marginBottom: '4px',
+              backgroundColor: 'white',
+              color: estimatingPopulation ? '#6c757d' : '#007bff',
+              border: '1px solid #dee2e6',
+              borderRadius: '4px',
+              cursor: estimatingPopulation ? 'not-allowed' : 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            {estimatingPopulation ? 'Fetching buildings...' : 'Or estimate population from OSM buildings'}
+          </button>
+          {proxyStatus ||
+            `Relative weights only - shares and weighted distances, no head counts. Downloads every building, so areas up to ${MAX_BUILDING_PROXY_KM2} km² only`}
+        </div>
+      )}
+
+      <div style={{ borderTop: '1px solid #eee', marginTop: '12px', paddingTop: '12px' }}>
+        <FileRow
+          label="Vegetation (MOD13Q1 NDVI GeoTIFFs)"
+          hint="One or more 16-day composites in EPSG:4326, e.g. from AppEEARS"
+          file={ndviFiles}
+          status={ndviStatus}
+          onFileChange={onNDVIFilesChange}
+          multiple
+        />
+
+        <FileRow
+          label="Surface temperature (MOD11A2 LST GeoTIFFs)"
+          hint="Daytime 8-day composites in EPSG:4326; Kelvin values are converted to °C"
+          file={lstFiles}
+          status={lstStatus}
+          onFileChange={onLSTFilesChange}
+          multiple
+        />
+
+        <div style={{ fontSize: '13px', fontWeight: '500', marginBottom: '4px', color: '#495057' }}>
+          MODIS date range
+        </div>
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '12px' }}>
+          <input
+            type="date"
+            value={modisRange.start}
+            max={modisRange.end}
+            onChange={(e) => onModisRangeChange({ ...modisRange, start: e.target.value })}
+            style={{ flex: 1, fontSize: '12px', padding: '2px 4px' }}
+          />
+          to
+          <input
+            type="date"
+            value={modisRange.end}
+            min={modisRange.start}
+            onChange={(e) => onModisRangeChange({ ...modisRange, end: e.target.value })}
+            style={{ flex: 1, fontSize: '12px', padding: '2px 4px' }}
+          />
+        </div>
+        <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px', lineHeight: '1.4' }}>
+          Scenes acquired in this range are averaged; dates are read from the file names. Raw MODIS
+          tiles are sinusoidal: reproject them first with <code>gdalwarp -t_srs EPSG:4326 in.tif out.tif</code>,
+          keeping the .AYYYYDDD date in the name
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LocalDatasets;
@@ -1,9 +1,30 @@
 // Map.js - Interactive Map Component
 // Displays food outlets with classification markers
 
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { isPolygonal } from '../analysis/geometry';
+import { getDesertCellColor, gridToGeoJSON } from '../analysis/foodDesertGrid';
+import { gridStats } from '../rasters';
+import { getSiteColor } from '../analysis/farmSuitability';
+import { createOutletClusterLayer } from './outletClusters';
+import {
+  createRasterOverlay,
+  interpolateRamp,
+  linearColorScale,
+  LST_RAMP,
+  NDVI_RAMP,
+  populationColorScale,
+  POPULATION_RAMP,
+  rampToCss,
+  SWAMP_RAMP,
+  swampColorScale
+} from './rasterOverlay';
+import { KDE_BANDWIDTHS } from '../analysis/kernelDensity';
+import { ENVIRONMENT_METRICS } from '../analysis/foodEnvironment';
+import { formatMetricValue, SUB_AREA_METRICS } from '../analysis/subAreas';
+import { escapeXml as escapeHtml } from '../exporters';
 
 // Fix for default markers in Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -13,44 +34,273 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
-// Custom marker icons for different food outlet types
-const createCustomIcon = (color) => {
+// Popup HTML for one outlet, built on demand by the cluster layer
+// (names and types come from OSM tags and labels from editable rules, so all are escaped)
+const outletPopupHtml = outlet => `
+  <div style="min-width: 200px;">
+    <h4 style="margin: 0 0 8px 0; font-size: 14px; color: #2c3e50;">
+      ${escapeHtml(outlet.name)}
+    </h4>
+    <div style="font-size: 12px; line-height: 1.4;">
+      <div style="margin-bottom: 4px;">
+        <strong>Type:</strong> ${escapeHtml(outlet.rawType || 'Unknown')}
+      </div>
+      <div style="margin-bottom: 4px;">
+        <strong>Classification:</strong> 
+        <span style="color: ${escapeHtml(outlet.classification.color)}; font-weight: 500;">
+          ${escapeHtml(outlet.classification.label)}
+        </span>
+      </div>
+      <div style="margin-bottom: 4px;">
+        <strong>Score:</strong> ${outlet.classification.score}
+      </div>
+      <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #eee;">
+        <small style="color: #6c757d;">
+          Lat: ${outlet.lat.toFixed(4)}, Lng: ${outlet.lng.toFixed(4)}
+        </small>
+      </div>
+    </div>
+  </div>
+`;
+
+// Fill colours for walking isochrone bands, nearest first
+const ISOCHRONE_COLORS = {
+  5: '#0d5e3a',
+  10: '#10b981',
+  15: '#6ee7b7'
+};
+
+// Numbered marker for a recommended urban farm site
+const createSiteIcon = (rank, color) => {
   return L.divIcon({
     className: 'custom-div-icon',
     html: `<div style="
       background-color: ${color};
-      width: 12px;
-      height: 12px;
+      width: 22px;
+      height: 22px;
+      line-height: 22px;
       border-radius: 50%;
       border: 2px solid white;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-    "></div>`,
-    iconSize: [12, 12],
-    iconAnchor: [6, 6]
+      box-shadow: 0 2px 6px rgba(0,0,0,0.4);
+      color: white;
+      font-size: 11px;
+      font-weight: 600;
+      text-align: center;
+    ">${rank}</div>`,
+    iconSize: [26, 26],
+    iconAnchor: [13, 13]
   });
 };
 
-function Map({ cityData, foodOutlets, loading }) {
+// NDVI is shown on a fixed scale so cities compare; urban values rarely exceed 0.9
+const NDVI_RANGE = [0, 0.9];
+
+// Swamp ratios past 1:8 either way take the end colours
+const SWAMP_MAX_RATIO = 8;
+
+// Grid cells without a value (e.g. RFEI with no supermarket in reach)
+const NO_VALUE_COLOR = '#adb5bd';
+
+const rgb = ([r, g, b]) => `rgb(${r},${g},${b})`;
+
+/**
+ * Colour scale and legend labels for a metric over grid cells or areas
+ * Indices and shares use fixed scales so cities compare; densities and
+ * counts stretch to the highest value.
+ */
+function metricColorScale(metric, rows) {
+  if (metric.key === 'mrfei') {
+    return {
+      ramp: [...SWAMP_RAMP].reverse().map(([t, color]) => [1 - t, color]),
+      colorFor: value => rgb(interpolateRamp(SWAMP_RAMP, 1 - value / 100)),
+      minLabel: '0 (none healthy)',
+      maxLabel: '100'
+    };
+  }
+  if (metric.key === 'rfei') {
+    const colors = swampColorScale(SWAMP_MAX_RATIO);
+    return {
+      ramp: SWAMP_RAMP,
+      colorFor: value => rgb(colors(value)),
+      minLabel: `≤ 1/${SWAMP_MAX_RATIO}`,
+      maxLabel: `≥ ${SWAMP_MAX_RATIO}`
+    };
+  }
+
+  if (metric.percent) {
+    // Purple is always the bad end
+    const t = value => (metric.better === 'higher' ? 1 - value : value);
+    return {
+      ramp: metric.better === 'higher' ? [...SWAMP_RAMP].reverse().map(([p, color]) => [1 - p, color]) : SWAMP_RAMP,
+      colorFor: value => rgb(interpolateRamp(SWAMP_RAMP, t(value))),
+      minLabel: '0%',
+      maxLabel: '100%'
+    };
+  }
+
+  const max = Math.max(0, ...rows.map(row => row[metric.key]).filter(value => value !== null));
+  return {
+    ramp: POPULATION_RAMP,
+    colorFor: value => rgb(interpolateRamp(POPULATION_RAMP, max > 0 ? value / max : 0)),
+    minLabel: '0',
+    maxLabel: max.toFixed(metric.digits)
+  };
+}
+
+/**
+ * Keep a raster overlay in sync with its grid, colour scale and visibility
+ */
+function useRasterOverlay(mapInstanceRef, cityData, grid, colorFor, visible) {
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+
+    if (layerRef.current) {
+      layerRef.current.remove();
+      layerRef.current = null;
+    }
+    if (!map || !grid || !visible) return;
+
+    layerRef.current = createRasterOverlay(grid, colorFor).addTo(map);
+  }, [mapInstanceRef, cityData, grid, colorFor, visible]);
+}
+
+/**
+ * Legend entry with a visibility checkbox and colour ramp
+ */
+function RasterLegendToggle({ label, checked, onChange, ramp, minLabel, maxLabel, children }) {
+  return (
+    <div style={{
+      borderTop: '1px solid #eee',
+      paddingTop: '6px',
+      marginBottom: '8px'
+    }}>
+      <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={checked}
+          onChange={(e) => onChange(e.target.checked)}
+          style={{ marginRight: '6px' }}
+        />
+        {label}
+      </label>
+      {checked && (
+        <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+          <div style={{ height: '8px', background: rampToCss(ramp), borderRadius: '2px' }}></div>
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span>{minLabel}</span>
+            <span>{maxLabel}</span>
+          </div>
+          {children}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Plain on/off entry in the legend's layer list
+ */
+function LayerCheckbox({ label, checked, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', marginBottom: '4px' }}>
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        style={{ marginRight: '6px' }}
+      />
+      {label}
+    </label>
+  );
+}
+
+function Map({
+  cityData,
+  foodOutlets,
+  foodDesertGrid,
+  environmentGrid,
+  gridMetric,
+  onGridMetricChange,
+  subAreas,
+  subAreaMetric,
+  onSubAreaMetricChange,
+  walkingIsochrones,
+  populationGrid,
+  ndviGrid,
+  lstGrid,
+  farmSites,
+  swampGrid,
+  kdeBandwidth,
+  onKdeBandwidthChange,
+  layers,
+  onLayersChange,
+  hiddenClasses,
+  onToggleClass,
+  outletClasses,
+  outletTypes,
+  hiddenRawTypes,
+  onToggleRawType,
+  onClearFilters,
+  view,
+  onViewChange,
+  loading
+}) {
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const markersRef = useRef([]);
+  const canvasRef = useRef(null);
+  const gridLayerRef = useRef(null);
+  const areaLayerRef = useRef(null);
+  const overlaysRef = useRef([]);
+  const siteMarkersRef = useRef([]);
+  const viewRef = useRef(view);
+  const onViewChangeRef = useRef(onViewChange);
+  viewRef.current = view;
+  onViewChangeRef.current = onViewChange;
+
+  const [showTypeFilter, setShowTypeFilter] = useState(false);
+  const {
+    boundary: showBoundary,
+    walk: showWalk,
+    sites: showSites,
+    desert: showDesertGrid,
+    population: showPopulation,
+    ndvi: showNDVI,
+    lst: showLST,
+    swamp: showSwamp,
+    areas: showAreas
+  } = layers;
+  const setLayer = key => visible => onLayersChange({ ...layers, [key]: visible });
 
   useEffect(() => {
     if (!cityData) return;
 
+    // A restored or panned view wins over the city centre
+    const center = viewRef.current
+      ? [[viewRef.current.lat, viewRef.current.lng], viewRef.current.zoom]
+      : [[cityData.lat, cityData.lng], 12];
+
     // Initialize map
     if (!mapInstanceRef.current) {
-      mapInstanceRef.current = L.map(mapRef.current).setView(
-        [cityData.lat, cityData.lng], 
-        12
-      );
+      mapInstanceRef.current = L.map(mapRef.current).setView(...center);
+      // One shared canvas, so stacked canvases don't swallow each other's clicks
+      canvasRef.current = L.canvas({ padding: 0.5 });
       
       L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
         attribution: '© OpenStreetMap contributors'
       }).addTo(mapInstanceRef.current);
+
+      // Report pans and zooms so they can go into the shareable URL
+      mapInstanceRef.current.on('moveend', () => {
+        const map = mapInstanceRef.current;
+        const { lat, lng } = map.getCenter();
+        if (onViewChangeRef.current) onViewChangeRef.current({ lat, lng, zoom: map.getZoom() });
+      });
     } else {
       // Update map center
-      mapInstanceRef.current.setView([cityData.lat, cityData.lng], 12);
+      mapInstanceRef.current.setView(...center);
     }
 
     // Clear existing markers
@@ -59,46 +309,11 @@ function Map({ cityData, foodOutlets, loading }) {
     });
     markersRef.current = [];
 
-    // Add food outlet markers
+    // Food outlets: clustered bubbles and canvas dots, popups built on click
     if (foodOutlets && foodOutlets.length > 0) {
-      foodOutlets.forEach(outlet => {
-        if (outlet.lat && outlet.lng) {
-          const icon = createCustomIcon(outlet.classification.color);
-          
-          const marker = L.marker([outlet.lat, outlet.lng], { icon })
-            .addTo(mapInstanceRef.current);
-          
-          // Add popup with outlet information
-          marker.bindPopup(`
-            <div style="min-width: 200px;">
-              <h4 style="margin: 0 0 8px 0; font-size: 14px; color: #2c3e50;">
-                ${outlet.name}
-              </h4>
-              <div style="font-size: 12px; line-height: 1.4;">
-                <div style="margin-bottom: 4px;">
-                  <strong>Type:</strong> ${outlet.rawType || 'Unknown'}
-                </div>
-                <div style="margin-bottom: 4px;">
-                  <strong>Classification:</strong> 
-                  <span style="color: ${outlet.classification.color}; font-weight: 500;">
-                    ${outlet.classification.label}
-                  </span>
-                </div>
-                <div style="margin-bottom: 4px;">
-                  <strong>Score:</strong> ${outlet.classification.score}
-                </div>
-                <div style="margin-top: 8px; padding-top: 8px; border-top: 1px solid #eee;">
-                  <small style="color: #6c757d;">
-                    Lat: ${outlet.lat.toFixed(4)}, Lng: ${outlet.lng.toFixed(4)}
-                  </small>
-                </div>
-              </div>
-            </div>
-          `);
-          
-          markersRef.current.push(marker);
-        }
-      });
+      const outletLayer = createOutletClusterLayer(foodOutlets, outletPopupHtml, { renderer: canvasRef.current })
+        .addTo(mapInstanceRef.current);
+      markersRef.current.push(outletLayer);
     }
 
     // Add city center marker
@@ -122,7 +337,7 @@ function Map({ cityData, foodOutlets, loading }) {
     cityMarker.bindPopup(`
       <div style="min-width: 150px;">
         <h4 style="margin: 0 0 8px 0; font-size: 14px; color: #2c3e50;">
-          ${cityData.name}
+          ${escapeHtml(cityData.name)}
         </h4>
         <div style="font-size: 12px; line-height: 1.4;">
           <div style="margin-bottom: 4px;">
@@ -136,11 +351,53 @@ function Map({ cityData, foodOutlets, loading }) {
     `);
 
     markersRef.current.push(cityMarker);
+  }, [cityData, foodOutlets]);
+
+  // Boundary and walk-radius overlays (toggled from the layer list)
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+
+    overlaysRef.current.forEach(layer => layer.remove());
+    overlaysRef.current = [];
+    if (!map || !cityData) return;
+
+    // Draw the city boundary that outlets were clipped to
+    if (showBoundary && isPolygonal(cityData.boundary)) {
+      const boundaryLayer = L.geoJSON(cityData.boundary, {
+        style: {
+          color: '#2c3e50',
+          weight: 2,
+          fill: false,
+          dashArray: '6, 4'
+        },
+        interactive: false
+      }).addTo(map);
 
-    // Add walking radius circles for top healthy outlets
-    if (foodOutlets) {
+      overlaysRef.current.push(boundaryLayer);
+    }
+
+    // Walking isochrones along the street network; each band is sent to the
+    // back of the shared canvas, so the largest ends up underneath
+    if (!showWalk) return;
+    if (walkingIsochrones && walkingIsochrones.bands.length > 0) {
+      walkingIsochrones.bands.forEach(band => {
+        const bandLayer = L.geoJSON(band.geometry, {
+          renderer: canvasRef.current,
+          style: {
+            fillColor: ISOCHRONE_COLORS[band.minutes] || '#10b981',
+            fillOpacity: 0.15,
+            stroke: false
+          },
+          interactive: false
+        }).addTo(map);
+
+        bandLayer.bringToBack();
+        overlaysRef.current.push(bandLayer);
+      });
+    } else if (foodOutlets) {
+      // No street network - fall back to straight-line circles for top healthy outlets
       const healthyOutlets = foodOutlets
-        .filter(o => o.classification.label === 'Healthy Food Source')
+        .filter(o => o.type === 'healthy_primary')
         .slice(0, 5); // Show circles for top 5 healthy outlets
 
       healthyOutlets.forEach(outlet => {
@@ -151,13 +408,165 @@ function Map({ cityData, foodOutlets, loading }) {
           color: '#0d5e3a',
           weight: 1,
           dashArray: '5, 5'
-        }).addTo(mapInstanceRef.current);
+        }).addTo(map);
         
-        markersRef.current.push(circle);
+        overlaysRef.current.push(circle);
       });
     }
+  }, [cityData, foodOutlets, walkingIsochrones, showBoundary, showWalk]);
 
-  }, [cityData, foodOutlets]);
+  // Grid cells are coloured by distance to healthy food or by a food environment metric
+  // Per-resident metrics need a population grid
+  const gridMetrics = environmentGrid
+    ? ENVIRONMENT_METRICS.filter(metric => environmentGrid.hasPopulation || !metric.key.endsWith('Per10k'))
+    : [];
+  const environmentMetric = gridMetrics.find(metric => metric.key === gridMetric);
+  const environmentScale = useMemo(
+    () => (environmentMetric ? metricColorScale(environmentMetric, environmentGrid.cells) : null),
+    [environmentMetric, environmentGrid]
+  );
+
+  // Food desert choropleth (toggled from the legend)
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+
+    if (gridLayerRef.current) {
+      gridLayerRef.current.remove();
+      gridLayerRef.current = null;
+    }
+    if (!map || !foodDesertGrid || !showDesertGrid) return;
+
+    const threshold = foodDesertGrid.thresholdMeters;
+    gridLayerRef.current = L.geoJSON(gridToGeoJSON(foodDesertGrid), {
+      renderer: canvasRef.current,
+      style: feature => {
+        let fillColor = getDesertCellColor(feature.properties.nearestHealthyDistance ?? Infinity, threshold);
+        if (environmentScale) {
+          const value = environmentGrid.cells[feature.id][environmentMetric.key];
+          fillColor = value === null ? NO_VALUE_COLOR : environmentScale.colorFor(value);
+        }
+        return { fillColor, fillOpacity: 0.35, color: '#ffffff', weight: 0.5 };
+      },
+      onEachFeature: (feature, layer) => {
+        if (environmentScale) {
+          const { counts, [environmentMetric.key]: value } = environmentGrid.cells[feature.id];
+          layer.bindTooltip(
+            `${environmentMetric.label}: ${value === null ? 'n/a' : value.toFixed(environmentMetric.digits)}` +
+            ` (${counts.total} outlets within ${environmentGrid.bufferMeters} m)`
+          );
+          return;
+        }
+        const distance = feature.properties.nearestHealthyDistance;
+        layer.bindTooltip(
+          distance === null
+            ? 'No healthy outlet found'
+            : `${distance} m to healthy food${feature.properties.isFoodDesert ? ' (food desert)' : ''}`
+        );
+      }
+    }).addTo(map);
+
+    gridLayerRef.current.bringToBack();
+  }, [cityData, foodDesertGrid, showDesertGrid, environmentGrid, environmentMetric, environmentScale]);
+
+  // Neighbourhood choropleth of the metric the table is ranked by
+  const areaMetrics = SUB_AREA_METRICS.filter(metric =>
+    !metric.key.endsWith('Per10k') || (subAreas || []).some(area => area.population !== null));
+  const areaMetric = areaMetrics.find(metric => metric.key === subAreaMetric) || areaMetrics[0];
+  const areaScale = useMemo(
+    () => (subAreas ? metricColorScale(areaMetric, subAreas) : null),
+    [areaMetric, subAreas]
+  );
+
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+
+    if (areaLayerRef.current) {
+      areaLayerRef.current.remove();
+      areaLayerRef.current = null;
+    }
+    if (!map || !subAreas || !showAreas) return;
+
+    areaLayerRef.current = L.geoJSON({
+      type: 'FeatureCollection',
+      features: subAreas.map(area => ({ type: 'Feature', geometry: area.boundary, properties: area }))
+    }, {
+      renderer: canvasRef.current,
+      style: feature => {
+        const value = feature.properties[areaMetric.key];
+        return {
+          fillColor: value === null ? NO_VALUE_COLOR : areaScale.colorFor(value),
+          fillOpacity: 0.45,
+          color: '#495057',
+          weight: 1
+        };
+      },
+      onEachFeature: (feature, layer) => {
+        const area = feature.properties;
+        layer.bindTooltip(
+          `<strong>${escapeHtml(area.name)}</strong><br/>${areaMetric.label}: ${formatMetricValue(areaMetric, area[areaMetric.key])}` +
+          `<br/>${area.totalOutlets} outlets`,
+          { sticky: true }
+        );
+      }
+    }).addTo(map);
+
+    areaLayerRef.current.bringToBack();
+  }, [cityData, subAreas, showAreas, areaMetric, areaScale]);
+
+  // Recommended urban farm sites, numbered by rank
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+
+    siteMarkersRef.current.forEach(marker => marker.remove());
+    siteMarkersRef.current = [];
+    if (!map || !farmSites || !showSites) return;
+
+    // Lowest rank last so site 1 sits on top
+    [...farmSites.sites].reverse().forEach(site => {
+      const marker = L.marker([site.lat, site.lng], {
+        icon: createSiteIcon(site.rank, getSiteColor(site.score)),
+        zIndexOffset: 1000
+      }).addTo(map);
+
+      marker.bindPopup(`
+        <div style="min-width: 220px;">
+          <h4 style="margin: 0 0 8px 0; font-size: 14px; color: #2c3e50;">
+            Farm site #${site.rank} - score ${site.score.toFixed(0)}/100
+          </h4>
+          <div style="font-size: 12px; line-height: 1.4;">
+            ${site.criteria.map(criterion => `
+              <div style="margin-bottom: 4px;">
+                <strong>${criterion.label}:</strong> ${criterion.explanation}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `);
+
+      siteMarkersRef.current.push(marker);
+    });
+  }, [cityData, farmSites, showSites]);
+
+  // Raster overlays: population density, vegetation (NDVI), surface temperature
+  const populationMax = populationGrid ? gridStats(populationGrid).max : null;
+  const populationColors = useMemo(
+    () => populationColorScale(populationMax || 1),
+    [populationMax]
+  );
+  useRasterOverlay(mapInstanceRef, cityData, populationGrid, populationColors, showPopulation);
+
+  const ndviColors = useMemo(() => linearColorScale(NDVI_RAMP, ...NDVI_RANGE), []);
+  useRasterOverlay(mapInstanceRef, cityData, ndviGrid, ndviColors, showNDVI);
+
+  const lstStats = useMemo(() => (lstGrid ? gridStats(lstGrid) : null), [lstGrid]);
+  const lstColors = useMemo(
+    () => (lstStats ? linearColorScale(LST_RAMP, lstStats.min, lstStats.max) : null),
+    [lstStats]
+  );
+  useRasterOverlay(mapInstanceRef, cityData, lstGrid, lstColors, showLST);
+
+  const swampColors = useMemo(() => swampColorScale(SWAMP_MAX_RATIO), []);
+  useRasterOverlay(mapInstanceRef, cityData, swampGrid, swampColors, showSwamp);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -249,7 +658,9 @@ function Map({ cityData, foodOutlets, loading }) {
         boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
         fontSize: '12px',
         zIndex: 1000,
-        minWidth: '150px'
+        minWidth: '150px',
+        maxHeight: 'calc(100% - 40px)',
+        overflowY: 'auto'
       }}>
         <div style={{ fontWeight: '600', marginBottom: '8px', color: '#2c3e50' }}>
           Legend
@@ -267,52 +678,251 @@ function Map({ cityData, foodOutlets, loading }) {
           }}></span>
           City Center
         </div>
-        <div style={{ marginBottom: '4px' }}>
-          <span style={{ 
-            display: 'inline-block', 
-            width: '12px', 
-            height: '12px', 
-            backgroundColor: '#0d5e3a', 
-            borderRadius: '50%',
-            marginRight: '6px',
-            border: '2px solid white',
-            boxShadow: '0 1px 2px rgba(0,0,0,0.2)'
-          }}></span>
-          Healthy Food
-        </div>
-        <div style={{ marginBottom: '4px' }}>
-          <span style={{ 
-            display: 'inline-block', 
-            width: '12px', 
-            height: '12px', 
-            backgroundColor: '#fbbf24', 
-            borderRadius: '50%',
-            marginRight: '6px',
-            border: '2px solid white',
-            boxShadow: '0 1px 2px rgba(0,0,0,0.2)'
-          }}></span>
-          Mixed Selection
-        </div>
-        <div style={{ marginBottom: '8px' }}>
-          <span style={{ 
-            display: 'inline-block', 
-            width: '12px', 
-            height: '12px', 
-            backgroundColor: '#dc2626', 
-            borderRadius: '50%',
-            marginRight: '6px',
-            border: '2px solid white',
-            boxShadow: '0 1px 2px rgba(0,0,0,0.2)'
-          }}></span>
-          Unhealthy
+        {outletClasses.map(({ type, color, label }, index, entries) => (
+          <div
+            key={type}
+            onClick={() => onToggleClass(type)}
+            title={hiddenClasses.includes(type) ? 'Show on map' : 'Hide from map'}
+            style={{
+              marginBottom: index === entries.length - 1 ? '8px' : '4px',
+              cursor: 'pointer',
+              opacity: hiddenClasses.includes(type) ? 0.4 : 1,
+              textDecoration: hiddenClasses.includes(type) ? 'line-through' : 'none'
+            }}
+          >
+            <span style={{ 
+              display: 'inline-block', 
+              width: '12px', 
+              height: '12px', 
+              backgroundColor: color, 
+              borderRadius: '50%',
+              marginRight: '6px',
+              border: '2px solid white',
+              boxShadow: '0 1px 2px rgba(0,0,0,0.2)'
+            }}></span>
+            {label}
+          </div>
+        ))}
+        {outletTypes && outletTypes.length > 0 && (
+          <div style={{ marginBottom: '8px' }}>
+            <span
+              onClick={() => setShowTypeFilter(!showTypeFilter)}
+              style={{ color: '#007bff', cursor: 'pointer', fontSize: '11px' }}
+            >
+              {showTypeFilter ? '▾' : '▸'} Filter by type
+              {hiddenRawTypes.length > 0 && ` (${hiddenRawTypes.length} hidden)`}
+            </span>
+            {(hiddenClasses.length > 0 || hiddenRawTypes.length > 0) && (
+              <span
+                onClick={onClearFilters}
+                style={{ color: '#007bff', cursor: 'pointer', fontSize: '11px', marginLeft: '8px' }}
+              >
+                Show all
+              </span>
+            )}
+            {showTypeFilter && (
+              <div style={{ marginTop: '4px', maxHeight: '160px', overflowY: 'auto', fontSize: '11px' }}>
+                {outletTypes.map(({ rawType, count, color }) => (
+                  <label
+                    key={rawType}
+                    style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', marginBottom: '2px' }}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={!hiddenRawTypes.includes(rawType)}
+                      onChange={() => onToggleRawType(rawType)}
+                      style={{ marginRight: '6px' }}
+                    />
+                    <span style={{
+                      display: 'inline-block',
+                      width: '8px',
+                      height: '8px',
+                      backgroundColor: color,
+                      borderRadius: '50%',
+                      marginRight: '4px'
+                    }}></span>
+                    <span style={{ flex: 1 }}>{rawType.replace(/_/g, ' ')}</span>
+                    <span style={{ color: '#6c757d', marginLeft: '8px' }}>{count}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+        <div style={{
+          borderTop: '1px solid #eee',
+          paddingTop: '6px',
+          marginBottom: '4px'
+        }}>
+          {isPolygonal(cityData.boundary) && (
+            <LayerCheckbox
+              label="City boundary (dashed)"
+              checked={showBoundary}
+              onChange={setLayer('boundary')}
+            />
+          )}
+          <LayerCheckbox
+            label={walkingIsochrones && walkingIsochrones.bands.length > 0
+              ? '5/10/15-min walk (street network)'
+              : '15-min walk radius circles'}
+            checked={showWalk}
+            onChange={setLayer('walk')}
+          />
+          {farmSites && (
+            <LayerCheckbox
+              label="Farm sites (numbered by rank)"
+              checked={showSites}
+              onChange={setLayer('sites')}
+            />
+          )}
         </div>
+        {populationGrid && (
+          <RasterLegendToggle
+            label={populationGrid.isProxy ? 'Population (building proxy)' : 'Population density'}
+            checked={showPopulation}
+            onChange={setLayer('population')}
+            ramp={POPULATION_RAMP}
+            minLabel="0"
+            maxLabel={`${Math.round(populationMax || 0).toLocaleString()}${populationGrid.isProxy ? ' floors/cell' : ' /km²'} (log)`}
+          />
+        )}
+        {ndviGrid && (
+          <RasterLegendToggle
+            label="Vegetation (NDVI)"
+            checked={showNDVI}
+            onChange={setLayer('ndvi')}
+            ramp={NDVI_RAMP}
+            minLabel={`≤ ${NDVI_RANGE[0]} bare`}
+            maxLabel={`${NDVI_RANGE[1]} dense`}
+          />
+        )}
+        {lstGrid && lstStats?.count > 0 && (
+          <RasterLegendToggle
+            label="Surface temperature (LST)"
+            checked={showLST}
+            onChange={setLayer('lst')}
+            ramp={LST_RAMP}
+            minLabel={`${lstStats.min.toFixed(1)} °C`}
+            maxLabel={`${lstStats.max.toFixed(1)} °C`}
+          />
+        )}
+        {subAreas && subAreas.length > 0 && (
+          <RasterLegendToggle
+            label={`Neighbourhoods (${subAreas.length})`}
+            checked={showAreas}
+            onChange={setLayer('areas')}
+            ramp={areaScale.ramp}
+            minLabel={areaScale.minLabel}
+            maxLabel={areaScale.maxLabel}
+          >
+            <select
+              value={areaMetric.key}
+              onChange={(e) => onSubAreaMetricChange(e.target.value)}
+              style={{ fontSize: '10px', marginTop: '4px', maxWidth: '100%' }}
+              title="Colour neighbourhoods by"
+            >
+              {areaMetrics.map(metric => (
+                <option key={metric.key} value={metric.key}>{metric.label}</option>
+              ))}
+            </select>
+          </RasterLegendToggle>
+        )}
+        {foodOutlets && (
+          <RasterLegendToggle
+            label="Swamp ratio (unhealthy ÷ healthy)"
+            checked={showSwamp}
+            onChange={setLayer('swamp')}
+            ramp={SWAMP_RAMP}
+            minLabel={`1:${SWAMP_MAX_RATIO} healthy`}
+            maxLabel={`${SWAMP_MAX_RATIO}:1 swamp`}
+          >
+            <div style={{ marginTop: '4px' }}>
+              Bandwidth{' '}
+              <select
+                value={kdeBandwidth}
+                onChange={(e) => onKdeBandwidthChange(Number(e.target.value))}
+                style={{ fontSize: '10px' }}
+              >
+                {KDE_BANDWIDTHS.map(meters => (
+                  <option key={meters} value={meters}>{meters} m</option>
+                ))}
+              </select>
+              {!swampGrid && ' computing...'}
+            </div>
+          </RasterLegendToggle>
+        )}
+        {foodDesertGrid && (
+          <div style={{
+            borderTop: '1px solid #eee',
+            paddingTop: '6px',
+            marginBottom: '8px'
+          }}>
+            <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={showDesertGrid}
+                onChange={(e) => setLayer('desert')(e.target.checked)}
+                style={{ marginRight: '6px' }}
+              />
+              Food desert grid
+            </label>
+            {showDesertGrid && environmentGrid && onGridMetricChange && (
+              <select
+                value={environmentMetric ? gridMetric : 'distance'}
+                onChange={(e) => onGridMetricChange(e.target.value)}
+                style={{ fontSize: '10px', marginTop: '4px', maxWidth: '100%' }}
+                title="Colour grid cells by"
+              >
+                <option value="distance">Distance to healthy food</option>
+                {gridMetrics.map(metric => (
+                  <option key={metric.key} value={metric.key}>{metric.label}</option>
+                ))}
+              </select>
+            )}
+            {showDesertGrid && environmentScale && (
+              <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+                <div style={{ height: '8px', background: rampToCss(environmentScale.ramp), borderRadius: '2px' }}></div>
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span>{environmentScale.minLabel}</span>
+                  <span>{environmentScale.maxLabel}</span>
+                </div>
+                <div style={{ marginTop: '2px' }}>
+                  Within {environmentGrid.bufferMeters} m of each cell; grey = not defined
+                </div>
+              </div>
+            )}
+            {showDesertGrid && !environmentScale && (
+              <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+                {[
+                  ['#0d5e3a', 'Close to healthy food'],
+                  ['#84cc16', 'Walkable'],
+                  ['#fbbf24', 'Near threshold'],
+                  ['#dc2626', `Food desert (> ${foodDesertGrid.thresholdMeters} m)`]
+                ].map(([color, label]) => (
+                  <div key={color} style={{ display: 'flex', alignItems: 'center', marginTop: '2px' }}>
+                    <span style={{
+                      display: 'inline-block',
+                      width: '10px',
+                      height: '10px',
+                      backgroundColor: color,
+                      opacity: 0.7,
+                      marginRight: '6px'
+                    }}></span>
+                    {label}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
         <div style={{ 
           fontSize: '10px', 
           color: '#6c757d',
           borderTop: '1px solid #eee',
           paddingTop: '6px'
         }}>
-          Circles = 15-min walk radius
+          Bubbles = outlet clusters (ring shows class mix)<br/>
+          Click a class to hide it from the map and counts
         </div>
       </div>
 
@@ -2,8 +2,62 @@
 // Shows classification breakdown and key metrics
 
 import React from 'react';
+import { MonthlyBarChart, MonthlyTemperatureChart } from './ClimateCharts';
+import CropRecommendations from './CropRecommendations';
+import NeighbourhoodTable from './NeighbourhoodTable';
+import { EXPORT_FORMATS } from '../exporters';
+import { INDEX_METHODOLOGY } from '../analysis/foodEnvironment';
 
-function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
+// Headline figure with a small breakdown underneath
+function HeadlineMetric({ value, label, children }) {
+  return (
+    <div style={{
+      padding: '10px 12px',
+      backgroundColor: '#f8f9fa',
+      border: '1px solid #dee2e6',
+      borderRadius: '4px',
+      marginBottom: '8px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+        <span style={{ fontSize: '12px', color: '#495057' }}>{label}</span>
+        <strong style={{ fontSize: '18px', color: '#2c3e50' }}>{value}</strong>
+      </div>
+      <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px', lineHeight: '1.5' }}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+const formatPeople = value => Math.round(value).toLocaleString();
+const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+const formatIndex = (value, digits) => (value === null ? 'n/a' : value.toFixed(digits));
+
+// Methodology note under an index
+function MethodNote({ children }) {
+  return <div style={{ marginTop: '4px', fontStyle: 'italic' }}>{children}</div>;
+}
+
+function MetricsPanel({
+  cityData,
+  foodOutlets,
+  totalOutletCount,
+  onClearFilters,
+  outletsOutsideBoundary,
+  cacheInfo,
+  onRefresh,
+  nasaPowerData,
+  foodDesertGrid,
+  cityMetrics,
+  neighbourhoods,
+  populationAccess,
+  cropRecommendations,
+  gridOptions,
+  onGridOptionsChange,
+  onGenerateSites,
+  onExport,
+  onReport
+}) {
   if (!cityData || !foodOutlets) {
     return (
       <div style={{
@@ -21,21 +75,26 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
     );
   }
 
+  // Growing-season agronomics from the daily POWER series (missing in older cached snapshots)
+  const agronomics = nasaPowerData?.agronomics;
+
   // Calculate outlet classifications
   const healthyOutlets = foodOutlets.filter(
-    o => o.classification.label === 'Healthy Food Source'
+    o => o.type === 'healthy_primary'
   );
   
   const mixedOutlets = foodOutlets.filter(
-    o => o.classification.label === 'Mixed Selection'
+    o => o.type === 'mixed'
   );
   
   const unhealthyOutlets = foodOutlets.filter(
-    o => o.classification.label === 'Unhealthy'
+    o => o.type === 'unhealthy'
   );
 
   // Calculate food access score
   const totalOutlets = foodOutlets.length;
+  // Legend filters on the map narrow these counts too
+  const isFiltered = totalOutletCount !== undefined && totalOutletCount !== totalOutlets;
   const healthyScore = totalOutlets > 0 ? (healthyOutlets.length / totalOutlets) * 100 : 0;
   const mixedScore = totalOutlets > 0 ? (mixedOutlets.length / totalOutlets) * 100 : 0;
   const unhealthyScore = totalOutlets > 0 ? (unhealthyOutlets.length / totalOutlets) * 100 : 0;
@@ -81,6 +140,32 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
           <div>Lat: {cityData.lat.toFixed(4)}</div>
           <div>Lng: {cityData.lng.toFixed(4)}</div>
           <div>Total Outlets: <strong>{totalOutlets}</strong></div>
+          {outletsOutsideBoundary > 0 && (
+            <div>Excluded (outside city boundary): <strong>{outletsOutsideBoundary}</strong></div>
+          )}
+          {cacheInfo?.fromCache && (
+            <div style={{ marginTop: '4px', color: cacheInfo.offline ? '#856404' : '#6c757d' }}>
+              {cacheInfo.offline ? 'Offline - cached at ' : 'Cached at '}
+              {new Date(cacheInfo.cachedAt).toLocaleString()}
+              {onRefresh && (
+                <button
+                  onClick={onRefresh}
+                  style={{
+                    marginLeft: '6px',
+                    padding: '0 6px',
+                    backgroundColor: 'white',
+                    color: '#007bff',
+                    border: '1px solid #007bff',
+                    borderRadius: '3px',
+                    cursor: 'pointer',
+                    fontSize: '11px'
+                  }}
+                >
+                  Refresh
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -93,6 +178,28 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
         }}>
           Outlet Classification
         </h4>
+
+        {isFiltered && (
+          <div style={{
+            fontSize: '12px',
+            color: '#856404',
+            backgroundColor: '#fff3cd',
+            border: '1px solid #ffeeba',
+            borderRadius: '3px',
+            padding: '6px 8px',
+            marginBottom: '8px'
+          }}>
+            Filtered: showing {totalOutlets} of {totalOutletCount} outlets
+            {onClearFilters && (
+              <span
+                onClick={onClearFilters}
+                style={{ color: '#007bff', cursor: 'pointer', marginLeft: '8px' }}
+              >
+                Clear filters
+              </span>
+            )}
+          </div>
+        )}
         
         <div style={{ fontSize: '13px', lineHeight: '1.8' }}>
           <div style={{ 
@@ -190,8 +297,230 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
             {avgScore >= 0.7 ? 'Good Access' : avgScore >= 0.4 ? 'Moderate Access' : 'Limited Access'}
           </div>
         </div>
+        <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+          Mean of this tool's outlet scores (healthy 1.0, mixed 0.5, unhealthy 0.0); see the standard
+          indices below for comparison with published studies
+        </div>
       </div>
 
+      {/* Standard Food Environment Indices */}
+      {cityMetrics && (
+        <div style={{ marginBottom: '16px' }}>
+          <h4 style={{ 
+            fontSize: '14px', 
+            margin: '0 0 8px 0',
+            color: '#495057'
+          }}>
+            Food Environment Indices
+          </h4>
+
+          <HeadlineMetric label="mRFEI (CDC)" value={formatIndex(cityMetrics.mrfei, 1)}>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>Healthy / less healthy retailers</span>
+              <span>{cityMetrics.retailCounts.mrfeiHealthy} / {cityMetrics.retailCounts.mrfeiLessHealthy}</span>
+            </div>
+            <MethodNote>{INDEX_METHODOLOGY.mrfei}</MethodNote>
+          </HeadlineMetric>
+
+          <HeadlineMetric label="RFEI" value={formatIndex(cityMetrics.rfei, 2)}>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>Fast food + convenience / supermarkets + produce</span>
+              <span>{cityMetrics.retailCounts.rfeiNumerator} / {cityMetrics.retailCounts.rfeiDenominator}</span>
+            </div>
+            <MethodNote>{INDEX_METHODOLOGY.rfei}</MethodNote>
+          </HeadlineMetric>
+
+          <HeadlineMetric
+            label="Outlet density"
+            value={cityMetrics.outletsPerKm2 === null ? 'n/a' : `${cityMetrics.outletsPerKm2.toFixed(1)} /km²`}
+          >
+            {[
+              ['Healthy', cityMetrics.healthyPerKm2, cityMetrics.healthyPer10k],
+              ['Unhealthy', cityMetrics.unhealthyPerKm2, cityMetrics.unhealthyPer10k],
+              ['All outlets', cityMetrics.outletsPerKm2, cityMetrics.outletsPer10k]
+            ].map(([label, perKm2, per10k]) => (
+              <div key={label} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>{label}</span>
+                <span>
+                  {formatIndex(perKm2, 2)} /km²
+                  {per10k !== null && ` · ${per10k.toFixed(2)} /10k residents`}
+                </span>
+              </div>
+            ))}
+            <MethodNote>
+              {INDEX_METHODOLOGY.density}
+              {cityMetrics.population === null && ' No population available for this city.'}
+            </MethodNote>
+          </HeadlineMetric>
+
+          <div style={{ fontSize: '10px', color: '#6c757d' }}>
+            Counted over all outlets, regardless of map filters. Map them per grid cell from the
+            food desert grid in the map legend. {INDEX_METHODOLOGY.grid}
+          </div>
+        </div>
+      )}
+
+      {/* Neighbourhood Breakdown */}
+      {neighbourhoods && (
+        <div style={{ marginBottom: '16px' }}>
+          <h4 style={{ 
+            fontSize: '14px', 
+            margin: '0 0 8px 0',
+            color: '#495057'
+          }}>
+            Neighbourhoods
+          </h4>
+          <NeighbourhoodTable {...neighbourhoods} />
+        </div>
+      )}
+
+      {/* Food Desert Analysis */}
+      {foodDesertGrid && (
+        <div style={{ marginBottom: '16px' }}>
+          <h4 style={{ 
+            fontSize: '14px', 
+            margin: '0 0 8px 0',
+            color: '#495057'
+          }}>
+            Food Desert Analysis
+          </h4>
+
+          <div style={{
+            padding: '12px',
+            backgroundColor: foodDesertGrid.desertAreaShare > 0.5 ? '#fef2f2' : '#f8f9fa',
+            border: `1px solid ${foodDesertGrid.desertAreaShare > 0.5 ? '#dc2626' : '#dee2e6'}`,
+            borderRadius: '4px',
+            textAlign: 'center',
+            marginBottom: '8px'
+          }}>
+            <div style={{ fontSize: '24px', fontWeight: 'bold', color: '#2c3e50', marginBottom: '4px' }}>
+              {(foodDesertGrid.desertAreaShare * 100).toFixed(1)}%
+            </div>
+            <div style={{ fontSize: '12px', color: '#6c757d', fontWeight: '500' }}>
+              of city area is a food desert
+            </div>
+            <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px' }}>
+              {foodDesertGrid.desertCells} of {foodDesertGrid.totalCells} cells
+              more than {foodDesertGrid.thresholdMeters} m from healthy food
+            </div>
+          </div>
+
+          {gridOptions && onGridOptionsChange && (
+            <div style={{ display: 'flex', gap: '6px', fontSize: '12px' }}>
+              <select
+                value={gridOptions.thresholdMeters}
+                onChange={(e) => onGridOptionsChange({ ...gridOptions, thresholdMeters: Number(e.target.value) })}
+                style={{ flex: 1, padding: '4px' }}
+                title="Food desert distance threshold"
+              >
+                {[500, 800, 1200, 1600, 2000].map(m => (
+                  <option key={m} value={m}>{m} m</option>
+                ))}
+              </select>
+              <select
+                value={gridOptions.cellSize}
+                onChange={(e) => onGridOptionsChange({ ...gridOptions, cellSize: Number(e.target.value) })}
+                style={{ flex: 1, padding: '4px' }}
+                title="Grid cell size"
+              >
+                {[250, 500, 1000].map(m => (
+                  <option key={m} value={m}>{m} m cells</option>
+                ))}
+              </select>
+              <select
+                value={gridOptions.shape}
+                onChange={(e) => onGridOptionsChange({ ...gridOptions, shape: e.target.value })}
+                style={{ flex: 1, padding: '4px' }}
+                title="Grid shape"
+              >
+                <option value="square">Square</option>
+                <option value="hex">Hex</option>
+              </select>
+            </div>
+          )}
+          {foodDesertGrid.cellSize !== gridOptions?.cellSize && (
+            <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+              Cell size raised to {foodDesertGrid.cellSize} m for this city's extent
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Population-Weighted Access */}
+      {populationAccess && (
+        <div style={{ marginBottom: '16px' }}>
+          <h4 style={{ 
+            fontSize: '14px', 
+            margin: '0 0 8px 0',
+            color: '#495057'
+          }}>
+            Population Access
+          </h4>
+
+          <HeadlineMetric
+            label="Residents within 800 m of healthy food"
+            value={formatPercent(populationAccess.within.find(w => w.meters === 800)?.share ?? 0)}
+          >
+            {populationAccess.within.map(w => (
+              <div key={w.meters} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Within {w.meters} m</span>
+                <span>
+                  {formatPercent(w.share)}
+                  {!populationAccess.isProxy && ` (${formatPeople(w.population)})`}
+                </span>
+              </div>
+            ))}
+          </HeadlineMetric>
+
+          <HeadlineMetric
+            label="Population in food deserts"
+            value={populationAccess.isProxy
+              ? formatPercent(populationAccess.desertShare)
+              : formatPeople(populationAccess.desertPopulation)}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>Share of residents</span>
+              <span>{formatPercent(populationAccess.desertShare)}</span>
+            </div>
+            {foodDesertGrid && (
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Share of city area</span>
+                <span>{formatPercent(foodDesertGrid.desertAreaShare)}</span>
+              </div>
+            )}
+            <div>More than {populationAccess.desertThreshold} m from a healthy outlet</div>
+          </HeadlineMetric>
+
+          <HeadlineMetric
+            label="Population-weighted distance"
+            value={populationAccess.weightedMeanDistance === null
+              ? 'n/a'
+              : `${Math.round(populationAccess.weightedMeanDistance)} m`}
+          >
+            {populationAccess.weightedMedianDistance !== null && (
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Weighted median</span>
+                <span>{Math.round(populationAccess.weightedMedianDistance)} m</span>
+              </div>
+            )}
+            {populationAccess.distanceBands.map(band => (
+              <div key={band.min} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>
+                  {Number.isFinite(band.max) ? `${band.min}–${band.max} m` : `Over ${band.min} m`}
+                </span>
+                <span>{formatPercent(band.share)}</span>
+              </div>
+            ))}
+          </HeadlineMetric>
+
+          <div style={{ fontSize: '10px', color: '#6c757d' }}>
+            {populationAccess.isProxy
+              ? 'Weighted by OSM building floors (relative proxy, no head counts)'
+              : `Total population in boundary: ${formatPeople(populationAccess.totalPopulation)} (GPWv4)`}
+          </div>
+        </div>
+      )}
+
       {/* NASA Climate Data */}
       {nasaPowerData && (
         <div style={{ marginBottom: '16px' }}>
@@ -220,6 +549,57 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
             <div style={{ marginBottom: '4px' }}>
               <strong>Precipitation:</strong> {nasaPowerData.data.PRECTOTCORR?.mean?.toFixed(1)} mm/day
             </div>
+            {agronomics && (
+              <div style={{ marginTop: '8px', paddingTop: '8px', borderTop: '1px solid #dee2e6' }}>
+                <div style={{ marginBottom: '4px' }}>
+                  <strong>Growing Degree Days:</strong> {Math.round(agronomics.gdd.total).toLocaleString()} (base {agronomics.gdd.base}°C)
+                </div>
+                <div style={{ marginBottom: '4px' }}>
+                  <strong>Frost-free Season:</strong>{' '}
+                  {agronomics.frostFree.frostDays === 0
+                    ? `no frost from ${nasaPowerData.dateRange.start} to ${nasaPowerData.dateRange.end}`
+                    : `${agronomics.frostFree.truncated ? '≥ ' : ''}${agronomics.frostFree.days} days (${agronomics.frostFree.start} to ${agronomics.frostFree.end})`}
+                </div>
+                <div style={{ marginBottom: '4px' }}>
+                  <strong>Longest Dry Spell:</strong>{' '}
+                  {agronomics.drySpells.longest
+                    ? `${agronomics.drySpells.longest.days} days from ${agronomics.drySpells.longest.start} (${agronomics.drySpells.spells.length} spells ≥ ${agronomics.drySpells.minDrySpell} days)`
+                    : `none ≥ ${agronomics.drySpells.minDrySpell} days`}
+                </div>
+                {agronomics.meanHumidity !== null && (
+                  <div style={{ marginBottom: '8px' }}>
+                    <strong>Relative Humidity:</strong> {agronomics.meanHumidity.toFixed(0)}%
+                  </div>
+                )}
+
+                <MonthlyTemperatureChart
+                  title="Temperature (°C)"
+                  summary="min-max, mean in red"
+                  monthly={agronomics.monthly}
+                />
+                <MonthlyBarChart
+                  title="Precipitation (mm/month)"
+                  summary={`${Math.round(agronomics.precipitationTotal)} mm/year`}
+                  values={agronomics.monthly.map(month => month && month.precipitation)}
+                  color="#0ea5e9"
+                  unit="mm"
+                />
+                <MonthlyBarChart
+                  title="Solar (kWh/m²/month)"
+                  summary={`${Math.round(agronomics.solar.annualTotal)} kWh/m²/year`}
+                  values={agronomics.monthly.map(month => month && month.solar)}
+                  color="#f59e0b"
+                  unit="kWh/m²"
+                />
+                <MonthlyBarChart
+                  title="Growing degree days"
+                  summary={`base ${agronomics.gdd.base}°C`}
+                  values={agronomics.monthly.map(month => month && month.gdd)}
+                  color="#10b981"
+                  unit="GDD"
+                />
+              </div>
+            )}
             <div style={{ 
               fontSize: '10px', 
               color: '#6c757d',
@@ -227,19 +607,22 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
               paddingTop: '8px',
               borderTop: '1px solid #dee2e6'
             }}>
-              Data from NASA POWER API (last 12 months)
+              Data from NASA POWER API ({nasaPowerData.dateRange.start} to {nasaPowerData.dateRange.end})
             </div>
           </div>
         </div>
       )}
 
+      {/* Crop Recommendations */}
+      {cropRecommendations && (
+        <CropRecommendations recommendations={cropRecommendations} />
+      )}
+
       {/* Quick Actions */}
       <div>
         <button
-          onClick={() => {
-            // This will trigger the AI solution generator (to be implemented)
-            alert('AI Solution Generator coming next!');
-          }}
+          onClick={onGenerateSites}
+          disabled={!foodDesertGrid}
           style={{
             width: '100%',
             padding: '10px',
@@ -247,16 +630,63 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
             color: 'white',
             border: 'none',
             borderRadius: '4px',
-            cursor: 'pointer',
+            cursor: foodDesertGrid ? 'pointer' : 'not-allowed',
             fontSize: '14px',
             fontWeight: '500',
             marginBottom: '8px',
             transition: 'background-color 0.2s'
           }}
         >
-          Generate AI Solution Map
+          Generate Urban Farm Site Map
         </button>
         
+        {onExport && (
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px' }}>
+            <span style={{ fontSize: '12px', color: '#495057', flex: '0 0 auto' }}>Export:</span>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => onExport(format)}
+                style={{
+                  flex: 1,
+                  padding: '6px',
+                  backgroundColor: 'white',
+                  color: '#007bff',
+                  border: '1px solid #007bff',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {onReport && (
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+            {[['html', 'Download Report'], ['print', 'Print / PDF']].map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => onReport(mode)}
+                style={{
+                  flex: 1,
+                  padding: '8px',
+                  backgroundColor: '#0d5e3a',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer',
+                  fontSize: '13px'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
         <button
           onClick={() => {
             console.log('City Data:', cityData);
@@ -291,8 +721,8 @@ function MetricsPanel({ cityData, foodOutlets, nasaPowerData }) {
         color: '#0c4a6e'
       }}>
         <strong>Next Steps:</strong><br/>
-        • Click "Generate AI Solution Map" to create urban farming recommendations<br/>
-        • Use NASA climate data to identify optimal growing locations<br/>
+        • Click "Generate Urban Farm Site Map" to rank candidate farm sites<br/>
+        • Load NDVI/LST in Local Datasets to refine site scores<br/>
         • Analyze food desert patterns for intervention planning
       </div>
     </div>
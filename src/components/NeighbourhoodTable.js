@@ -0,0 +1,126 @@
+// NeighbourhoodTable.js - Neighbourhood Ranking
+// Sortable table of food access metrics per OSM sub-area; the sorted column is also mapped
+
+import React, { useState } from 'react';
+import { formatMetricValue, SUB_AREA_LEVELS, SUB_AREA_METRICS } from '../analysis/subAreas';
+
+const cellStyle = {
+  padding: '4px 6px',
+  borderBottom: '1px solid #f1f3f5',
+  textAlign: 'right',
+  whiteSpace: 'nowrap'
+};
+
+// Worst-served first: low values first where higher is better, and vice versa
+const worstFirst = metric => (metric.better === 'higher' ? 'asc' : 'desc');
+
+/**
+ * Rows sorted by a metric; areas without a value always go last
+ */
+function sortAreas(areas, key, direction) {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...areas].sort((a, b) => {
+    if (key === 'name') return sign * a.name.localeCompare(b.name);
+    if (a[key] === null) return b[key] === null ? 0 : 1;
+    if (b[key] === null) return -1;
+    return sign * (a[key] - b[key]);
+  });
+}
+
+function NeighbourhoodTable({ areas, levelCounts, level, onLevelChange, metric, onMetricChange, hasPopulation }) {
+  const [direction, setDirection] = useState(null);
+  const [sortByName, setSortByName] = useState(false);
+
+  const metrics = SUB_AREA_METRICS.filter(m => hasPopulation || !m.key.endsWith('Per10k'));
+  const active = metrics.find(m => m.key === metric) || metrics[0];
+  const sortDirection = direction || (sortByName ? 'asc' : worstFirst(active));
+  const rows = sortAreas(areas, sortByName ? 'name' : active.key, sortDirection);
+
+  // Clicking the sorted column flips it; another column sorts (and maps) by that metric, worst first
+  function handleSort(key) {
+    if (key === 'name') {
+      setDirection(sortByName && sortDirection === 'asc' ? 'desc' : 'asc');
+      setSortByName(true);
+      return;
+    }
+    if (!sortByName && key === active.key) {
+      setDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setDirection(null);
+      onMetricChange(key);
+    }
+    setSortByName(false);
+  }
+
+  const arrow = key => {
+    const sorted = key === 'name' ? sortByName : !sortByName && key === active.key;
+    return sorted ? (sortDirection === 'asc' ? ' ▲' : ' ▼') : '';
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '6px', fontSize: '12px', marginBottom: '6px' }}>
+        <select
+          value={level}
+          onChange={(e) => onLevelChange(e.target.value)}
+          style={{ flex: 1, padding: '4px' }}
+          title="Kind of sub-area"
+        >
+          {SUB_AREA_LEVELS.filter(({ key }) => levelCounts[key] > 0).map(({ key, label }) => (
+            <option key={key} value={key}>{label} ({levelCounts[key]})</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ border: '1px solid #dee2e6', borderRadius: '4px', overflow: 'auto', maxHeight: '320px' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '11px' }}>
+          <thead>
+            <tr style={{ backgroundColor: '#f8f9fa', position: 'sticky', top: 0 }}>
+              <th
+                onClick={() => handleSort('name')}
+                style={{ ...cellStyle, textAlign: 'left', cursor: 'pointer', backgroundColor: '#f8f9fa' }}
+              >
+                Area{arrow('name')}
+              </th>
+              {metrics.map(m => (
+                <th
+                  key={m.key}
+                  onClick={() => handleSort(m.key)}
+                  title={m.better ? `${m.better === 'higher' ? 'Higher' : 'Lower'} is better` : undefined}
+                  style={{
+                    ...cellStyle,
+                    cursor: 'pointer',
+                    backgroundColor: m.key === active.key ? '#e7f1ff' : '#f8f9fa'
+                  }}
+                >
+                  {m.label}{arrow(m.key)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(area => (
+              <tr key={area.id}>
+                <td style={{ ...cellStyle, textAlign: 'left', color: '#2c3e50' }}>{area.name}</td>
+                {metrics.map(m => (
+                  <td
+                    key={m.key}
+                    style={{ ...cellStyle, fontWeight: m.key === active.key ? '600' : 'normal' }}
+                  >
+                    {formatMetricValue(m, area[m.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize: '10px', color: '#6c757d', marginTop: '4px' }}>
+        Click a column to rank by it (worst-served first) and colour the map by it. Areas are OSM
+        administrative and place boundaries; outlets are counted inside each area.
+      </div>
+    </div>
+  );
+}
+
+export default NeighbourhoodTable;
@@ -0,0 +1,256 @@
+// RuleEditor.js - Classification Rule Editor
+// Edit the JSON rule set that classifies outlets, then re-classify in place
+
+import React, { useEffect, useState } from 'react';
+import {
+  formatMatchExpression,
+  parseMatchExpression,
+  validateRuleSet
+} from '../classification';
+
+// Editable row form of a rule - blank fields fall back to class defaults
+function toDraft(rule) {
+  return {
+    expression: formatMatchExpression(rule.match),
+    class: rule.class,
+    label: rule.label ?? '',
+    color: rule.color ?? '',
+    score: rule.score ?? '',
+    elements: rule.elements
+  };
+}
+
+function fromDraft(draft) {
+  const rule = {
+    match: parseMatchExpression(draft.expression),
+    class: draft.class
+  };
+  if (draft.label.trim()) rule.label = draft.label.trim();
+  if (draft.color.trim()) rule.color = draft.color.trim();
+  if (draft.score !== '') rule.score = Number(draft.score);
+  if (draft.elements) rule.elements = draft.elements;
+  return rule;
+}
+
+const inputStyle = {
+  padding: '4px 6px',
+  border: '1px solid #dee2e6',
+  borderRadius: '3px',
+  fontSize: '12px',
+  boxSizing: 'border-box'
+};
+
+const smallButtonStyle = {
+  padding: '2px 6px',
+  backgroundColor: 'white',
+  color: '#6c757d',
+  border: '1px solid #dee2e6',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+function RuleEditor({ ruleSet, onApply, onReset }) {
+  const [expanded, setExpanded] = useState(false);
+  const [jsonMode, setJsonMode] = useState(false);
+  const [drafts, setDrafts] = useState(() => ruleSet.rules.map(toDraft));
+  const [jsonText, setJsonText] = useState(() => JSON.stringify(ruleSet, null, 2));
+  const [error, setError] = useState(null);
+
+  // Start again from the applied rule set whenever it changes
+  useEffect(() => {
+    setDrafts(ruleSet.rules.map(toDraft));
+    setJsonText(JSON.stringify(ruleSet, null, 2));
+    setError(null);
+  }, [ruleSet]);
+
+  const classKeys = Object.keys(ruleSet.classes);
+
+  function updateDraft(index, field, value) {
+    setDrafts(drafts.map((draft, i) => (i === index ? { ...draft, [field]: value } : draft)));
+  }
+
+  function moveDraft(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= drafts.length) return;
+    const next = [...drafts];
+    [next[index], next[target]] = [next[target], next[index]];
+    setDrafts(next);
+  }
+
+  function handleApply() {
+    try {
+      const nextRuleSet = jsonMode
+        ? JSON.parse(jsonText)
+        : { ...ruleSet, rules: drafts.map(fromDraft) };
+      validateRuleSet(nextRuleSet);
+      setError(null);
+      onApply(nextRuleSet);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div style={{
+      padding: '16px',
+      backgroundColor: 'white',
+      border: '1px solid #dee2e6',
+      borderRadius: '4px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{
+          fontSize: '16px',
+          margin: 0,
+          color: '#2c3e50',
+          fontWeight: '600'
+        }}>
+          Classification Rules
+        </h3>
+        <button onClick={() => setExpanded(!expanded)} style={smallButtonStyle}>
+          {expanded ? 'Hide' : `Edit (${ruleSet.rules.length})`}
+        </button>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: '12px', fontSize: '12px' }}>
+          <div style={{ color: '#6c757d', lineHeight: '1.5', marginBottom: '8px' }}>
+            Rules are checked top to bottom; the first match wins.
+            Write conditions as <code>shop=convenience + organic=yes|only</code>.
+            New tags are fetched on the next city search.
+          </div>
+
+          <label style={{ display: 'flex', alignItems: 'center', marginBottom: '8px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={jsonMode}
+              onChange={(e) => setJsonMode(e.target.checked)}
+              style={{ marginRight: '6px' }}
+            />
+            Edit as JSON
+          </label>
+
+          {jsonMode ? (
+            <textarea
+              value={jsonText}
+              onChange={(e) => setJsonText(e.target.value)}
+              spellCheck={false}
+              style={{ ...inputStyle, width: '100%', height: '240px', fontFamily: 'monospace' }}
+            />
+          ) : (
+            drafts.map((draft, index) => (
+              <div key={index} style={{
+                padding: '8px',
+                marginBottom: '6px',
+                backgroundColor: '#f8f9fa',
+                border: '1px solid #dee2e6',
+                borderRadius: '3px'
+              }}>
+                <input
+                  type="text"
+                  value={draft.expression}
+                  onChange={(e) => updateDraft(index, 'expression', e.target.value)}
+                  style={{ ...inputStyle, width: '100%', marginBottom: '4px' }}
+                />
+                <div style={{ display: 'flex', gap: '4px', marginBottom: '4px' }}>
+                  <select
+                    value={draft.class}
+                    onChange={(e) => updateDraft(index, 'class', e.target.value)}
+                    style={{ ...inputStyle, flex: 2 }}
+                  >
+                    {classKeys.map(key => (
+                      <option key={key} value={key}>{ruleSet.classes[key].label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.1"
+                    value={draft.score}
+                    placeholder={String(ruleSet.classes[draft.class]?.score ?? '')}
+                    onChange={(e) => updateDraft(index, 'score', e.target.value)}
+                    style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                    title="Score (blank = class default)"
+                  />
+                </div>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                  <input
+                    type="text"
+                    value={draft.label}
+                    placeholder={ruleSet.classes[draft.class]?.label}
+                    onChange={(e) => updateDraft(index, 'label', e.target.value)}
+                    style={{ ...inputStyle, flex: 2, minWidth: 0 }}
+                    title="Label (blank = class default)"
+                  />
+                  <input
+                    type="text"
+                    value={draft.color}
+                    placeholder={ruleSet.classes[draft.class]?.color}
+                    onChange={(e) => updateDraft(index, 'color', e.target.value)}
+                    style={{ ...inputStyle, flex: 1, minWidth: 0 }}
+                    title="Colour (blank = class default)"
+                  />
+                  <button onClick={() => moveDraft(index, -1)} style={smallButtonStyle} title="Move up">↑</button>
+                  <button onClick={() => moveDraft(index, 1)} style={smallButtonStyle} title="Move down">↓</button>
+                  <button
+                    onClick={() => setDrafts(drafts.filter((_, i) => i !== index))}
+                    style={{ ...smallButtonStyle, color: '#dc2626' }}
+                    title="Remove rule"
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+
+          {error && (
+            <div style={{
+              marginBottom: '8px',
+              padding: '8px',
+              backgroundColor: '#fee',
+              border: '1px solid #fcc',
+              borderRadius: '4px',
+              color: '#c00'
+            }}>
+              Error: {error}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+            {!jsonMode && (
+              <button
+                onClick={() => setDrafts([
+                  ...drafts,
+                  { expression: '', class: ruleSet.defaultClass, label: '', color: '', score: '' }
+                ])}
+                style={{ ...smallButtonStyle, padding: '6px 10px' }}
+              >
+                + Add Rule
+              </button>
+            )}
+            <button
+              onClick={handleApply}
+              style={{
+                ...smallButtonStyle,
+                padding: '6px 10px',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                flex: 1
+              }}
+            >
+              Apply & Re-classify
+            </button>
+            <button onClick={onReset} style={{ ...smallButtonStyle, padding: '6px 10px' }}>
+              Reset
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RuleEditor;
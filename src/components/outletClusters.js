@@ -0,0 +1,200 @@
+// outletClusters.js - Clustered Outlet Layer
+// Grid clustering in screen space with class-mix pie bubbles; single outlets drawn on canvas
+
+import L from 'leaflet';
+
+export const DEFAULT_CLUSTER_OPTIONS = {
+  cellSize: 60,          // px; outlets in the same cell at this zoom share a bubble
+  minClusterSize: 3,     // smaller groups are drawn as individual dots
+  disableAtZoom: 17,     // street level and closer: no clustering
+  renderer: null         // canvas renderer to share with other layers (default: own canvas)
+};
+
+// ==================== CLUSTERING ====================
+
+/**
+ * Group outlets by screen-space grid cell
+ *
+ * project(outlet) returns { x, y } pixels at the current zoom; inView(point)
+ * limits work to the visible area. Returns { clusters, singles } where each
+ * cluster has a mean position, bounds and per-class counts.
+ */
+export function buildClusters(outlets, project, inView, options = {}) {
+  const { cellSize, minClusterSize } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+  const cells = new Map();
+
+  outlets.forEach((outlet, index) => {
+    const point = project(outlet, index);
+    if (!inView(point)) return;
+    const key = `${Math.floor(point.x / cellSize)},${Math.floor(point.y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(outlet);
+  });
+
+  const clusters = [];
+  const singles = [];
+
+  cells.forEach(members => {
+    if (members.length < minClusterSize) {
+      singles.push(...members);
+      return;
+    }
+
+    const classes = {};
+    let south = Infinity, north = -Infinity, west = Infinity, east = -Infinity;
+    let latSum = 0, lngSum = 0;
+
+    members.forEach(outlet => {
+      latSum += outlet.lat;
+      lngSum += outlet.lng;
+      south = Math.min(south, outlet.lat);
+      north = Math.max(north, outlet.lat);
+      west = Math.min(west, outlet.lng);
+      east = Math.max(east, outlet.lng);
+
+      const entry = classes[outlet.type] || (classes[outlet.type] = { count: 0, color: outlet.classification.color });
+      entry.count++;
+    });
+
+    clusters.push({
+      lat: latSum / members.length,
+      lng: lngSum / members.length,
+      count: members.length,
+      bounds: [south, north, west, east],
+      classes
+    });
+  });
+
+  return { clusters, singles };
+}
+
+// ==================== CLUSTER ICONS ====================
+
+/**
+ * SVG donut of a cluster's class mix with the count in the middle
+ */
+function pieSvg(classes, count, size) {
+  const r = size / 2;
+  const inner = r * 0.55;
+  const slices = Object.values(classes).sort((a, b) => b.count - a.count);
+
+  let angle = -Math.PI / 2;
+  const paths = slices.map(({ count: n, color }) => {
+    if (n === count) return `<circle cx="${r}" cy="${r}" r="${r}" fill="${color}"/>`;
+    const sweep = (n / count) * 2 * Math.PI;
+    const x1 = r + r * Math.cos(angle);
+    const y1 = r + r * Math.sin(angle);
+    angle += sweep;
+    const x2 = r + r * Math.cos(angle);
+    const y2 = r + r * Math.sin(angle);
+    return `<path d="M${r},${r}L${x1.toFixed(2)},${y1.toFixed(2)}` +
+      `A${r},${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2.toFixed(2)},${y2.toFixed(2)}Z" fill="${color}"/>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+    `${paths.join('')}<circle cx="${r}" cy="${r}" r="${inner}" fill="white"/>` +
+    `<text x="${r}" y="${r}" text-anchor="middle" dominant-baseline="central" ` +
+    `font-size="${Math.max(10, Math.round(size / 3.2))}" font-weight="600" fill="#2c3e50">${count}</text></svg>`;
+}
+
+const clusterIcon = cluster => {
+  const size = Math.round(Math.min(52, 26 + Math.log10(cluster.count) * 10));
+  return L.divIcon({
+    className: 'custom-div-icon',
+    html: `<div style="filter: drop-shadow(0 1px 2px rgba(0,0,0,0.35));">${pieSvg(cluster.classes, cluster.count, size)}</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+};
+
+// ==================== LEAFLET LAYER ====================
+
+/**
+ * Leaflet layer that re-clusters on every zoom/pan end
+ * Work per update is bounded by the viewport, and nothing is rebuilt while
+ * panning, so tens of thousands of outlets stay smooth. popupFor(outlet)
+ * is only called when a dot is clicked.
+ */
+const OutletClusterLayer = L.Layer.extend({
+  initialize(outlets, popupFor, options = {}) {
+    this._outlets = outlets.filter(outlet => outlet.lat && outlet.lng);
+    this._popupFor = popupFor;
+    this._settings = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+    this._projected = {}; // zoom -> Float64Array of x, y
+  },
+
+  onAdd(map) {
+    this._group = L.layerGroup().addTo(map);
+    this._renderer = this._settings.renderer || L.canvas({ padding: 0.5 });
+    map.on('moveend', this._update, this);
+    this._update();
+  },
+
+  onRemove(map) {
+    map.off('moveend', this._update, this);
+    this._group.remove();
+  },
+
+  // Pixel positions at a zoom, computed once per zoom level
+  _positions(zoom) {
+    if (!this._projected[zoom]) {
+      const positions = new Float64Array(this._outlets.length * 2);
+      this._outlets.forEach((outlet, i) => {
+        const point = this._map.project([outlet.lat, outlet.lng], zoom);
+        positions[i * 2] = point.x;
+        positions[i * 2 + 1] = point.y;
+      });
+      this._projected[zoom] = positions;
+    }
+    return this._projected[zoom];
+  },
+
+  _update() {
+    const map = this._map;
+    if (!map) return;
+
+    const zoom = map.getZoom();
+    const { disableAtZoom } = this._settings;
+    const positions = this._positions(zoom);
+    const view = map.getPixelBounds().pad(0.25);
+    const inView = point => point.x >= view.min.x && point.x <= view.max.x &&
+      point.y >= view.min.y && point.y <= view.max.y;
+    const project = (outlet, i) => ({ x: positions[i * 2], y: positions[i * 2 + 1] });
+
+    const { clusters, singles } = zoom >= disableAtZoom
+      ? { clusters: [], singles: this._outlets.filter((outlet, i) => inView(project(outlet, i))) }
+      : buildClusters(this._outlets, project, inView, this._settings);
+
+    this._group.clearLayers();
+
+    clusters.forEach(cluster => {
+      const [south, north, west, east] = cluster.bounds;
+      L.marker([cluster.lat, cluster.lng], { icon: clusterIcon(cluster) })
+        .on('click', () => map.fitBounds([[south, west], [north, east]], { padding: [40, 40], maxZoom: disableAtZoom }))
+        .addTo(this._group);
+    });
+
+    singles.forEach(outlet => {
+      L.circleMarker([outlet.lat, outlet.lng], {
+        renderer: this._renderer,
+        radius: 6,
+        color: 'white',
+        weight: 2,
+        fillColor: outlet.classification.color,
+        fillOpacity: 1
+      })
+        // A map-level popup survives the re-render its own auto-pan triggers
+        .on('click', () => {
+          L.popup()
+            .setLatLng([outlet.lat, outlet.lng])
+            .setContent(this._popupFor(outlet))
+            .openOn(map);
+        })
+        .addTo(this._group);
+    });
+  }
+});
+
+export function createOutletClusterLayer(outlets, popupFor, options) {
+  return new OutletClusterLayer(outlets, popupFor, options);
+}
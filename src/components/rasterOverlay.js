@@ -0,0 +1,127 @@
+// rasterOverlay.js - Raster Grid Overlays for Leaflet
+// Paints a gridded dataset (see rasters.js) onto a canvas and shows it as an image overlay
+
+import L from 'leaflet';
+
+/**
+ * Linear interpolation along colour stops [[t, [r, g, b]], ...] with t in 0..1
+ */
+export function interpolateRamp(stops, t) {
+  const clamped = Math.min(Math.max(t, 0), 1);
+  for (let i = 1; i < stops.length; i++) {
+    const [t1, c1] = stops[i];
+    if (clamped <= t1) {
+      const [t0, c0] = stops[i - 1];
+      const f = t1 === t0 ? 0 : (clamped - t0) / (t1 - t0);
+      return c0.map((channel, k) => Math.round(channel + (c1[k] - channel) * f));
+    }
+  }
+  return stops[stops.length - 1][1];
+}
+
+/**
+ * CSS gradient matching a ramp, for legends
+ */
+export function rampToCss(stops) {
+  return `linear-gradient(to right, ${stops
+    .map(([t, [r, g, b]]) => `rgb(${r},${g},${b}) ${Math.round(t * 100)}%`)
+    .join(', ')})`;
+}
+
+// Yellow to dark red, for population density
+export const POPULATION_RAMP = [
+  [0, [255, 255, 204]],
+  [0.25, [254, 217, 118]],
+  [0.5, [253, 141, 60]],
+  [0.75, [227, 26, 28]],
+  [1, [128, 0, 38]]
+];
+
+/**
+ * Colour function for population density on a log scale (densities are very skewed)
+ */
+export function populationColorScale(maxValue) {
+  const logMax = Math.log1p(Math.max(maxValue, 1));
+  return value => {
+    if (value <= 0) return null;
+    return [...interpolateRamp(POPULATION_RAMP, Math.log1p(value) / logMax), 200];
+  };
+}
+
+// Bare soil brown to dense vegetation green, for NDVI
+export const NDVI_RAMP = [
+  [0, [166, 97, 26]],
+  [0.3, [223, 194, 125]],
+  [0.5, [217, 239, 139]],
+  [0.75, [102, 189, 99]],
+  [1, [0, 104, 55]]
+];
+
+// Cool blue to hot red, for land surface temperature
+export const LST_RAMP = [
+  [0, [49, 54, 149]],
+  [0.25, [116, 173, 209]],
+  [0.5, [255, 255, 191]],
+  [0.75, [244, 109, 67]],
+  [1, [165, 0, 38]]
+];
+
+// Green (mostly healthy) through pale yellow (even) to purple (swamped), for the swamp ratio
+export const SWAMP_RAMP = [
+  [0, [26, 152, 80]],
+  [0.25, [166, 217, 106]],
+  [0.5, [255, 255, 191]],
+  [0.75, [244, 109, 67]],
+  [1, [118, 42, 131]]
+];
+
+/**
+ * Colour function for the swamp ratio on a log scale centred on 1:1
+ * Ratios beyond 1/maxRatio..maxRatio take the end colours.
+ */
+export function swampColorScale(maxRatio = 8) {
+  const logMax = Math.log(maxRatio);
+  return value => [...interpolateRamp(SWAMP_RAMP, 0.5 + Math.log(Math.max(value, 1e-6)) / (2 * logMax)), 190];
+}
+
+/**
+ * Colour function stretching a ramp linearly between min and max
+ */
+export function linearColorScale(stops, minValue, maxValue, alpha = 190) {
+  const span = maxValue - minValue || 1;
+  return value => [...interpolateRamp(stops, (value - minValue) / span), alpha];
+}
+
+/**
+ * Build a Leaflet image overlay from a grid
+ * colorFor(value) returns [r, g, b, a] or null for transparent.
+ */
+export function createRasterOverlay(grid, colorFor, options = {}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = grid.width;
+  canvas.height = grid.height;
+
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(grid.width, grid.height);
+
+  grid.data.forEach((rowValues, row) => {
+    rowValues.forEach((value, col) => {
+      const color = value === null ? null : colorFor(value);
+      if (!color) return;
+      const i = (row * grid.width + col) * 4;
+      image.data[i] = color[0];
+      image.data[i + 1] = color[1];
+      image.data[i + 2] = color[2];
+      image.data[i + 3] = color[3] ?? 255;
+    });
+  });
+  ctx.putImageData(image, 0, 0);
+
+  const [south, north, west, east] = grid.bbox;
+  return L.imageOverlay(canvas.toDataURL(), [[south, west], [north, east]], {
+    opacity: 0.7,
+    interactive: false,
+    className: 'raster-overlay',
+    ...options
+  });
+}
@@ -1,124 +1,308 @@
 // dataFetchers.js - Universal Data Fetching Module
 // Works for any city worldwide
 
-import axios from 'axios';
-
-const OVERPASS_API = 'https://overpass-api.de/api/interpreter';
-const NOMINATIM_API = 'https://nominatim.openstreetmap.org';
+import { boundaryAreaKm2, isPolygonal, pointInBoundary } from './analysis/geometry';
+import { fetchOverpassTiled, postOverpassQuery } from './overpass';
+import { cachedRequest, isNetworkError, loadCitySnapshot, saveCitySnapshot, summarizeCacheLog } from './cache';
+import { providerRequest } from './providers';
+import { gridResolutionMeters, readRasterGrid } from './rasters';
+import { MODIS_PRODUCTS, readModisComposite } from './modis';
+import { buildingPopulationProxy } from './analysis/populationAccess';
+import { parseSubAreas } from './analysis/subAreas';
+import { parsePowerSeries, seriesMean, summarizeGrowingSeason } from './analysis/climate';
+import {
+  DEFAULT_RULE_SET,
+  buildOverpassSelectors,
+  classifyOutlet,
+  getOutletClassification
+} from './classification';
 
 // ==================== CITY BOUNDARY & GEOCODING ====================
 
 /**
  * Geocode city name to coordinates and boundary
  */
-export async function geocodeCity(cityName) {
+export async function geocodeCity(cityName, options = {}) {
+  const params = {
+    q: cityName,
+    format: 'json',
+    limit: 1,
+    polygon_geojson: 1,
+    extratags: 1
+  };
+
   try {
-    const response = await axios.get(`${NOMINATIM_API}/search`, {
-      params: {
-        q: cityName,
-        format: 'json',
-        limit: 1,
-        polygon_geojson: 1
-      },
-      headers: {
-        'User-Agent': 'HealthyFoodAccessSystem/1.0'
-      }
-    });
+    const places = await cachedRequest('nominatim', `search:${JSON.stringify(params)}`, async () => {
+      const response = await providerRequest('nominatim', {
+        path: '/search',
+        params,
+        headers: {
+          'User-Agent': 'HealthyFoodAccessSystem/1.0'
+        }
+      });
+      return response.data;
+    }, options);
 
-    if (response.data.length === 0) {
+    if (places.length === 0) {
       throw new Error('City not found');
     }
 
-    const city = response.data[0];
-    return {
-      name: city.display_name.split(',')[0],
-      lat: parseFloat(city.lat),
-      lng: parseFloat(city.lon),
-      boundingBox: city.boundingbox.map(Number), // [south, north, west, east]
-      boundary: city.geojson,
-      osmId: city.osm_id,
-      osmType: city.osm_type
-    };
+    return toCityInfo(places[0]);
   } catch (error) {
     console.error('Geocoding error:', error);
     throw error;
   }
 }
 
+/**
+ * Candidate places for a search, for autocomplete and disambiguation
+ *
+ * query is free text or { city, country } for Nominatim's structured search.
+ * filters.countryCodes restricts results to ISO 3166-1 alpha-2 codes
+ * (comma separated). Boundaries are simplified for previews - pass the
+ * chosen candidate to lookupCity for the full polygon.
+ */
+export async function searchCities(query, filters = {}, options = {}) {
+  const { countryCodes, limit = 5 } = filters;
+  const params = {
+    ...(typeof query === 'string' ? { q: query } : query),
+    format: 'json',
+    limit,
+    addressdetails: 1,
+    polygon_geojson: 1,
+    polygon_threshold: 0.005
+  };
+  if (countryCodes) params.countrycodes = countryCodes.toLowerCase();
+
+  try {
+    const places = await cachedRequest('nominatim', `candidates:${JSON.stringify(params)}`, async () => {
+      const response = await providerRequest('nominatim', {
+        path: '/search',
+        params,
+        headers: {
+          'User-Agent': 'HealthyFoodAccessSystem/1.0'
+        }
+      });
+      return response.data;
+    }, options);
+
+    return places.map(place => ({
+      name: place.name || place.display_name.split(',')[0],
+      displayName: place.display_name,
+      type: place.addresstype || place.type,
+      country: place.address?.country || null,
+      countryCode: place.address?.country_code || null,
+      lat: parseFloat(place.lat),
+      lng: parseFloat(place.lon),
+      boundingBox: place.boundingbox.map(Number),
+      boundary: place.geojson,
+      osmType: place.osm_type,
+      osmId: place.osm_id
+    }));
+  } catch (error) {
+    console.error('City search error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Look up a city by OSM object, e.g. to restore one from a shared link
+ * osmType is 'node', 'way' or 'relation'.
+ */
+export async function lookupCity(osmType, osmId, options = {}) {
+  const osmIds = `${osmType[0].toUpperCase()}${osmId}`;
+
+  try {
+    const places = await cachedRequest('nominatim', `lookup:${osmIds}`, async () => {
+      const response = await providerRequest('nominatim', {
+        path: '/lookup',
+        params: {
+          osm_ids: osmIds,
+          format: 'json',
+          polygon_geojson: 1,
+          extratags: 1
+        },
+        headers: {
+          'User-Agent': 'HealthyFoodAccessSystem/1.0'
+        }
+      });
+      return response.data;
+    }, options);
+
+    if (places.length === 0) {
+      throw new Error(`OpenStreetMap object ${osmIds} not found`);
+    }
+
+    return toCityInfo(places[0]);
+  } catch (error) {
+    console.error('City lookup error:', error);
+    throw error;
+  }
+}
+
+// Nominatim reverse zoom levels, smallest area first
+const REVERSE_LEVELS = [
+  { zoom: 14, level: 'Neighbourhood' },
+  { zoom: 12, level: 'District' },
+  { zoom: 10, level: 'City' },
+  { zoom: 5, level: 'Region' }
+];
+
+/**
+ * Administrative areas enclosing a point, smallest first
+ * One reverse lookup per level (throttled by providers.js); levels that
+ * resolve to the same OSM object or to a bare node are dropped. Returns
+ * [{ level, name, type, displayName, osmType, osmId }] - pass the chosen
+ * one to lookupCity for its boundary.
+ */
+export async function reverseGeocodeAreas(lat, lng, options = {}) {
+  const point = `${lat.toFixed(5)},${lng.toFixed(5)}`;
+  const areas = [];
+
+  for (const { zoom, level } of REVERSE_LEVELS) {
+    const place = await cachedRequest('nominatim', `reverse:${zoom}:${point}`, async () => {
+      const response = await providerRequest('nominatim', {
+        path: '/reverse',
+        params: {
+          lat: lat.toFixed(5),
+          lon: lng.toFixed(5),
+          zoom,
+          format: 'json'
+        },
+        headers: {
+          'User-Agent': 'HealthyFoodAccessSystem/1.0'
+        }
+      });
+      return response.data;
+    }, options);
+
+    if (!place || place.error || place.osm_type === 'node') continue;
+    if (areas.some(area => area.osmType === place.osm_type && area.osmId === place.osm_id)) continue;
+
+    areas.push({
+      level,
+      name: place.name || place.display_name.split(',')[0],
+      type: place.addresstype || place.type,
+      displayName: place.display_name,
+      osmType: place.osm_type,
+      osmId: place.osm_id
+    });
+  }
+
+  return areas;
+}
+
+// Nominatim place -> the city object the rest of the app works with
+function toCityInfo(place) {
+  return {
+    name: place.display_name.split(',')[0],
+    lat: parseFloat(place.lat),
+    lng: parseFloat(place.lon),
+    boundingBox: place.boundingbox.map(Number), // [south, north, west, east]
+    boundary: place.geojson,
+    osmId: place.osm_id,
+    osmType: place.osm_type,
+    population: Number(place.extratags?.population) || null // OSM population tag, if any
+  };
+}
+
+// Overpass selectors for areas inside a city, given an area filter like `(area.city)`
+const subAreaSelectors = filter => `
+      relation${filter}["boundary"="administrative"]["admin_level"~"^(9|10)$"];
+      relation${filter}["place"~"^(suburb|quarter|neighbourhood)$"];
+      way${filter}["place"~"^(suburb|quarter|neighbourhood)$"];`;
+
 /**
  * Get detailed city boundary from OSM
+ * With options.subAreas, returns the areas inside the city instead:
+ * admin_level 9/10 boundaries and suburb/quarter/neighbourhood places,
+ * with member geometry (see parseSubAreas).
  */
-export async function fetchCityBoundary(osmId, osmType) {
-  const query = `
+export async function fetchCityBoundary(osmId, osmType, options = {}) {
+  const query = options.subAreas
+    ? `
+    [out:json][timeout:90];
+    ${osmType}(${osmId});
+    map_to_area->.city;
+    (${subAreaSelectors('(area.city)')}
+    );
+    out geom;
+  `
+    : `
     [out:json][timeout:25];
     ${osmType}(${osmId});
     out geom;
   `;
 
   try {
-    const response = await axios.post(OVERPASS_API, query, {
-      headers: { 'Content-Type': 'text/plain' }
-    });
-    return response.data;
+    return await postOverpassQuery(query, options);
   } catch (error) {
     console.error('Boundary fetch error:', error);
     throw error;
   }
 }
 
+/**
+ * Neighbourhood-level areas inside a city, ready for analyzeSubAreas
+ * OSM ways and relations with a polygon boundary are queried by their own
+ * area; nodes, drawn and manual areas by bounding box. Either way only areas
+ * lying inside the boundary are kept (see parseSubAreas).
+ */
+export async function fetchSubAreas(cityData, options = {}) {
+  const hasArea = ['way', 'relation'].includes(cityData.osmType) && isPolygonal(cityData.boundary);
+
+  let response;
+  if (hasArea && cityData.osmId) {
+    response = await fetchCityBoundary(cityData.osmId, cityData.osmType, { ...options, subAreas: true });
+  } else {
+    const [south, north, west, east] = cityData.boundingBox;
+    response = await postOverpassQuery(`
+    [out:json][timeout:90];
+    (${subAreaSelectors(`(${south},${west},${north},${east})`)}
+    );
+    out geom;
+  `, options);
+  }
+
+  return parseSubAreas(response.elements || [], cityData);
+}
+
 // ==================== FOOD OUTLETS (OPENSTREETMAP) ====================
 
 /**
  * Fetch all food outlets within bounding box
  * Returns classified outlets (healthy vs unhealthy)
+ * The query is generated from the classification rule set, so every tag
+ * combination a rule can classify is fetched. Large areas are fetched in
+ * tiles (see overpass.js); pass options.boundary to skip tiles outside the city.
  */
-export async function fetchFoodOutlets(bbox) {
+export async function fetchFoodOutlets(bbox, ruleSet = DEFAULT_RULE_SET, options = {}) {
   // bbox format: [south, north, west, east] or [minLat, maxLat, minLng, maxLng]
-  const [south, north, west, east] = bbox;
-
-  const query = `
+  const buildQuery = bboxFilter => `
     [out:json][timeout:60];
     (
-      // Healthy primary outlets
-      node["shop"="supermarket"](${south},${west},${north},${east});
-      way["shop"="supermarket"](${south},${west},${north},${east});
-      node["shop"="greengrocer"](${south},${west},${north},${east});
-      node["amenity"="marketplace"](${south},${west},${north},${east});
-      node["shop"="farm"](${south},${west},${north},${east});
-      node["shop"="health_food"](${south},${west},${north},${east});
-      
-      // Secondary healthy outlets
-      node["shop"="grocery"](${south},${west},${north},${east});
-      node["shop"="convenience"](${south},${west},${north},${east});
-      way["shop"="convenience"](${south},${west},${north},${east});
-      node["shop"="butcher"](${south},${west},${north},${east});
-      node["shop"="fishmonger"](${south},${west},${north},${east});
-      
-      // Unhealthy (for contrast)
-      node["amenity"="fast_food"](${south},${west},${north},${east});
-      way["amenity"="fast_food"](${south},${west},${north},${east});
+      ${buildOverpassSelectors(ruleSet, bboxFilter)}
     );
     out center;
   `;
 
   try {
-    const response = await axios.post(OVERPASS_API, query, {
-      headers: { 'Content-Type': 'text/plain' }
-    });
+    const elements = await fetchOverpassTiled(bbox, buildQuery, options);
 
-    const outlets = response.data.elements.map(element => {
+    const outlets = elements.map(element => {
       const lat = element.lat || element.center?.lat;
       const lng = element.lon || element.center?.lon;
       
       return {
         id: element.id,
+        osmType: element.type,
         name: element.tags?.name || 'Unnamed',
         lat,
         lng,
-        type: classifyOutlet(element.tags),
+        type: classifyOutlet(element.tags, ruleSet),
         rawType: element.tags?.shop || element.tags?.amenity,
         tags: element.tags,
-        classification: getOutletClassification(element.tags)
+        classification: getOutletClassification(element.tags, ruleSet)
       };
     }).filter(outlet => outlet.lat && outlet.lng); // Remove invalid coords
 
@@ -129,161 +313,229 @@ export async function fetchFoodOutlets(bbox) {
   }
 }
 
+// ==================== WALKING NETWORK (OPENSTREETMAP) ====================
+
+// highway=* values people can walk along
+const WALKABLE_HIGHWAYS = [
+  'footway', 'pedestrian', 'path', 'steps', 'living_street', 'residential',
+  'service', 'unclassified', 'tertiary', 'secondary', 'primary', 'track', 'cycleway'
+];
+
 /**
- * Classify outlet as healthy, mixed, or unhealthy
+ * Fetch pedestrian ways within bounding box for isochrone routing
+ * Returns raw Overpass way elements with node ids and geometry
  */
-function classifyOutlet(tags) {
-  const shop = tags?.shop;
-  const amenity = tags?.amenity;
+export async function fetchWalkingNetwork(bbox, options = {}) {
+  const buildQuery = bboxFilter => `
+    [out:json][timeout:90];
+    (
+      way["highway"~"^(${WALKABLE_HIGHWAYS.join('|')})$"]["foot"!~"^(no|private)$"]["access"!~"^(no|private)$"]${bboxFilter};
+    );
+    out skel geom;
+  `;
 
-  // Healthy primary
-  if (['supermarket', 'greengrocer', 'farm', 'health_food'].includes(shop)) {
-    return 'healthy_primary';
+  try {
+    return await fetchOverpassTiled(bbox, buildQuery, options);
+  } catch (error) {
+    console.error('Walking network fetch error:', error);
+    throw error;
   }
-  if (amenity === 'marketplace') return 'healthy_primary';
+}
 
-  // Unhealthy
-  if (amenity === 'fast_food') return 'unhealthy';
-  if (shop === 'alcohol') return 'unhealthy';
+// ==================== NASA EARTHDATA ====================
 
-  // Mixed (needs validation)
-  if (['grocery', 'convenience', 'butcher', 'fishmonger'].includes(shop)) {
-    return 'mixed';
+/**
+ * Fetch NASA population density (SEDAC GPWv4)
+ * Reads a GPWv4 GeoTIFF the user downloaded (options.source: uploaded File,
+ * ArrayBuffer, or a local path in Node) and crops it to the bbox.
+ * Without a source, returns the empty placeholder structure.
+ */
+export async function fetchNASAPopulation(bbox, options = {}) {
+  const { source } = options;
+
+  if (!source) {
+    console.warn('NASA Population needs a local GPWv4 GeoTIFF (options.source)');
+    return {
+      source: 'SEDAC_GPWv4',
+      bbox,
+      data: [], // Grid of population density values
+      resolution: '1km',
+      timestamp: new Date().toISOString()
+    };
   }
 
-  return 'unknown';
+  try {
+    const grid = await readRasterGrid(source, bbox);
+    return {
+      source: 'SEDAC_GPWv4',
+      bbox: grid.bbox,           // cropped to whole raster cells
+      requestedBbox: bbox,
+      data: grid.data,           // rows north to south, people/km², null = no data
+      width: grid.width,
+      height: grid.height,
+      cellSize: grid.cellSize,   // [degrees lng, degrees lat]
+      resolution: `${gridResolutionMeters(grid)}m`,
+      units: 'people/km^2',
+      fileName: source.name || (typeof source === 'string' ? source : undefined),
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Population GeoTIFF read error:', error);
+    throw error;
+  }
 }
 
+// Every building in the area is downloaded, so the estimate is limited to city-sized areas
+export const MAX_BUILDING_PROXY_KM2 = 300;
+
 /**
- * Get detailed classification
+ * Estimate relative population from OSM building floor counts
+ * Fallback when no population GeoTIFF is available; see buildingPopulationProxy.
+ * Areas over options.maxAreaKm2 (MAX_BUILDING_PROXY_KM2) are refused before
+ * anything is fetched.
  */
-function getOutletClassification(tags) {
-  const type = classifyOutlet(tags);
-  
-  const classifications = {
-    healthy_primary: {
-      label: 'Healthy Food Source',
-      color: '#0d5e3a',
-      score: 1.0
-    },
-    mixed: {
-      label: 'Mixed Selection',
-      color: '#fbbf24',
-      score: 0.5
-    },
-    unhealthy: {
-      label: 'Unhealthy',
-      color: '#dc2626',
-      score: 0.0
-    },
-    unknown: {
-      label: 'Unknown',
-      color: '#6b7280',
-      score: 0.3
-    }
-  };
+export async function fetchBuildingPopulationProxy(bbox, options = {}) {
+  const { maxAreaKm2 = MAX_BUILDING_PROXY_KM2 } = options;
+  const areaKm2 = boundaryAreaKm2(options.boundary, bbox);
+  if (areaKm2 > maxAreaKm2) {
+    throw new Error(
+      `Area too large for a building estimate (${Math.round(areaKm2)} km², limit ${maxAreaKm2} km²); ` +
+      'load a GPWv4 population GeoTIFF instead'
+    );
+  }
 
-  return classifications[type] || classifications.unknown;
-}
+  const buildQuery = bboxFilter => `
+    [out:json][timeout:90];
+    (
+      way["building"]${bboxFilter};
+      relation["building"]${bboxFilter};
+    );
+    out tags center qt;
+  `;
 
-// ==================== NASA EARTHDATA ====================
+  try {
+    const elements = await fetchOverpassTiled(bbox, buildQuery, options);
+    return buildingPopulationProxy(elements, bbox, options.cellSize);
+  } catch (error) {
+    console.error('Building fetch error:', error);
+    throw error;
+  }
+}
 
 /**
- * Fetch NASA population density (SEDAC GPWv4)
- * Note: This requires NASA Earthdata authentication
+ * Read a MODIS product from local GeoTIFFs for a date range
+ * Shared by fetchNASANDVI and fetchNASALST; without sources, returns the
+ * empty placeholder structure.
  */
-export async function fetchNASAPopulation(bbox) {
-  // Placeholder - actual implementation requires NASA Earthdata token
-  // For hackathon, you can use cached data or estimate
-  
-  console.warn('NASA Population fetch requires Earthdata authentication');
-  
-  // Return mock structure for development
-  return {
-    source: 'SEDAC_GPWv4',
+async function fetchModisLayer(product, bbox, startDate, endDate, options = {}) {
+  const { sources = [] } = options;
+  const spec = MODIS_PRODUCTS[product];
+  const base = {
+    source: `MODIS_${product}`,
     bbox,
-    data: [], // Grid of population density values
-    resolution: '1km',
-    timestamp: new Date().toISOString()
+    dateRange: { start: startDate, end: endDate },
+    resolution: spec.resolution,
+    units: spec.units
   };
+
+  if (sources.length === 0) {
+    console.warn(`MODIS ${product} needs local GeoTIFFs (options.sources)`);
+    return { ...base, data: [], timestamp: new Date().toISOString() };
+  }
+
+  try {
+    const grid = await readModisComposite(sources, bbox, product, { ...options, startDate, endDate });
+    return {
+      ...base,
+      bbox: grid.bbox,           // cropped to whole raster cells
+      requestedBbox: bbox,
+      data: grid.data,           // rows north to south, mean of scenes, null = no data
+      width: grid.width,
+      height: grid.height,
+      cellSize: grid.cellSize,   // [degrees lng, degrees lat]
+      resolution: `${gridResolutionMeters(grid)}m`,
+      scenes: grid.scenes,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error(`MODIS ${product} GeoTIFF read error:`, error);
+    throw error;
+  }
 }
 
 /**
  * Fetch NASA NDVI (vegetation index) for urban farming site selection
+ * Averages local MOD13Q1 250m NDVI GeoTIFFs (options.sources) acquired
+ * between startDate and endDate; values are scaled to -0.2..1.
  */
-export async function fetchNASANDVI(bbox, startDate, endDate) {
-  // Placeholder - requires NASA Earthdata token
-  
-  console.warn('NASA NDVI fetch requires Earthdata authentication');
-  
-  return {
-    source: 'MODIS_MOD13Q1',
-    bbox,
-    dateRange: { start: startDate, end: endDate },
-    data: [], // Grid of NDVI values (0-1)
-    resolution: '250m'
-  };
+export async function fetchNASANDVI(bbox, startDate, endDate, options = {}) {
+  return fetchModisLayer('MOD13Q1', bbox, startDate, endDate, options);
 }
 
 /**
  * Fetch NASA Land Surface Temperature (heat exposure)
+ * Averages local MOD11A2 daytime LST GeoTIFFs (options.sources) acquired
+ * between startDate and endDate; values are converted from Kelvin to °C.
  */
-export async function fetchNASALST(bbox, startDate, endDate) {
-  // Placeholder - requires NASA Earthdata token
-  
-  console.warn('NASA LST fetch requires Earthdata authentication');
-  
-  return {
-    source: 'MODIS_MOD11A2',
-    bbox,
-    dateRange: { start: startDate, end: endDate },
-    data: [], // Grid of temperature values (Kelvin)
-    resolution: '1km'
-  };
+export async function fetchNASALST(bbox, startDate, endDate, options = {}) {
+  return fetchModisLayer('MOD11A2', bbox, startDate, endDate, options);
+}
+
+// Daily NASA POWER parameters: solar, mean/min/max temperature, precipitation, humidity
+const POWER_PARAMETERS = ['ALLSKY_SFC_SW_DWN', 'T2M', 'T2M_MIN', 'T2M_MAX', 'PRECTOTCORR', 'RH2M'];
+
+/**
+ * The last complete calendar year, as ISO dates
+ * POWER is always fetched for this window so a city's request (and its cache
+ * entry or recorded fixture) stays the same all year.
+ */
+export function lastCompleteYear(today = new Date()) {
+  const year = today.getFullYear() - 1;
+  return { start: `${year}-01-01`, end: `${year}-12-31` };
 }
 
 /**
  * Fetch NASA POWER solar/climate data (for urban farming)
+ * Keeps the daily series and derives growing-season agronomics from it;
+ * data.<PARAMETER>.mean is kept for callers that only need averages.
  */
-export async function fetchNASAPower(lat, lng, startDate, endDate) {
-  const baseUrl = 'https://power.larc.nasa.gov/api/temporal/daily/point';
+export async function fetchNASAPower(lat, lng, startDate, endDate, options = {}) {
+  const params = {
+    parameters: POWER_PARAMETERS.join(','),
+    community: 'AG',
+    longitude: lng,
+    latitude: lat,
+    start: startDate.replace(/-/g, ''),
+    end: endDate.replace(/-/g, ''),
+    format: 'JSON'
+  };
   
   try {
-    const response = await axios.get(baseUrl, {
-      params: {
-        parameters: 'ALLSKY_SFC_SW_DWN,T2M,PRECTOTCORR', // Solar, temp, precip
-        community: 'AG',
-        longitude: lng,
-        latitude: lat,
-        start: startDate.replace(/-/g, ''),
-        end: endDate.replace(/-/g, ''),
-        format: 'JSON'
-      }
+    const body = await cachedRequest('power', JSON.stringify(params), async () => {
+      const response = await providerRequest('power', { path: '/temporal/daily/point', params });
+      return response.data;
+    }, options);
+
+    const series = parsePowerSeries(body.properties.parameter);
+    const data = {};
+    POWER_PARAMETERS.forEach(parameter => {
+      data[parameter] = { mean: seriesMean(series, parameter) };
     });
-
-    const parameters = response.data.properties.parameter;
     
     return {
       source: 'NASA_POWER',
       location: { lat, lng },
-      data: {
-        ALLSKY_SFC_SW_DWN: {
-          mean: parameters.ALLSKY_SFC_SW_DWN ? 
-            Object.values(parameters.ALLSKY_SFC_SW_DWN).reduce((sum, val) => sum + val, 0) / Object.keys(parameters.ALLSKY_SFC_SW_DWN).length : 0
-        },
-        T2M: {
-          mean: parameters.T2M ? 
-            Object.values(parameters.T2M).reduce((sum, val) => sum + val, 0) / Object.keys(parameters.T2M).length : 0
-        },
-        PRECTOTCORR: {
-          mean: parameters.PRECTOTCORR ? 
-            Object.values(parameters.PRECTOTCORR).reduce((sum, val) => sum + val, 0) / Object.keys(parameters.PRECTOTCORR).length : 0
-        }
-      },
+      dateRange: { start: startDate, end: endDate },
+      data,
+      series,                    // [{ date, ALLSKY_SFC_SW_DWN, T2M, ... }], null = missing
+      agronomics: summarizeGrowingSeason(series),
       units: {
         ALLSKY_SFC_SW_DWN: 'kW-hr/m^2/day',
         T2M: 'Celsius',
-        PRECTOTCORR: 'mm/day'
+        T2M_MIN: 'Celsius',
+        T2M_MAX: 'Celsius',
+        PRECTOTCORR: 'mm/day',
+        RH2M: '%'
       }
     };
   } catch (error) {
@@ -301,10 +553,19 @@ export async function fetchNASAPower(lat, lng, startDate, endDate) {
 export async function fetchAllCityData(cityData, options = {}) {
   const {
     includeFoodOutlets = true,
-    includePopulation = false, // Requires auth
-    includeNDVI = false,       // Requires auth
-    includeLST = false,        // Requires auth
-    includePower = true        // No auth required
+    includePopulation = false, // Requires a local GeoTIFF (populationSource)
+    populationSource = null,
+    includeNDVI = false,       // Requires local MOD13Q1 GeoTIFFs (ndviSources)
+    ndviSources = [],
+    includeLST = false,        // Requires local MOD11A2 GeoTIFFs (lstSources)
+    lstSources = [],
+    modisStartDate = null,     // Date range for the MODIS composites (ISO dates)
+    modisEndDate = null,
+    includeSubAreas = true,    // Neighbourhood boundaries for the per-area breakdown
+    includePower = true,       // No auth required
+    ruleSet = DEFAULT_RULE_SET,
+    offline = false,           // Serve cached data only
+    forceRefresh = false       // Ignore cached responses
   } = options;
 
   console.log(`Fetching data for ${cityData.name}...`);
@@ -315,44 +576,104 @@ export async function fetchAllCityData(cityData, options = {}) {
     data: {}
   };
 
+  // Every request goes through the IndexedDB cache; the log records what was cached when
+  const cacheLog = [];
+  const requestOptions = { cacheLog, offline, forceRefresh };
+
+  // Optional sources that failed; a run with gaps is not kept as the offline copy
+  const failedSources = [];
+
   try {
     // Always fetch food outlets
     if (includeFoodOutlets) {
       console.log('Fetching food outlets from OpenStreetMap...');
-      results.data.foodOutlets = await fetchFoodOutlets(cityData.boundingBox);
-      console.log(`✓ Found ${results.data.foodOutlets.length} food outlets`);
+      const outlets = await fetchFoodOutlets(cityData.boundingBox, ruleSet, {
+        ...requestOptions,
+        boundary: cityData.boundary
+      });
+      const { inside, outside } = clipOutletsToBoundary(outlets, cityData.boundary);
+      results.data.foodOutlets = inside;
+      results.data.outletsOutsideBoundary = outside.length;
+      console.log(`✓ Found ${inside.length} food outlets (${outside.length} outside city boundary)`);
+    }
+
+    // Sub-city areas for the neighbourhood breakdown (optional)
+    if (includeSubAreas) {
+      console.log('Fetching neighbourhood boundaries from OpenStreetMap...');
+      try {
+        results.data.subAreas = await fetchSubAreas(cityData, requestOptions);
+        console.log(`✓ Found ${results.data.subAreas.length} sub-areas`);
+      } catch (error) {
+        console.warn('⚠ Neighbourhood boundaries fetch failed, continuing without them');
+        results.data.subAreas = null;
+        failedSources.push('neighbourhood boundaries');
+      }
     }
 
     // NASA Power data (no auth needed)
     if (includePower) {
       console.log('Fetching NASA POWER solar/climate data...');
-      const today = new Date();
-      const lastYear = new Date(today);
-      lastYear.setFullYear(today.getFullYear() - 1);
-      
+      const period = lastCompleteYear();
+
       try {
         results.data.power = await fetchNASAPower(
           cityData.lat,
           cityData.lng,
-          lastYear.toISOString().split('T')[0],
-          today.toISOString().split('T')[0]
+          period.start,
+          period.end,
+          requestOptions
         );
         console.log('✓ NASA POWER data retrieved');
       } catch (error) {
         console.warn('⚠ NASA POWER fetch failed, continuing without it');
         results.data.power = null;
+        failedSources.push('NASA POWER');
       }
     }
 
-    // Optional NASA data (requires authentication)
+    // Optional NASA data from local GeoTIFFs
     if (includePopulation) {
-      results.data.population = await fetchNASAPopulation(cityData.boundingBox);
+      try {
+        results.data.population = await fetchNASAPopulation(cityData.boundingBox, {
+          source: populationSource
+        });
+        console.log('✓ Population grid loaded');
+      } catch (error) {
+        console.warn('⚠ Population GeoTIFF could not be read, continuing without it');
+        results.data.population = null;
+        failedSources.push('population');
+      }
     }
     if (includeNDVI) {
-      results.data.ndvi = await fetchNASANDVI(cityData.boundingBox, '2024-01-01', '2024-12-31');
+      try {
+        results.data.ndvi = await fetchNASANDVI(cityData.boundingBox, modisStartDate, modisEndDate, {
+          sources: ndviSources
+        });
+        console.log('✓ NDVI composite loaded');
+      } catch (error) {
+        console.warn('⚠ NDVI GeoTIFFs could not be read, continuing without them');
+        results.data.ndvi = null;
+        failedSources.push('NDVI');
+      }
     }
     if (includeLST) {
-      results.data.lst = await fetchNASALST(cityData.boundingBox, '2024-06-01', '2024-08-31');
+      try {
+        results.data.lst = await fetchNASALST(cityData.boundingBox, modisStartDate, modisEndDate, {
+          sources: lstSources
+        });
+        console.log('✓ Land surface temperature composite loaded');
+      } catch (error) {
+        console.warn('⚠ LST GeoTIFFs could not be read, continuing without them');
+        results.data.lst = null;
+        failedSources.push('LST');
+      }
+    }
+
+    results.cache = summarizeCacheLog(cacheLog);
+    if (failedSources.length === 0) {
+      await saveCitySnapshot(cityData, results);
+    } else {
+      console.warn(`⚠ Keeping the previous offline copy, this run is missing: ${failedSources.join(', ')}`);
     }
 
     console.log('✓ All data fetched successfully');
@@ -360,6 +681,19 @@ export async function fetchAllCityData(cityData, options = {}) {
 
   } catch (error) {
     console.error('Error fetching city data:', error);
+
+    // Network down (or offline with nothing cached) - fall back to the last full dataset for this city
+    if (isNetworkError(error)) {
+      const snapshot = await loadCitySnapshot(cityData);
+      if (snapshot) {
+        console.warn(`⚠ Serving cached data for ${cityData.name} from ${snapshot.storedAt}`);
+        return {
+          ...snapshot.value,
+          cache: { ...snapshot.value.cache, fromCache: true, cachedAt: snapshot.storedAt, offline: true }
+        };
+      }
+    }
+
     throw error;
   }
 }
@@ -394,6 +728,29 @@ export function calculateBBox(geometry) {
   ];
 }
 
+/**
+ * Split outlets into those inside and outside the city boundary
+ * The Overpass query only knows the bbox, so coastal or irregular cities
+ * pick up outlets from neighbouring towns without this step.
+ */
+export function clipOutletsToBoundary(outlets, boundary) {
+  if (!isPolygonal(boundary)) {
+    return { inside: outlets, outside: [] };
+  }
+
+  const inside = [];
+  const outside = [];
+  outlets.forEach(outlet => {
+    if (pointInBoundary(outlet.lat, outlet.lng, boundary)) {
+      inside.push(outlet);
+    } else {
+      outside.push(outlet);
+    }
+  });
+
+  return { inside, outside };
+}
+
 /**
  * Validate bounding box
  */
@@ -412,14 +769,21 @@ export function validateBBox(bbox) {
 
 const dataFetchers = {
   geocodeCity,
+  searchCities,
+  lookupCity,
+  reverseGeocodeAreas,
   fetchCityBoundary,
+  fetchSubAreas,
   fetchFoodOutlets,
+  fetchWalkingNetwork,
   fetchNASAPopulation,
+  fetchBuildingPopulationProxy,
   fetchNASANDVI,
   fetchNASALST,
   fetchNASAPower,
   fetchAllCityData,
   calculateBBox,
+  clipOutletsToBoundary,
   validateBBox
 };
 
@@ -0,0 +1,29 @@
+import { clipOutletsToBoundary } from './dataFetchers';
+
+const outlet = (id, lat, lng) => ({ id, lat, lng });
+
+describe('clipOutletsToBoundary', () => {
+  const outlets = [outlet(1, 0.5, 0.5), outlet(2, 2, 2), outlet(3, 0.5, 7), outlet(4, 5, 5)];
+
+  it('splits outlets into inside and outside a MultiPolygon with a hole', () => {
+    const boundary = {
+      type: 'MultiPolygon',
+      coordinates: [
+        [
+          [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+          [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]
+        ],
+        [[[5, 0], [9, 0], [9, 1], [5, 1], [5, 0]]]
+      ]
+    };
+    const { inside, outside } = clipOutletsToBoundary(outlets, boundary);
+    expect(inside.map(o => o.id)).toEqual([1, 3]);
+    expect(outside.map(o => o.id)).toEqual([2, 4]);
+  });
+
+  it('keeps every outlet when the boundary is only a point', () => {
+    const { inside, outside } = clipOutletsToBoundary(outlets, { type: 'Point', coordinates: [0, 0] });
+    expect(inside).toHaveLength(4);
+    expect(outside).toEqual([]);
+  });
+});
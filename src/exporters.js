@@ -0,0 +1,335 @@
+// exporters.js - Analysis Exports (GeoJSON, CSV, KML)
+// Packs outlets, the city boundary and computed layers into files QGIS and Google Earth open
+
+import { gridToGeoJSON } from './analysis/foodDesertGrid';
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+const GENERATOR = 'Universal Healthy Food Access System';
+
+// ==================== METADATA ====================
+
+/**
+ * Provenance carried by every export: sources, query time and the rules used
+ * results is the fetchAllCityData result for the city.
+ */
+export function buildExportMetadata({ city, results, ruleSet, gridOptions }) {
+  const dataSources = [
+    'Food outlets and boundary: © OpenStreetMap contributors (ODbL) via Overpass API and Nominatim',
+    'Climate: NASA POWER (Prediction Of Worldwide Energy Resources), daily, community AG'
+  ];
+  if (results.data.population && !results.data.population.isProxy) {
+    dataSources.push('Population: NASA SEDAC Gridded Population of the World v4 (GPWv4)');
+  } else if (results.data.population) {
+    dataSources.push('Population: relative proxy from OpenStreetMap building floor counts');
+  }
+  if (results.data.ndvi) dataSources.push('Vegetation: MODIS MOD13Q1 NDVI (NASA LP DAAC)');
+  if (results.data.lst) dataSources.push('Surface temperature: MODIS MOD11A2 LST (NASA LP DAAC)');
+
+  return {
+    generator: GENERATOR,
+    exportedAt: new Date().toISOString(),
+    queriedAt: results.timestamp,
+    servedFromCache: Boolean(results.cache?.fromCache),
+    city: {
+      name: city.name,
+      lat: city.lat,
+      lng: city.lng,
+      boundingBox: city.boundingBox,
+      osmType: city.osmType,
+      osmId: city.osmId
+    },
+    dataSources,
+    analysisSettings: gridOptions,
+    classificationRules: ruleSet
+  };
+}
+
+// ==================== LAYERS ====================
+
+const featureCollection = features => ({ type: 'FeatureCollection', features });
+
+/**
+ * OSM reference for an outlet, e.g. "node/123" (node and way ids overlap)
+ * Outlets cached before the element type was kept fall back to the bare id.
+ */
+function outletOsmId(outlet) {
+  return outlet.osmType ? `${outlet.osmType}/${outlet.id}` : String(outlet.id);
+}
+
+/**
+ * Every exportable layer as a GeoJSON FeatureCollection (null when not computed)
+ */
+export function buildExportLayers({ city, foodOutlets, foodDesertGrid, walkingIsochrones, farmSites }) {
+  return {
+    outlets: featureCollection((foodOutlets || []).map(outlet => ({
+      type: 'Feature',
+      id: outletOsmId(outlet),
+      geometry: { type: 'Point', coordinates: [outlet.lng, outlet.lat] },
+      properties: {
+        osmId: outletOsmId(outlet),
+        name: outlet.name,
+        rawType: outlet.rawType || null,
+        class: outlet.type,
+        classLabel: outlet.classification.label,
+        score: outlet.classification.score,
+        color: outlet.classification.color,
+        tags: outlet.tags || {}
+      }
+    }))),
+
+    boundary: city.boundary && city.boundary.type !== 'Point'
+      ? featureCollection([{ type: 'Feature', geometry: city.boundary, properties: { name: city.name } }])
+      : null,
+
+    foodDesertGrid: foodDesertGrid
+      ? featureCollection(gridToGeoJSON(foodDesertGrid).features.map(feature => ({
+        ...feature,
+        properties: { ...feature.properties, thresholdMeters: foodDesertGrid.thresholdMeters }
+      })))
+      : null,
+
+    isochrones: walkingIsochrones && walkingIsochrones.bands.length > 0
+      ? featureCollection(walkingIsochrones.bands.map(band => ({
+        type: 'Feature',
+        geometry: band.geometry,
+        properties: { minutes: band.minutes, distanceMeters: band.distanceMeters }
+      })))
+      : null,
+
+    farmSites: farmSites
+      ? featureCollection(farmSites.sites.map(site => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [site.lng, site.lat] },
+        properties: {
+          rank: site.rank,
+          score: Math.round(site.score),
+          ...Object.fromEntries(site.criteria.map(c => [c.key, c.explanation]))
+        }
+      })))
+      : null
+  };
+}
+
+const presentLayers = layers => Object.entries(layers).filter(([, layer]) => layer && layer.features.length > 0);
+
+// ==================== GEOJSON ====================
+
+/**
+ * One FeatureCollection with a `layer` property per feature and the
+ * metadata as a foreign member (QGIS splits it by geometry type on import)
+ */
+export function toGeoJSON(layers, metadata) {
+  const features = presentLayers(layers).flatMap(([name, layer]) =>
+    layer.features.map(feature => ({
+      ...feature,
+      properties: {
+        layer: name,
+        ...feature.properties,
+        ...(feature.properties.tags ? { tags: JSON.stringify(feature.properties.tags) } : {})
+      }
+    }))
+  );
+
+  return JSON.stringify({ type: 'FeatureCollection', metadata, features }, null, 2);
+}
+
+// ==================== CSV ====================
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Point layers as rows (outlets, farm sites, grid cell centres) with a
+ * `layer` column; metadata goes in leading `#` comment lines
+ */
+export function toCSV(layers, metadata, foodDesertGrid = null) {
+  const rows = [];
+
+  (layers.outlets?.features || []).forEach(({ geometry, properties }) => {
+    rows.push({
+      layer: 'outlet',
+      id: properties.osmId,
+      name: properties.name,
+      lat: geometry.coordinates[1],
+      lng: geometry.coordinates[0],
+      class: properties.class,
+      class_label: properties.classLabel,
+      score: properties.score,
+      raw_type: properties.rawType,
+      tags: Object.entries(properties.tags).map(([k, v]) => `${k}=${v}`).join(';')
+    });
+  });
+
+  (layers.farmSites?.features || []).forEach(({ geometry, properties }) => {
+    rows.push({
+      layer: 'farm_site',
+      id: properties.rank,
+      name: `Farm site #${properties.rank}`,
+      lat: geometry.coordinates[1],
+      lng: geometry.coordinates[0],
+      score: properties.score
+    });
+  });
+
+  (foodDesertGrid?.cells || []).forEach(cell => {
+    rows.push({
+      layer: 'grid_cell',
+      id: cell.id,
+      lat: cell.lat,
+      lng: cell.lng,
+      nearest_healthy_m: Number.isFinite(cell.nearestHealthyDistance) ? Math.round(cell.nearestHealthyDistance) : '',
+      food_desert: cell.isFoodDesert
+    });
+  });
+
+  const columns = [
+    'layer', 'id', 'name', 'lat', 'lng', 'class', 'class_label', 'score',
+    'raw_type', 'nearest_healthy_m', 'food_desert', 'tags'
+  ];
+
+  const header = [
+    `# ${GENERATOR} export`,
+    `# city: ${metadata.city.name}`,
+    `# queried_at: ${metadata.queriedAt}`,
+    `# exported_at: ${metadata.exportedAt}`,
+    ...metadata.dataSources.map(source => `# source: ${source}`),
+    `# classification_rules: ${JSON.stringify(metadata.classificationRules)}`
+  ];
+
+  return [
+    ...header,
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+  ].join('\n');
+}
+
+// ==================== KML ====================
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// KML colours are aabbggrr hex
+function kmlColor(hex, alpha = 'ff') {
+  const clean = (hex || '#6b7280').replace('#', '');
+  return `${alpha}${clean.slice(4, 6)}${clean.slice(2, 4)}${clean.slice(0, 2)}`;
+}
+
+const kmlCoordinates = ring => ring.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>${
+    holes.map(hole => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('')
+  }</Polygon>`;
+}
+
+function kmlGeometry(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${geometry.coordinates[0]},${geometry.coordinates[1]}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+    case 'Polygon':
+      return kmlPolygon(geometry.coordinates);
+    case 'MultiPolygon':
+      return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    default:
+      return '';
+  }
+}
+
+function kmlExtendedData(properties) {
+  const entries = Object.entries(properties).filter(([key]) => key !== 'tags' && key !== 'color');
+  const tags = Object.entries(properties.tags || {}).map(([key, value]) => [`tag:${key}`, value]);
+  return `<ExtendedData>${[...entries, ...tags]
+    .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value ?? '')}</value></Data>`)
+    .join('')}</ExtendedData>`;
+}
+
+// Placemark name and style per layer
+const KML_LAYERS = {
+  outlets: { title: 'Food outlets', name: p => p.name, style: p => `class-${p.class}` },
+  boundary: { title: 'City boundary', name: p => p.name, style: () => 'boundary' },
+  foodDesertGrid: {
+    title: 'Food desert grid',
+    name: p => (p.isFoodDesert ? 'Food desert' : 'Served'),
+    style: p => (p.isFoodDesert ? 'desert' : 'served')
+  },
+  isochrones: { title: 'Walking isochrones', name: p => `${p.minutes}-minute walk`, style: () => 'isochrone' },
+  farmSites: { title: 'Recommended farm sites', name: p => `Farm site #${p.rank}`, style: () => 'farm-site' }
+};
+
+/**
+ * KML document with one folder per layer and the metadata in the description
+ */
+export function toKML(layers, metadata) {
+  const classStyles = Object.entries(metadata.classificationRules.classes).map(([key, cls]) =>
+    `<Style id="class-${escapeXml(key)}"><IconStyle><color>${kmlColor(cls.color)}</color><scale>0.6</scale>` +
+    '<Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>'
+  );
+  const styles = [
+    ...classStyles,
+    `<Style id="boundary"><LineStyle><color>${kmlColor('#2c3e50')}</color><width>2</width></LineStyle><PolyStyle><fill>0</fill></PolyStyle></Style>`,
+    `<Style id="desert"><LineStyle><width>0</width></LineStyle><PolyStyle><color>${kmlColor('#dc2626', '66')}</color></PolyStyle></Style>`,
+    `<Style id="served"><LineStyle><width>0</width></LineStyle><PolyStyle><color>${kmlColor('#0d5e3a', '33')}</color></PolyStyle></Style>`,
+    `<Style id="isochrone"><LineStyle><width>0</width></LineStyle><PolyStyle><color>${kmlColor('#10b981', '40')}</color></PolyStyle></Style>`,
+    `<Style id="farm-site"><IconStyle><color>${kmlColor('#10b981')}</color><Icon><href>http://maps.google.com/mapfiles/kml/paddle/grn-stars.png</href></Icon></IconStyle></Style>`
+  ];
+
+  const folders = presentLayers(layers).map(([key, layer]) => {
+    const spec = KML_LAYERS[key];
+    const placemarks = layer.features.map(({ geometry, properties }) =>
+      `<Placemark><name>${escapeXml(spec.name(properties) ?? '')}</name><styleUrl>#${spec.style(properties)}</styleUrl>` +
+      `${kmlExtendedData(properties)}${kmlGeometry(geometry)}</Placemark>`
+    );
+    return `<Folder><name>${spec.title}</name>${placemarks.join('\n')}</Folder>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(`${metadata.city.name} - food access`)}</name>`,
+    `<description><![CDATA[${JSON.stringify(metadata, null, 2)}]]></description>`,
+    ...styles,
+    ...folders,
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+// ==================== DOWNLOAD ====================
+
+/**
+ * Save text as a file through a temporary link (browser only)
+ */
+export function downloadFile(content, fileName, mimeType = 'application/json') {
+  const blob = new Blob([content], { type: mimeType });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  // Some browsers start the download after click() returns, so release the URL later
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * File name stem for a city, e.g. "kingston-upon-hull-food-access"
+ */
+export function exportFileStem(cityName) {
+  const slug = cityName.toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'city'}-food-access`;
+}
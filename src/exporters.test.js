@@ -0,0 +1,76 @@
+import { buildExportLayers, escapeXml, toCSV, toKML } from './exporters';
+
+const CITY = { name: 'Leeds', lat: 53.8, lng: -1.55, boundingBox: [53.7, 53.9, -1.7, -1.4], boundary: null };
+
+const METADATA = {
+  city: { name: 'Leeds' },
+  queriedAt: '2026-01-01T00:00:00.000Z',
+  exportedAt: '2026-01-02T00:00:00.000Z',
+  dataSources: ['Food outlets: © OpenStreetMap contributors'],
+  classificationRules: {
+    classes: {
+      healthy_primary: { label: 'Healthy', color: '#0d5e3a' },
+      unhealthy: { label: 'Unhealthy', color: '#dc2626' }
+    }
+  }
+};
+
+const outlet = (id, name, extra = {}) => ({
+  id,
+  osmType: 'node',
+  name,
+  lat: 53.8,
+  lng: -1.55,
+  type: 'healthy_primary',
+  rawType: 'shop=greengrocer',
+  classification: { label: 'Healthy', color: '#0d5e3a', score: 1 },
+  tags: { shop: 'greengrocer' },
+  ...extra
+});
+
+const layersFor = outlets => buildExportLayers({ city: CITY, foodOutlets: outlets });
+
+describe('buildExportLayers', () => {
+  it('identifies outlets by OSM element type and id', () => {
+    const [feature] = layersFor([outlet(123, 'Grocer')]).outlets.features;
+    expect(feature.id).toBe('node/123');
+    expect(feature.properties.osmId).toBe('node/123');
+  });
+
+  it('falls back to the bare id for outlets cached without a type', () => {
+    const [feature] = layersFor([outlet(123, 'Grocer', { osmType: undefined })]).outlets.features;
+    expect(feature.properties.osmId).toBe('123');
+  });
+});
+
+describe('toCSV', () => {
+  const rows = csv => csv.split('\n').filter(line => !line.startsWith('#'));
+
+  it('quotes values with commas, quotes and line breaks', () => {
+    const csv = toCSV(layersFor([outlet(1, 'Fish, "Chips"\nand more')]), METADATA);
+    expect(csv).toContain('outlet,node/1,"Fish, ""Chips""\nand more",53.8,-1.55,');
+  });
+
+  it('leaves plain values unquoted and missing values empty', () => {
+    const csv = toCSV(layersFor([outlet(1, 'Grocer', { rawType: null })]), METADATA);
+    expect(rows(csv)[1]).toBe('outlet,node/1,Grocer,53.8,-1.55,healthy_primary,Healthy,1,,,,shop=greengrocer');
+  });
+});
+
+describe('escapeXml / toKML', () => {
+  it('escapes markup characters', () => {
+    expect(escapeXml('<b>"Fish" & Chips</b>')).toBe('&lt;b&gt;&quot;Fish&quot; &amp; Chips&lt;/b&gt;');
+  });
+
+  it('escapes outlet names and extended data', () => {
+    const kml = toKML(layersFor([outlet(1, 'Fish & <Chips>', { tags: { shop: 'greengrocer', note: 'a "quote"' } })]), METADATA);
+    expect(kml).toContain('<name>Fish &amp; &lt;Chips&gt;</name>');
+    expect(kml).toContain('<Data name="tag:note"><value>a &quot;quote&quot;</value></Data>');
+    expect(kml).not.toContain('<Chips>');
+  });
+
+  it('escapes the city name in the document title', () => {
+    const kml = toKML(layersFor([]), { ...METADATA, city: { name: 'A & B' } });
+    expect(kml).toContain('<name>A &amp; B - food access</name>');
+  });
+});
@@ -0,0 +1,106 @@
+// modis.js - Local MODIS Composites (NDVI, Land Surface Temperature)
+// Reads MOD13Q1 / MOD11A2 GeoTIFFs for a date range and averages them into one grid
+
+import { gridValueAt, readRasterGrid } from './rasters';
+
+// Scale factors and valid ranges from the MODIS collection 6.1 user guides
+export const MODIS_PRODUCTS = {
+  MOD13Q1: {
+    layer: '250m_16_days_NDVI',
+    scale: 0.0001,
+    offset: 0,
+    validRange: [-2000, 10000],
+    units: 'NDVI',
+    resolution: '250m'
+  },
+  MOD11A2: {
+    layer: 'LST_Day_1km',
+    scale: 0.02,
+    offset: -273.15, // Kelvin to °C
+    validRange: [7500, 65535],
+    units: '°C',
+    resolution: '1km'
+  }
+};
+
+/**
+ * Acquisition date (YYYY-MM-DD) from a MODIS file name, or null
+ * Understands LP DAAC names (MOD13Q1.A2024177.h18v04...) and
+ * AppEEARS exports (MOD11A2.061_LST_Day_1km_doy2024177_aid0001.tif).
+ */
+export function modisAcquisitionDate(fileName) {
+  const match = /(?:\.A|doy)(\d{4})(\d{3})/.exec(fileName || '');
+  if (!match) return null;
+
+  const date = new Date(Date.UTC(Number(match[1]), 0, Number(match[2])));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Keep the files acquired within [startDate, endDate] (inclusive, ISO strings)
+ * Files without a recognisable date are kept - the user picked them on purpose.
+ */
+export function filterByDateRange(files, startDate, endDate) {
+  return files.filter(file => {
+    const date = modisAcquisitionDate(file.name || file);
+    if (!date) return true;
+    if (startDate && date < startDate) return false;
+    if (endDate && date > endDate) return false;
+    return true;
+  });
+}
+
+/**
+ * Read every scene in the date range and average them cell by cell
+ * Scenes are sampled onto the first scene's grid; cells with no valid
+ * observation in any scene stay null (cloud, water, fill values).
+ */
+export async function readModisComposite(files, bbox, product, options = {}) {
+  const { startDate = null, endDate = null, scale, offset } = options;
+  const spec = MODIS_PRODUCTS[product];
+  if (!spec) throw new Error(`Unknown MODIS product "${product}"`);
+
+  const selected = filterByDateRange(files, startDate, endDate);
+  if (selected.length === 0) {
+    throw new Error(`No ${product} files fall between ${startDate} and ${endDate}`);
+  }
+
+  // A custom scale means the file is not raw MODIS counts, so the raw valid range does not apply
+  const readOptions = {
+    scale: scale ?? spec.scale,
+    offset: offset ?? spec.offset,
+    validRange: scale === undefined ? spec.validRange : null
+  };
+
+  const grids = [];
+  for (const file of selected) {
+    grids.push(await readRasterGrid(file, bbox, readOptions));
+  }
+
+  const [base] = grids;
+  const [, north, west] = base.bbox;
+  const [dLng, dLat] = base.cellSize;
+
+  const data = base.data.map((rowValues, row) => rowValues.map((_, col) => {
+    const lat = north - (row + 0.5) * dLat;
+    const lng = west + (col + 0.5) * dLng;
+    let sum = 0;
+    let count = 0;
+    grids.forEach(grid => {
+      const value = gridValueAt(grid, lat, lng);
+      if (value === null) return;
+      sum += value;
+      count++;
+    });
+    return count > 0 ? sum / count : null;
+  }));
+
+  return {
+    ...base,
+    data,
+    scenes: selected.map(file => ({
+      fileName: file.name || (typeof file === 'string' ? file : undefined),
+      date: modisAcquisitionDate(file.name || file)
+    }))
+  };
+}
@@ -0,0 +1,159 @@
+// overpass.js - Resilient Overpass API Client
+// Tiles large bounding boxes, limits concurrency, retries with backoff and fails over across mirrors
+
+import { bboxIntersectsBoundary } from './analysis/geometry';
+import { cachedRequest } from './cache';
+import { getProviderConfig, providerRequest } from './providers';
+
+// Mirrors default to the overpass provider's baseUrls (see providers.js)
+export const DEFAULT_OVERPASS_OPTIONS = {
+  tileSize: 0.25,     // degrees per tile side
+  concurrency: 2,     // public servers allow ~2 slots per client
+  maxRetries: 4,
+  baseDelayMs: 1000
+};
+
+// HTTP statuses worth retrying (rate limited, gateway timeout, overloaded)
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request should be retried on the next mirror
+ */
+function isRetryable(error) {
+  if (error.overpassRuntimeError) return true;
+  if (!error.response) return true; // network error or timeout
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// ==================== SINGLE QUERY ====================
+
+/**
+ * POST a query to Overpass, rotating through mirrors with exponential backoff
+ */
+async function postWithRetries(query, options) {
+  const { maxRetries, baseDelayMs } = { ...DEFAULT_OVERPASS_OPTIONS, ...options };
+  const mirrors = options.mirrors || getProviderConfig('overpass').baseUrls;
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const baseUrl = mirrors[attempt % mirrors.length];
+
+    try {
+      const response = await providerRequest('overpass', {
+        method: 'POST',
+        baseUrl,
+        data: query,
+        headers: { 'Content-Type': 'text/plain' }
+      });
+
+      // Overpass reports timeouts inside a 200 response as a remark
+      if (response.data?.remark && /runtime error/i.test(response.data.remark)) {
+        const error = new Error(`Overpass ${response.data.remark}`);
+        error.overpassRuntimeError = true;
+        throw error;
+      }
+
+      return response.data;
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error) || attempt === maxRetries) break;
+
+      const delay = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+      console.warn(`⚠ Overpass request failed (${error.response?.status || error.message}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Run an Overpass query through the request cache
+ * Returns the parsed JSON response body. Cache options (cacheLog, offline,
+ * forceRefresh) pass straight through to cachedRequest.
+ */
+export function postOverpassQuery(query, options = {}) {
+  return cachedRequest('overpass', query, () => postWithRetries(query, options), options);
+}
+
+// ==================== TILING ====================
+
+/**
+ * Split a [south, north, west, east] bbox into tiles no larger than tileSize degrees
+ */
+export function splitBBox(bbox, tileSize = DEFAULT_OVERPASS_OPTIONS.tileSize) {
+  const [south, north, west, east] = bbox;
+  const rows = Math.max(1, Math.ceil((north - south) / tileSize));
+  const cols = Math.max(1, Math.ceil((east - west) / tileSize));
+  const latStep = (north - south) / rows;
+  const lngStep = (east - west) / cols;
+  const tiles = [];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      tiles.push([
+        south + r * latStep,
+        r === rows - 1 ? north : south + (r + 1) * latStep,
+        west + c * lngStep,
+        c === cols - 1 ? east : west + (c + 1) * lngStep
+      ]);
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Run async task factories with at most `limit` in flight
+ */
+export async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, tasks.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Fetch elements for a bbox tile by tile and merge them
+ * buildQuery receives the Overpass "(south,west,north,east)" filter for a tile.
+ * Elements returned by more than one tile are kept once. When a boundary
+ * polygon is given, tiles that miss it entirely are skipped.
+ */
+export async function fetchOverpassTiled(bbox, buildQuery, options = {}) {
+  const settings = { ...DEFAULT_OVERPASS_OPTIONS, ...options };
+  let tiles = splitBBox(bbox, settings.tileSize);
+
+  if (settings.boundary) {
+    tiles = tiles.filter(tile => bboxIntersectsBoundary(tile, settings.boundary));
+  }
+
+  const tasks = tiles.map(([south, north, west, east]) => () =>
+    postOverpassQuery(buildQuery(`(${south},${west},${north},${east})`), settings)
+  );
+
+  const responses = await runWithConcurrency(tasks, settings.concurrency);
+
+  const seen = new Set();
+  const elements = [];
+  responses.forEach(data => {
+    (data.elements || []).forEach(element => {
+      const key = `${element.type}/${element.id}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      elements.push(element);
+    });
+  });
+
+  return elements;
+}
@@ -0,0 +1,235 @@
+// providers.js - External Data Providers
+// Configurable base URLs for Nominatim, Overpass and NASA POWER, with
+// live / record / replay modes so the app can run from recorded fixtures
+
+import axios from 'axios';
+
+export const OVERPASS_MIRRORS = [
+  'https://overpass-api.de/api/interpreter',
+  'https://overpass.kumi.systems/api/interpreter',
+  'https://overpass.private.coffee/api/interpreter'
+];
+
+// Base URLs can be overridden at build time, e.g. to point at fixture-server.js in the repo root
+export const PUBLIC_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+export const DEFAULT_PROVIDERS = {
+  nominatim: {
+    baseUrl: process.env.REACT_APP_NOMINATIM_URL || PUBLIC_NOMINATIM_URL,
+    minIntervalMs: 1000 // usage policy: at most one request per second
+  },
+  overpass: {
+    baseUrls: process.env.REACT_APP_OVERPASS_URLS
+      ? process.env.REACT_APP_OVERPASS_URLS.split(',')
+      : OVERPASS_MIRRORS
+  },
+  power: {
+    baseUrl: process.env.REACT_APP_POWER_URL || 'https://power.larc.nasa.gov/api'
+  }
+};
+
+export const DATA_MODES = ['live', 'record', 'replay'];
+
+let config = {
+  mode: process.env.REACT_APP_DATA_MODE || 'live',
+  fixturesUrl: process.env.REACT_APP_FIXTURES_URL || `${process.env.PUBLIC_URL || ''}/fixtures.json`,
+  providers: DEFAULT_PROVIDERS,
+  fixtureStore: null
+};
+let fixtureStorePromise = null;
+
+/**
+ * Override provider settings, e.g.
+ * configureProviders({ mode: 'replay', fixtureStore, providers: { power: { baseUrl } } })
+ */
+export function configureProviders(overrides = {}) {
+  const providers = { ...config.providers };
+  Object.entries(overrides.providers || {}).forEach(([name, settings]) => {
+    providers[name] = { ...providers[name], ...settings };
+  });
+
+  if (overrides.mode && !DATA_MODES.includes(overrides.mode)) {
+    throw new Error(`Unknown data mode "${overrides.mode}"`);
+  }
+
+  config = { ...config, ...overrides, providers };
+  if ('fixtureStore' in overrides) fixtureStorePromise = null;
+  return config;
+}
+
+export function getProviderConfig(name) {
+  return config.providers[name];
+}
+
+export function getDataMode() {
+  return config.mode;
+}
+
+/**
+ * Whether Nominatim requests go to our own instance rather than the public OSM server
+ */
+export function isSelfHostedNominatim() {
+  return !config.providers.nominatim.baseUrl.startsWith(PUBLIC_NOMINATIM_URL);
+}
+
+// ==================== FIXTURE KEYS ====================
+
+/**
+ * FNV-1a hash, used for short fixture file names
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Identify a request independently of which base URL or mirror served it
+ * Param values are stringified and sorted so query-string order doesn't matter.
+ */
+export function fixtureKey(provider, { method = 'GET', path = '', params = {}, data = '' }) {
+  const query = Object.keys(params)
+    .sort()
+    .map(name => `${name}=${String(params[name])}`)
+    .join('&');
+  const body = data ? ` ${hashString(typeof data === 'string' ? data : JSON.stringify(data))}` : '';
+  return `${provider} ${method.toUpperCase()} ${path}?${query}${body}`;
+}
+
+// ==================== FIXTURE STORES ====================
+
+/**
+ * In-memory fixture store; toJSON() gives a bundle that can be saved as fixtures.json
+ */
+export function createMemoryFixtureStore(fixtures = {}) {
+  const entries = { ...fixtures };
+  return {
+    async get(key) {
+      return entries[key] || null;
+    },
+    async set(key, entry) {
+      entries[key] = entry;
+    },
+    toJSON() {
+      return entries;
+    },
+    get size() {
+      return Object.keys(entries).length;
+    }
+  };
+}
+
+/**
+ * Load a fixtures.json bundle over HTTP into a memory store (browser replay)
+ */
+export async function loadFixtureStore(url) {
+  const response = await axios.get(url);
+  return createMemoryFixtureStore(response.data);
+}
+
+/**
+ * File-per-request fixture store for Node; fs and path are passed in so this
+ * module stays bundleable for the browser
+ */
+export function createFileFixtureStore(directory, fs, path) {
+  const fileFor = key => path.join(directory, `${key.split(' ')[0]}-${hashString(key)}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, entry) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify(entry, null, 2));
+    }
+  };
+}
+
+/**
+ * The store for record/replay; created lazily (memory for record, fixtures.json for replay)
+ */
+export function getFixtureStore() {
+  if (config.fixtureStore) return Promise.resolve(config.fixtureStore);
+  if (!fixtureStorePromise) {
+    fixtureStorePromise = (config.mode === 'replay'
+      ? loadFixtureStore(config.fixturesUrl)
+      : Promise.resolve(createMemoryFixtureStore())
+    ).then(store => {
+      config.fixtureStore = store;
+      return store;
+    });
+  }
+  return fixtureStorePromise;
+}
+
+// ==================== RATE LIMITS ====================
+
+const nextRequestAt = {};
+
+/**
+ * Wait for the provider's next request slot (minIntervalMs apart)
+ * Slots are handed out on call, so concurrent callers queue in order.
+ */
+function waitForSlot(provider) {
+  const interval = config.providers[provider].minIntervalMs || 0;
+  if (!interval) return Promise.resolve();
+
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestAt[provider] || 0);
+  nextRequestAt[provider] = slot + interval;
+  return new Promise(resolve => setTimeout(resolve, slot - now));
+}
+
+// ==================== REQUESTS ====================
+
+/**
+ * Make a provider request in the current mode
+ * Resolves to an axios-style { status, data } response. A replay miss rejects
+ * with a 404 response so it is not retried as a network failure.
+ */
+export async function providerRequest(provider, request) {
+  const { method = 'GET', path = '', params, data, headers } = request;
+  const baseUrl = request.baseUrl || config.providers[provider].baseUrl;
+  const key = fixtureKey(provider, request);
+
+  if (config.mode === 'replay') {
+    const store = await getFixtureStore();
+    const entry = await store.get(key);
+    if (!entry) {
+      const error = new Error(`No recorded fixture for ${key}`);
+      error.response = { status: 404, data: null };
+      throw error;
+    }
+    return { status: entry.response.status, data: entry.response.data };
+  }
+
+  await waitForSlot(provider);
+  const response = await axios.request({
+    method,
+    url: `${baseUrl}${path}`,
+    params,
+    data,
+    headers
+  });
+
+  if (config.mode === 'record') {
+    const store = await getFixtureStore();
+    await store.set(key, {
+      key,
+      provider,
+      request: { method: method.toUpperCase(), path, params: params || {}, data: data || null },
+      response: { status: response.status, data: response.data },
+      recordedAt: new Date().toISOString()
+    });
+  }
+
+  return { status: response.status, data: response.data };
+}
@@ -0,0 +1,162 @@
+// rasters.js - Local GeoTIFF Raster Loading
+// Decodes GeoTIFFs client-side (or from a local path in Node) and crops them to a city bbox
+
+import { fromArrayBuffer, fromBlob, fromFile } from 'geotiff';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Float32 rasters often use ±3.4e38 as nodata without declaring it
+const NODATA_MAGNITUDE = 1e30;
+
+/**
+ * Open a GeoTIFF from an uploaded File/Blob, an ArrayBuffer, a Node Buffer
+ * or (in Node only) a file path
+ */
+async function openGeoTIFF(source) {
+  if (typeof source === 'string') return fromFile(source);
+  if (source instanceof ArrayBuffer) return fromArrayBuffer(source);
+  if (ArrayBuffer.isView(source)) {
+    return fromArrayBuffer(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) return fromBlob(source);
+  throw new Error('Unsupported GeoTIFF source (expected File, ArrayBuffer or path)');
+}
+
+/**
+ * Only plain lat/lng rasters are supported - GPWv4 ships that way, MODIS
+ * sinusoidal tiles need reprojecting first (see README, Local Files)
+ */
+function assertGeographic(image) {
+  const keys = image.getGeoKeys() || {};
+  if (keys.ProjectedCSTypeGeoKey || (keys.GTModelTypeGeoKey && keys.GTModelTypeGeoKey !== 2)) {
+    throw new Error(
+      'GeoTIFF is projected, not lat/lng (EPSG:4326) - raw MODIS tiles use a sinusoidal grid. Reproject it ' +
+      'first with "gdalwarp -t_srs EPSG:4326 in.tif out.tif", keeping the .AYYYYDDD date in the file name, ' +
+      'or download EPSG:4326 GeoTIFFs from AppEEARS'
+    );
+  }
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// ==================== READING ====================
+
+/**
+ * Read one band of a GeoTIFF cropped to a [south, north, west, east] bbox
+ * Values become value * scale + offset; nodata and values outside
+ * validRange ([min, max] in raw units) become null.
+ *
+ * Returns { bbox, width, height, cellSize: [degLng, degLat], data } where
+ * data is an array of rows from north to south.
+ */
+export async function readRasterGrid(source, bbox, options = {}) {
+  const { band = 0, scale = 1, offset = 0, validRange = null } = options;
+
+  const tiff = await openGeoTIFF(source);
+  const image = await tiff.getImage();
+  assertGeographic(image);
+
+  const [originX, originY] = image.getOrigin();
+  const [resX, resYSigned] = image.getResolution();
+  const resY = Math.abs(resYSigned);
+  const width = image.getWidth();
+  const height = image.getHeight();
+
+  // Pixel window covering the bbox, clamped to the image
+  const [south, north, west, east] = bbox;
+  const x0 = clamp(Math.floor((west - originX) / resX), 0, width);
+  const x1 = clamp(Math.ceil((east - originX) / resX), 0, width);
+  const y0 = clamp(Math.floor((originY - north) / resY), 0, height);
+  const y1 = clamp(Math.ceil((originY - south) / resY), 0, height);
+
+  if (x1 <= x0 || y1 <= y0) {
+    throw new Error('GeoTIFF does not cover the city bounding box');
+  }
+
+  const [values] = await image.readRasters({ window: [x0, y0, x1, y1], samples: [band] });
+  const noData = image.getGDALNoData();
+  const cropWidth = x1 - x0;
+  const cropHeight = y1 - y0;
+
+  const data = [];
+  for (let row = 0; row < cropHeight; row++) {
+    const rowValues = new Array(cropWidth);
+    for (let col = 0; col < cropWidth; col++) {
+      const raw = values[row * cropWidth + col];
+      const invalid = raw === noData ||
+        !Number.isFinite(raw) ||
+        Math.abs(raw) > NODATA_MAGNITUDE ||
+        (validRange && (raw < validRange[0] || raw > validRange[1]));
+      rowValues[col] = invalid ? null : raw * scale + offset;
+    }
+    data.push(rowValues);
+  }
+
+  return {
+    bbox: [
+      originY - y1 * resY, // south
+      originY - y0 * resY, // north
+      originX + x0 * resX, // west
+      originX + x1 * resX  // east
+    ],
+    width: cropWidth,
+    height: cropHeight,
+    cellSize: [resX, resY],
+    data
+  };
+}
+
+// ==================== GRID HELPERS ====================
+
+/**
+ * Approximate cell size in metres (north-south), for display
+ */
+export function gridResolutionMeters(grid) {
+  return Math.round(grid.cellSize[1] * METERS_PER_DEGREE_LAT);
+}
+
+/**
+ * Value of the grid cell containing a point, or null outside/nodata
+ */
+export function gridValueAt(grid, lat, lng) {
+  const [south, north, west, east] = grid.bbox;
+  if (lat < south || lat >= north || lng < west || lng >= east) return null;
+
+  const row = Math.floor((north - lat) / grid.cellSize[1]);
+  const col = Math.floor((lng - west) / grid.cellSize[0]);
+  return grid.data[row]?.[col] ?? null;
+}
+
+/**
+ * Call fn(value, lat, lng, row, col) for every cell with data, at the cell centre
+ */
+export function forEachGridCell(grid, fn) {
+  const [, north, west] = grid.bbox;
+  const [dLng, dLat] = grid.cellSize;
+
+  grid.data.forEach((rowValues, row) => {
+    rowValues.forEach((value, col) => {
+      if (value === null) return;
+      fn(value, north - (row + 0.5) * dLat, west + (col + 0.5) * dLng, row, col);
+    });
+  });
+}
+
+/**
+ * Min, max and mean of the grid's valid cells
+ */
+export function gridStats(grid) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+
+  forEachGridCell(grid, value => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+    sum += value;
+    count++;
+  });
+
+  return count > 0 ? { min, max, mean: sum / count, count } : { min: null, max: null, mean: null, count: 0 };
+}
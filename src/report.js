@@ -0,0 +1,319 @@
+// report.js - Printable City Report
+// Builds a self-contained HTML report (inline SVG map, no external assets) that prints to PDF
+
+import { getDesertCellColor } from './analysis/foodDesertGrid';
+import { summarizeCity } from './analysis/cityMetrics';
+import { INDEX_METHODOLOGY } from './analysis/foodEnvironment';
+import { MONTH_NAMES } from './analysis/cropRecommendations';
+import { escapeXml as escapeHtml } from './exporters';
+
+const SNAPSHOT_WIDTH = 680;
+const SNAPSHOT_MAX_HEIGHT = 520;
+
+const formatPercent = value => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+const formatNumber = (value, digits = 0) => (value === null || value === undefined
+  ? '–'
+  : value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+
+// ==================== MAP SNAPSHOT ====================
+
+/**
+ * Static SVG of the city: food desert grid, boundary and classified outlets
+ * Equirectangular projection at the bbox's mid-latitude, which is
+ * indistinguishable from Web Mercator at city scale.
+ */
+export function renderMapSnapshot({ city, foodOutlets = [], foodDesertGrid = null }) {
+  const [south, north, west, east] = city.boundingBox;
+  const lngScale = Math.cos((((south + north) / 2) * Math.PI) / 180);
+  const spanX = Math.max((east - west) * lngScale, 1e-9);
+  const spanY = Math.max(north - south, 1e-9);
+
+  let width = SNAPSHOT_WIDTH;
+  let height = Math.round((SNAPSHOT_WIDTH * spanY) / spanX);
+  if (height > SNAPSHOT_MAX_HEIGHT) {
+    width = Math.round((SNAPSHOT_MAX_HEIGHT * spanX) / spanY);
+    height = SNAPSHOT_MAX_HEIGHT;
+  }
+  const scale = width / spanX;
+
+  const project = ([lng, lat]) =>
+    `${(((lng - west) * lngScale) * scale).toFixed(1)},${((north - lat) * scale).toFixed(1)}`;
+  const ringPath = ring => `M${ring.map(project).join('L')}Z`;
+
+  const parts = [];
+
+  if (foodDesertGrid) {
+    foodDesertGrid.cells.forEach(cell => {
+      const color = getDesertCellColor(cell.nearestHealthyDistance, foodDesertGrid.thresholdMeters);
+      parts.push(`<path d="${ringPath(cell.ring)}" fill="${color}" fill-opacity="0.35" stroke="none"/>`);
+    });
+  }
+
+  const boundary = city.boundary;
+  if (boundary && (boundary.type === 'Polygon' || boundary.type === 'MultiPolygon')) {
+    const polygons = boundary.type === 'Polygon' ? [boundary.coordinates] : boundary.coordinates;
+    const d = polygons.flatMap(rings => rings.map(ringPath)).join('');
+    parts.push(`<path d="${d}" fill="none" stroke="#2c3e50" stroke-width="1.5" stroke-dasharray="5,4" fill-rule="evenodd"/>`);
+  }
+
+  foodOutlets.forEach(outlet => {
+    if (!outlet.lat || !outlet.lng) return;
+    const [x, y] = project([outlet.lng, outlet.lat]).split(',');
+    parts.push(`<circle cx="${x}" cy="${y}" r="2.5" fill="${outlet.classification.color}" stroke="white" stroke-width="0.5"/>`);
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" ` +
+    `role="img" aria-label="Map of ${escapeHtml(city.name)}">` +
+    `<rect width="${width}" height="${height}" fill="#f8f9fa"/>${parts.join('')}</svg>`;
+}
+
+// ==================== SECTIONS ====================
+
+function classificationSection(metrics, foodOutlets) {
+  const byClass = {};
+  foodOutlets.forEach(outlet => {
+    const key = outlet.type;
+    if (!byClass[key]) byClass[key] = { ...outlet.classification, count: 0 };
+    byClass[key].count++;
+  });
+
+  const rows = Object.values(byClass)
+    .sort((a, b) => b.count - a.count)
+    .map(cls => `
+      <tr>
+        <td><span class="swatch" style="background:${escapeHtml(cls.color)}"></span>${escapeHtml(cls.label)}</td>
+        <td class="num">${cls.count.toLocaleString()}</td>
+        <td class="num">${formatPercent(cls.count / metrics.totalOutlets)}</td>
+        <td class="num">${cls.score}</td>
+      </tr>`)
+    .join('');
+
+  return `
+    <h2>Food Outlet Classification</h2>
+    <table>
+      <thead><tr><th>Class</th><th class="num">Outlets</th><th class="num">Share</th><th class="num">Class score</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="4">No food outlets found</td></tr>'}</tbody>
+      <tfoot><tr><td>Total</td><td class="num">${metrics.totalOutlets.toLocaleString()}</td><td></td><td></td></tr></tfoot>
+    </table>`;
+}
+
+function accessSection(metrics, foodDesertGrid, populationAccess) {
+  const score = metrics.accessScore;
+  const rating = score === null ? 'No data' : score >= 0.7 ? 'Good Access' : score >= 0.4 ? 'Moderate Access' : 'Limited Access';
+
+  const rows = [
+    ['mRFEI (CDC modified Retail Food Environment Index)', formatNumber(metrics.mrfei, 1)],
+    ['RFEI (Retail Food Environment Index)', formatNumber(metrics.rfei, 2)]
+  ];
+  if (foodDesertGrid) {
+    rows.push(['Area in food desert', `${formatPercent(foodDesertGrid.desertAreaShare)} (${foodDesertGrid.desertCells} of ${foodDesertGrid.totalCells} cells)`]);
+  }
+  if (populationAccess) {
+    const label = populationAccess.isProxy ? 'Estimated residents' : 'Residents';
+    rows.push([`${label} in food desert`, formatPercent(populationAccess.desertShare)]);
+    populationAccess.within.forEach(({ meters, share }) => {
+      rows.push([`${label} within ${meters} m of healthy food`, formatPercent(share)]);
+    });
+    rows.push(['Population-weighted mean distance', `${formatNumber(populationAccess.weightedMeanDistance)} m`]);
+  }
+  if (metrics.population) {
+    rows.push([`Healthy outlets per 10,000 residents (${metrics.populationSource})`, formatNumber(metrics.healthyPer10k, 2)]);
+  }
+  if (metrics.areaKm2 > 0) {
+    rows.push(['Healthy outlets per km²', formatNumber(metrics.healthyPerKm2, 2)]);
+  }
+
+  return `
+    <h2>Food Access Score</h2>
+    <div class="score">
+      <span class="score-value">${formatPercent(score)}</span>
+      <span class="score-label">${rating}</span>
+    </div>
+    ${rows.length > 0 ? `<table><tbody>${rows.map(([label, value]) =>
+      `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('')}</tbody></table>` : ''}`;
+}
+
+function climateSection(power) {
+  if (!power) {
+    return '<h2>Climate (NASA POWER)</h2><p class="muted">Climate data was not available for this city.</p>';
+  }
+
+  const { data, agronomics, dateRange } = power;
+  const summary = [
+    ['Period', `${dateRange.start} to ${dateRange.end}`],
+    ['Solar radiation', `${formatNumber(data.ALLSKY_SFC_SW_DWN.mean, 2)} kWh/m²/day`],
+    ['Mean temperature', `${formatNumber(data.T2M.mean, 1)} °C`],
+    ['Precipitation', `${formatNumber(data.PRECTOTCORR.mean, 1)} mm/day`]
+  ];
+
+  if (agronomics) {
+    const { frostFree, drySpells } = agronomics;
+    summary.push(
+      ['Growing degree days', `${formatNumber(agronomics.gdd.total)} (base ${agronomics.gdd.base} °C)`],
+      ['Frost-free season', frostFree.frostDays === 0
+        ? 'no frost in period'
+        : `${frostFree.truncated ? '≥ ' : ''}${frostFree.days} days (${frostFree.start} to ${frostFree.end})`],
+      ['Longest dry spell', drySpells.longest
+        ? `${drySpells.longest.days} days from ${drySpells.longest.start}`
+        : `none ≥ ${drySpells.minDrySpell} days`],
+      ['Mean relative humidity', `${formatNumber(agronomics.meanHumidity)}%`]
+    );
+  }
+
+  const monthly = agronomics ? agronomics.monthly : [];
+  const monthlyTable = monthly.some(Boolean) ? `
+    <table class="monthly">
+      <thead><tr><th></th>${MONTH_NAMES.map(name => `<th class="num">${name}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${[
+    ['Mean temp (°C)', 'T2M', 1],
+    ['Rain (mm)', 'precipitation', 0],
+    ['Solar (kWh/m²)', 'solar', 0],
+    ['GDD', 'gdd', 0]
+  ].map(([label, key, digits]) => `<tr><td>${label}</td>${monthly.map(month =>
+    `<td class="num">${month ? formatNumber(month[key], digits) : '–'}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>` : '';
+
+  return `
+    <h2>Climate (NASA POWER)</h2>
+    <table><tbody>${summary.map(([label, value]) =>
+      `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('')}</tbody></table>
+    ${monthlyTable}`;
+}
+
+function methodologySection({ ruleSet, gridOptions, foodDesertGrid, populationAccess }) {
+  const threshold = foodDesertGrid ? foodDesertGrid.thresholdMeters : gridOptions.thresholdMeters;
+  const items = [
+    'Food outlets are OpenStreetMap shop and amenity features inside the city boundary, fetched through the Overpass API.',
+    `Each outlet is classified with the "${escapeHtml(ruleSet.name)}" rule set (version ${escapeHtml(ruleSet.version)}), ` +
+      'which matches OSM tags to a class with a score between 0 and 1.',
+    'The food access score is the mean class score across all outlets: 100% means every outlet is a healthy food source. ' +
+      'It is specific to this tool; the mRFEI and RFEI below are the standard published indices.',
+    escapeHtml(INDEX_METHODOLOGY.mrfei),
+    escapeHtml(INDEX_METHODOLOGY.rfei),
+    `A food desert is any part of the city more than ${formatNumber(threshold)} m (straight line) from the nearest healthy ` +
+      `food source, measured from the centre of each ${foodDesertGrid ? `${foodDesertGrid.shape} cell of ${formatNumber(foodDesertGrid.cellSize)} m` : 'grid cell'}.`,
+    'Climate figures are means of the daily NASA POWER agroclimatology series; monthly totals are scaled to full months ' +
+      'where days are missing, and growing degree days use a capped base-temperature model.'
+  ];
+  if (populationAccess) {
+    items.push(populationAccess.isProxy
+      ? 'Resident shares weight each cell by the floor count of its OpenStreetMap residential buildings ' +
+        '(building:levels, 1 where untagged), a relative population proxy.'
+      : 'Resident shares weight each cell by GPWv4 population density.');
+  }
+
+  return `
+    <h2>Methodology</h2>
+    <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+}
+
+// ==================== REPORT ====================
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; margin: 0; }
+  main { max-width: 760px; margin: 0 auto; padding: 32px 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px 0; }
+  h2 { font-size: 16px; margin: 28px 0 8px 0; padding-bottom: 4px; border-bottom: 2px solid #0d5e3a; }
+  p, li { font-size: 13px; line-height: 1.5; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 8px; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #e9ecef; text-align: left; }
+  th { background: #f8f9fa; }
+  tfoot td { font-weight: 600; }
+  .num { text-align: right; white-space: nowrap; }
+  .monthly th, .monthly td { padding: 3px 4px; font-size: 11px; }
+  .muted { color: #6c757d; }
+  .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; }
+  .score { display: flex; align-items: baseline; gap: 12px; margin-bottom: 8px; }
+  .score-value { font-size: 32px; font-weight: bold; color: #0d5e3a; }
+  .score-label { font-size: 14px; color: #495057; }
+  figure { margin: 16px 0; }
+  figure svg { max-width: 100%; height: auto; border: 1px solid #dee2e6; }
+  figcaption { font-size: 11px; color: #6c757d; margin-top: 4px; }
+  .toolbar { text-align: right; margin-bottom: 8px; }
+  .toolbar button { padding: 6px 12px; font-size: 13px; cursor: pointer; }
+  @page { size: A4; margin: 15mm; }
+  @media print {
+    main { max-width: none; padding: 0; }
+    .toolbar { display: none; }
+    h2 { break-after: avoid; }
+    table, figure { break-inside: avoid; }
+    .page-break { break-before: page; }
+  }
+`;
+
+/**
+ * Standalone HTML report for one city
+ *
+ * inputs: { city, foodOutlets, foodDesertGrid, populationAccess, power,
+ *           ruleSet, gridOptions, metadata } where metadata comes from
+ * buildExportMetadata and supplies the attributions and query time.
+ */
+export function buildCityReport(inputs) {
+  const {
+    city,
+    foodOutlets = [],
+    foodDesertGrid = null,
+    populationAccess = null,
+    power = null,
+    ruleSet,
+    gridOptions,
+    metadata
+  } = inputs;
+
+  const metrics = summarizeCity({ city, foodOutlets, foodDesertGrid, populationAccess, power });
+  const generated = new Date(metadata.exportedAt);
+  const queried = metadata.queriedAt ? new Date(metadata.queriedAt) : null;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(city.name)} - Food Access Report</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <h1>${escapeHtml(city.name)}</h1>
+  <p class="muted">
+    Food access report · generated ${escapeHtml(generated.toLocaleString())}
+    ${queried ? ` · data queried ${escapeHtml(queried.toLocaleString())}${metadata.servedFromCache ? ' (cached)' : ''}` : ''}
+    · ${city.lat.toFixed(4)}, ${city.lng.toFixed(4)}
+  </p>
+
+  <figure>
+    ${renderMapSnapshot({ city, foodOutlets, foodDesertGrid })}
+    <figcaption>
+      Dots: food outlets coloured by class. Shading: distance to the nearest healthy food source
+      (green near, red beyond ${formatNumber(foodDesertGrid ? foodDesertGrid.thresholdMeters : gridOptions.thresholdMeters)} m).
+      Dashed line: city boundary.
+    </figcaption>
+  </figure>
+
+  ${accessSection(metrics, foodDesertGrid, populationAccess)}
+  ${classificationSection(metrics, foodOutlets)}
+  <div class="page-break"></div>
+  ${climateSection(power)}
+  ${methodologySection({ ruleSet, gridOptions, foodDesertGrid, populationAccess })}
+
+  <h2>Data Sources &amp; Attribution</h2>
+  <ul>${metadata.dataSources.map(source => `<li>${escapeHtml(source)}</li>`).join('')}</ul>
+  <p class="muted">Generated by ${escapeHtml(metadata.generator)}.</p>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Open the report in a new tab for printing; returns false if popups are blocked
+ */
+export function openPrintableReport(html) {
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  const win = window.open(url, '_blank');
+  // Give the tab time to load before the blob URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+  return Boolean(win);
+}
@@ -0,0 +1,225 @@
+// urlState.js - Shareable Deep Links
+// Encodes the selected city, map view, layers, filters and analysis settings in the query string
+
+import { DEFAULT_GRID_OPTIONS } from './analysis/foodDesertGrid';
+import { DEFAULT_SUITABILITY_WEIGHTS } from './analysis/farmSuitability';
+import { DEFAULT_KDE_OPTIONS } from './analysis/kernelDensity';
+import { ENVIRONMENT_METRICS } from './analysis/foodEnvironment';
+import { SUB_AREA_LEVELS, SUB_AREA_METRICS } from './analysis/subAreas';
+import { decodeShape, drawnAreaCity, encodeShape } from './analysis/drawnArea';
+
+/**
+ * Bump when a parameter changes meaning, and add a migration from the old
+ * version below. Never reuse a retired parameter name for something else.
+ */
+export const URL_STATE_VERSION = 2;
+
+export const DEFAULT_MAP_LAYERS = {
+  boundary: true,
+  walk: true,
+  sites: true,
+  desert: false,
+  population: true,
+  ndvi: true,
+  lst: false,
+  swamp: false,
+  areas: false
+};
+
+const GRID_SHAPES = ['square', 'hex'];
+const GRID_METRICS = ['distance', ...ENVIRONMENT_METRICS.map(metric => metric.key)];
+const OSM_TYPES = { N: 'node', W: 'way', R: 'relation' };
+
+const list = text => (text ? text.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Upgrades from each older version to the next, applied in order.
+ * Each takes and returns a URLSearchParams. Links without `v` predate
+ * versioning and are read as version 1.
+ */
+const MIGRATIONS = {
+  // v2 made the boundary, walk radius and farm site layers switchable; they were always shown before
+  1: params => {
+    if (!params.has('layers')) return params;
+    const upgraded = new URLSearchParams(params);
+    upgraded.set('layers', [...list(params.get('layers')), 'boundary', 'walk', 'sites'].join(','));
+    return upgraded;
+  }
+};
+
+// ==================== ENCODING ====================
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Query string (without `?`) for the current app state
+ *
+ * state: { city, view, layers, hiddenClasses, hiddenRawTypes, gridOptions, weights, kdeBandwidth, gridMetric,
+ *          subAreaLevel, subAreaMetric }
+ * Anything still at its default is left out to keep links short.
+ */
+export function encodeUrlState(state) {
+  const {
+    city, view, layers, hiddenClasses, hiddenRawTypes, gridOptions, weights, kdeBandwidth, gridMetric,
+    subAreaLevel, subAreaMetric
+  } = state;
+  const params = new URLSearchParams();
+  if (!city) return '';
+
+  params.set('v', URL_STATE_VERSION);
+  params.set('city', city.name);
+  if (city.osmId && city.osmType) {
+    params.set('osm', `${city.osmType[0].toUpperCase()}${city.osmId}`);
+  } else {
+    // Drawn areas keep bbox too, so readers without `area` still open roughly the right place
+    params.set('bbox', city.boundingBox.map(value => round(value, 5)).join(','));
+    if (city.shape) params.set('area', encodeShape(city.shape));
+  }
+
+  if (view) {
+    params.set('map', `${view.zoom}/${round(view.lat, 5)}/${round(view.lng, 5)}`);
+  }
+
+  if (layers && Object.keys(DEFAULT_MAP_LAYERS).some(key => layers[key] !== DEFAULT_MAP_LAYERS[key])) {
+    params.set('layers', Object.keys(DEFAULT_MAP_LAYERS).filter(key => layers[key]).join(','));
+  }
+  if (hiddenClasses && hiddenClasses.length > 0) {
+    params.set('hide', hiddenClasses.join(','));
+  }
+  if (hiddenRawTypes && hiddenRawTypes.length > 0) {
+    params.set('hidetypes', hiddenRawTypes.join(','));
+  }
+
+  if (gridOptions) {
+    if (gridOptions.shape !== DEFAULT_GRID_OPTIONS.shape) params.set('grid', gridOptions.shape);
+    if (gridOptions.cellSize !== DEFAULT_GRID_OPTIONS.cellSize) params.set('cell', gridOptions.cellSize);
+    if (gridOptions.thresholdMeters !== DEFAULT_GRID_OPTIONS.thresholdMeters) {
+      params.set('threshold', gridOptions.thresholdMeters);
+    }
+  }
+
+  if (gridMetric && gridMetric !== 'distance') params.set('metric', gridMetric);
+  if (subAreaLevel) params.set('areas', subAreaLevel);
+  if (subAreaMetric && subAreaMetric !== 'mrfei') params.set('areametric', subAreaMetric);
+  if (kdeBandwidth && kdeBandwidth !== DEFAULT_KDE_OPTIONS.bandwidthMeters) {
+    params.set('kde', kdeBandwidth);
+  }
+
+  if (weights) {
+    const changed = Object.keys(DEFAULT_SUITABILITY_WEIGHTS)
+      .filter(key => weights[key] !== DEFAULT_SUITABILITY_WEIGHTS[key]);
+    if (changed.length > 0) {
+      params.set('weights', Object.keys(DEFAULT_SUITABILITY_WEIGHTS).map(key => `${key}:${weights[key]}`).join(','));
+    }
+  }
+
+  // Commas, slashes, colons and semicolons are legal in a query string; leave them readable
+  return params.toString()
+    .replace(/%2C/g, ',')
+    .replace(/%2F/g, '/')
+    .replace(/%3A/g, ':')
+    .replace(/%3B/g, ';');
+}
+
+// ==================== DECODING ====================
+
+const positiveNumber = text => {
+  const value = Number(text);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+// City names only label the map and report; anything longer is not a real place name
+const MAX_CITY_NAME_LENGTH = 120;
+
+/**
+ * Linked city name as plain text: markup characters dropped, whitespace
+ * collapsed and length capped; null when nothing is left
+ */
+function decodeCityName(text) {
+  const name = (text || '')
+    .replace(/[<>"`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_CITY_NAME_LENGTH);
+  return name || null;
+}
+
+function decodeCity(params) {
+  const name = decodeCityName(params.get('city'));
+  const osm = /^([NWR])(\d+)$/i.exec(params.get('osm') || '');
+  if (osm) {
+    return { name, osmType: OSM_TYPES[osm[1].toUpperCase()], osmId: Number(osm[2]) };
+  }
+
+  const shape = decodeShape(params.get('area'));
+  if (shape) return drawnAreaCity(shape, name || undefined);
+
+  const bbox = list(params.get('bbox')).map(Number);
+  if (bbox.length === 4 && bbox.every(Number.isFinite) && bbox[0] < bbox[1] && bbox[2] < bbox[3]) {
+    const [south, north, west, east] = bbox;
+    return {
+      name: name || 'Custom Location',
+      lat: (south + north) / 2,
+      lng: (west + east) / 2,
+      boundingBox: bbox,
+      source: 'manual'
+    };
+  }
+
+  return name ? { name } : null;
+}
+
+function decodeView(params) {
+  const [zoom, lat, lng] = (params.get('map') || '').split('/').map(Number);
+  if (![zoom, lat, lng].every(Number.isFinite)) return null;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { zoom: Math.round(zoom), lat, lng };
+}
+
+/**
+ * App state from a query string; missing or malformed values come back as
+ * null (or defaults) so old and hand-edited links still open.
+ *
+ * city is one of: { name, osmType, osmId } to look up, a drawn or manual
+ * area with boundingBox, or { name } to geocode.
+ */
+export function decodeUrlState(search) {
+  let params = new URLSearchParams(search);
+  const version = Number(params.get('v')) || 1;
+
+  if (version > URL_STATE_VERSION) {
+    console.warn(`Link uses URL state v${version}; this build reads v${URL_STATE_VERSION}, unknown parameters are ignored`);
+  }
+  for (let from = version; from < URL_STATE_VERSION; from++) {
+    if (MIGRATIONS[from]) params = MIGRATIONS[from](params);
+  }
+
+  const layers = params.has('layers')
+    ? Object.fromEntries(Object.keys(DEFAULT_MAP_LAYERS).map(key => [key, list(params.get('layers')).includes(key)]))
+    : null;
+
+  const gridOptions = {};
+  if (GRID_SHAPES.includes(params.get('grid'))) gridOptions.shape = params.get('grid');
+  if (positiveNumber(params.get('cell'))) gridOptions.cellSize = positiveNumber(params.get('cell'));
+  if (positiveNumber(params.get('threshold'))) gridOptions.thresholdMeters = positiveNumber(params.get('threshold'));
+
+  const weights = {};
+  list(params.get('weights')).forEach(pair => {
+    const [key, value] = pair.split(':');
+    if (key in DEFAULT_SUITABILITY_WEIGHTS && Number.isFinite(Number(value))) weights[key] = Number(value);
+  });
+
+  return {
+    city: decodeCity(params),
+    view: decodeView(params),
+    layers,
+    hiddenClasses: params.has('hide') ? list(params.get('hide')) : null,
+    hiddenRawTypes: params.has('hidetypes') ? list(params.get('hidetypes')) : null,
+    gridOptions: Object.keys(gridOptions).length > 0 ? gridOptions : null,
+    weights: Object.keys(weights).length > 0 ? weights : null,
+    kdeBandwidth: positiveNumber(params.get('kde')),
+    gridMetric: GRID_METRICS.includes(params.get('metric')) ? params.get('metric') : null,
+    subAreaLevel: SUB_AREA_LEVELS.some(({ key }) => key === params.get('areas')) ? params.get('areas') : null,
+    subAreaMetric: SUB_AREA_METRICS.some(({ key }) => key === params.get('areametric')) ? params.get('areametric') : null
+  };
+}
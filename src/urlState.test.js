@@ -0,0 +1,82 @@
+import { DEFAULT_MAP_LAYERS, decodeUrlState, encodeUrlState } from './urlState';
+
+describe('encodeUrlState / decodeUrlState', () => {
+  it('round-trips an OSM city with the map view, layers and settings', () => {
+    const state = {
+      city: { name: 'Kingston upon Hull', osmType: 'relation', osmId: 62434, boundingBox: [53.7, 53.8, -0.45, -0.25] },
+      view: { zoom: 13, lat: 53.745671, lng: -0.336741 },
+      layers: { ...DEFAULT_MAP_LAYERS, walk: false, desert: true },
+      hiddenClasses: ['unhealthy'],
+      hiddenRawTypes: ['shop=convenience'],
+      weights: { distance: 50, desert: 25, solar: 15, precipitation: 10, ndvi: 0, lst: 10 },
+      kdeBandwidth: 800
+    };
+    const search = encodeUrlState(state);
+    expect(search).toContain('osm=R62434');
+
+    const decoded = decodeUrlState(`?${search}`);
+    expect(decoded.city).toEqual({ name: 'Kingston upon Hull', osmType: 'relation', osmId: 62434 });
+    expect(decoded.view).toEqual({ zoom: 13, lat: 53.74567, lng: -0.33674 });
+    expect(decoded.layers).toEqual(state.layers);
+    expect(decoded.hiddenClasses).toEqual(['unhealthy']);
+    expect(decoded.hiddenRawTypes).toEqual(['shop=convenience']);
+    expect(decoded.weights).toEqual(state.weights);
+    expect(decoded.kdeBandwidth).toBe(800);
+  });
+
+  it('round-trips a manual bounding box', () => {
+    const city = { name: 'Custom Location', boundingBox: [51.49, 51.51, -0.12, -0.08], source: 'manual' };
+    const decoded = decodeUrlState(encodeUrlState({ city }));
+    expect(decoded.city).toEqual({ ...city, lat: 51.5, lng: -0.1 });
+  });
+
+  it('round-trips each drawn area shape', () => {
+    const shapes = [
+      { type: 'rectangle', bounds: [51.49, 51.51, -0.12, -0.08] },
+      { type: 'circle', center: [51.5, -0.1], radiusKm: 1.5 },
+      { type: 'polygon', vertices: [[51.49, -0.12], [51.51, -0.1], [51.49, -0.08]] }
+    ];
+    shapes.forEach(shape => {
+      const decoded = decodeUrlState(encodeUrlState({ city: { name: 'My Area', boundingBox: [51.49, 51.51, -0.12, -0.08], shape } }));
+      expect(decoded.city.shape).toEqual(shape);
+      expect(decoded.city.name).toBe('My Area');
+      expect(decoded.city.source).toBe('drawn');
+    });
+  });
+});
+
+describe('decodeUrlState', () => {
+  it('reads links without a version as v1 and adds the layers v2 made switchable', () => {
+    const decoded = decodeUrlState('?city=Leeds&layers=desert,ndvi');
+    expect(decoded.layers).toEqual({
+      ...Object.fromEntries(Object.keys(DEFAULT_MAP_LAYERS).map(key => [key, false])),
+      desert: true,
+      ndvi: true,
+      boundary: true,
+      walk: true,
+      sites: true
+    });
+  });
+
+  it('leaves v2 layers as they are', () => {
+    expect(decodeUrlState('?v=2&city=Leeds&layers=desert').layers.walk).toBe(false);
+  });
+
+  it('ignores malformed values', () => {
+    const decoded = decodeUrlState('?v=2&city=Leeds&map=13/abc/0&bbox=1,2,3&weights=distance:lots,bogus:5&area=circle:51.5,-0.1,0');
+    expect(decoded.city).toEqual({ name: 'Leeds' });
+    expect(decoded.view).toBeNull();
+    expect(decoded.weights).toBeNull();
+  });
+
+  it('ignores out-of-range views, inverted boxes and unknown shapes', () => {
+    const decoded = decodeUrlState('?map=13/95/0&bbox=51.51,51.49,-0.12,-0.08&area=hexagon:1,2,3');
+    expect(decoded.view).toBeNull();
+    expect(decoded.city).toBeNull();
+  });
+
+  it('strips markup from linked city names', () => {
+    const decoded = decodeUrlState(`?city=${encodeURIComponent('<img src=x onerror=alert(1)>Leeds')}`);
+    expect(decoded.city.name).toBe('img src=x onerror=alert(1)Leeds');
+  });
+});